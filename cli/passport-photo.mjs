@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// cli/passport-photo.mjs
+// Crop a photo file to a document spec from the command line, using the same core as the app.
+// Needs node-canvas (npm install canvas). Run with: npm run photo -- <image> [options]
+
+import { register } from 'node:module';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+register('./srcLoader.mjs', import.meta.url);
+
+const MODELS_DIR = fileURLToPath(new URL('../public/models/', import.meta.url)); // A path, so spaces in it aren't left percent-encoded
+
+const USAGE = `Usage: npm run photo -- <image> [options]
+
+Options:
+  -s, --spec <id>          Document spec (default: the app's default spec)
+  -o, --output <file>      Output file (default: <image>-<spec file name>.<jpg|png> next to the input)
+  -f, --face <number>      Face to crop, numbered left to right (default: the main face)
+  -b, --background <color> Replace the background with a CSS color, e.g. "#ffffff"
+      --no-enhance         Skip the automatic lighting and color correction
+      --json               Print the crop measurements and compliance report as JSON
+      --list-specs         List the available document specs
+  -h, --help               Show this help
+
+Exits with 1 on errors and 2 when the photo fails a compliance check.`;
+
+// Helper Function: Print a message and exit with an error code
+const fail = (message, code = 1) => {
+    console.error(message);
+    process.exit(code);
+};
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        spec: { type: 'string', short: 's' },
+        output: { type: 'string', short: 'o' },
+        face: { type: 'string', short: 'f' },
+        background: { type: 'string', short: 'b' },
+        'no-enhance': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        'list-specs': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+    },
+});
+
+const core = await import('../src/core.js');
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+if (options['list-specs']) {
+    core.DOCUMENT_SPECS.forEach(spec => console.log(`${spec.id.padEnd(20)} ${spec.label}`));
+    process.exit(0);
+}
+if (positionals.length !== 1) fail(USAGE);
+
+const inputPath = positionals[0];
+const spec = core.getDocumentSpec(options.spec || core.DEFAULT_SPEC_ID);
+if (options.spec && spec.id !== options.spec) fail(`Unknown spec "${options.spec}". Use --list-specs to see the options.`);
+const faceIndex = options.face === undefined ? null : parseInt(options.face, 10) - 1;
+if (faceIndex !== null && !(faceIndex >= 0)) fail('--face must be a number from 1.');
+
+let nodeCanvas;
+try {
+    nodeCanvas = (await import('canvas')).default;
+} catch (err) {
+    fail(`The command line tool needs node-canvas. Install it with "npm install canvas".\n${err.message}`);
+}
+const faceapi = (await import('face-api.js')).default;
+
+// face-api.js and the core draw on node-canvas instead of DOM canvases
+faceapi.env.monkeyPatch({ Canvas: nodeCanvas.Canvas, Image: nodeCanvas.Image, ImageData: nodeCanvas.ImageData });
+core.setCanvasFactory((width, height) => nodeCanvas.createCanvas(width, height));
+await Promise.all(core.FACE_NETS.map(net => net.loadFromDisk(MODELS_DIR)));
+
+let image;
+let inputBytes;
+try {
+    inputBytes = new Uint8Array(await readFile(inputPath));
+    if (core.isHeic(inputBytes)) fail(`"${inputPath}" is an HEIC file, which the command line tool can't decode. Convert it to JPEG first.`);
+    image = await nodeCanvas.loadImage(Buffer.from(inputBytes));
+} catch (err) {
+    fail(`Could not read "${inputPath}": ${err.message}`);
+}
+// node-canvas ignores the EXIF orientation, so phone photos are turned upright here
+const sourceCanvas = core.drawOriented(image, core.getJpegOrientation(inputBytes));
+
+const analysis = await core.analyzeFace(sourceCanvas, { faceIndex });
+if (analysis.error) fail(analysis.error);
+
+const { canvas, corners, measurements, complianceResults } = core.renderPhoto(sourceCanvas, analysis.detection, spec, {
+    backgroundColor: options.background || null,
+    enhancements: options['no-enhance'] ? null : core.DEFAULT_ENHANCEMENTS,
+});
+
+const format = core.getPhotoFormat(spec);
+const encoded = new Uint8Array(format.mimeType === 'image/png' ? canvas.toBuffer('image/png') : canvas.toBuffer('image/jpeg', { quality: format.quality }));
+const bytes = format.mimeType === 'image/png' ? core.setPngDpi(encoded, spec.dpi) : core.setJpegDpi(encoded, spec.dpi);
+const outputPath = options.output || path.join(
+    path.dirname(inputPath),
+    `${path.basename(inputPath, path.extname(inputPath))}-${spec.fileName}.${format.extension}`,
+);
+await writeFile(outputPath, bytes);
+
+const summary = core.summarizeCompliance(complianceResults);
+if (options.json) {
+    console.log(JSON.stringify({
+        input: inputPath,
+        output: outputPath,
+        spec: spec.id,
+        face: analysis.faceIndex + 1,
+        faceCount: analysis.faceCount,
+        widthPx: canvas.width,
+        heightPx: canvas.height,
+        corners,
+        measurements,
+        compliance: complianceResults,
+        summary,
+    }, null, 2));
+} else {
+    console.log(`${outputPath}: ${spec.label}, ${canvas.width}x${canvas.height}px, face ${analysis.faceIndex + 1} of ${analysis.faceCount}`);
+    complianceResults.forEach(result => console.log(`  [${result.status}] ${result.label}: ${result.value}${result.status === core.STATUS_PASS ? '' : ` - ${result.message}`}`));
+    console.log(`${summary.passed} passed, ${summary.warnings} warnings, ${summary.failed} failed`);
+}
+process.exit(summary.failed > 0 ? 2 : 0);
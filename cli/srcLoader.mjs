@@ -0,0 +1,22 @@
+// cli/srcLoader.mjs
+// Module hooks that let Node load the app's source as written for the bundler:
+// files under src/ are ES modules and import each other without file extensions.
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+const isInSrc = (url) => typeof url === 'string' && url.startsWith(SRC_URL);
+
+export const resolve = async (specifier, context, nextResolve) => {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (isRelative && isInSrc(context.parentURL) && !/\.[cm]?js$/.test(specifier)) {
+        return nextResolve(`${specifier}.js`, context);
+    }
+    return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+    if (isInSrc(url)) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+};
@@ -0,0 +1,13 @@
+// config-overrides.js
+// Adjustments to the Create React App webpack config, applied by react-app-rewired
+
+module.exports = function override(config) {
+    // face-api.js reaches for Node's fs (inside a try block) when it runs under Node; the browser build doesn't need it
+    config.resolve.fallback = { ...config.resolve.fallback, fs: false };
+    // face-api.js ships source maps that point at TypeScript sources it doesn't publish
+    config.ignoreWarnings = [
+        ...(config.ignoreWarnings || []),
+        { module: /node_modules[\\/]face-api\.js/, message: /Failed to parse source map/ },
+    ];
+    return config;
+};
@@ -1,28 +1,91 @@
 // src/App.js
-import React from 'react';
+import React, { useEffect } from 'react';
 import PassportPhotoEditor from './components/PassportPhotoEditor';
+import OfflineStatus from './components/OfflineStatus';
+import useTranslation from './hooks/useTranslation';
+import { LOCALES } from './i18n/i18n';
+import { getEmbedConfig, createHostCallbacks, postToHost, MESSAGE_READY } from './embed/hostBridge';
 import './styles.css';
 
+// Widget configuration when the app runs inside a host page's iframe, null otherwise
+const embedConfig = getEmbedConfig();
+
+// Constants for the Instructions (catalog keys, in order)
+const INSTRUCTION_KEYS = [
+    'app.instructions.spec',
+    'app.instructions.upload',
+    'app.instructions.lighting',
+    'app.instructions.detection',
+    'app.instructions.background',
+    'app.instructions.crop',
+    'app.instructions.enhance',
+    'app.instructions.glasses',
+    'app.instructions.compliance',
+    'app.instructions.export',
+    'app.instructions.standards',
+    'app.instructions.print',
+    'app.instructions.batch',
+    'app.instructions.identity',
+    'app.instructions.session',
+    'app.instructions.offline',
+];
+
+// Just the editor, configured by the iframe URL and reporting to the host page
+const EmbeddedApp = ({ config }) => {
+    const { targetOrigin } = config;
+
+    useEffect(() => {
+        if (!targetOrigin) {
+            console.error("Embedded without an origin parameter, so no events are sent to the host page.");
+            return;
+        }
+        postToHost(targetOrigin, MESSAGE_READY);
+    }, [targetOrigin]);
+
+    const hostCallbacks = targetOrigin ? createHostCallbacks(targetOrigin) : {};
+    return (
+        <div className="app-container embedded">
+            <PassportPhotoEditor
+                specId={config.specId}
+                allowedInputs={config.allowedInputs || undefined}
+                theme={config.theme}
+                locale={config.locale}
+                persistSession={config.persistSession}
+                {...hostCallbacks}
+            />
+        </div>
+    );
+};
+
 function App() {
+    const { t, locale, setLocale } = useTranslation();
+
+    if (embedConfig) return <EmbeddedApp config={embedConfig} />;
+
     return (
         <div className="app-container">
-            <h1>Pakistani Passport Photo Creator</h1>
-            <p>Upload a photo to create a Pakistani passport size photo.</p>
+            <div className="language-select">
+                <label htmlFor="language">{t('app.language')}</label>
+                <select id="language" value={locale} onChange={(event) => setLocale(event.target.value)}>
+                    {LOCALES.map(option => (
+                        <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+            <h1>{t('app.title')}</h1>
+            <p>{t('app.intro')}</p>
+            <OfflineStatus />
             <PassportPhotoEditor />
 
             <div className="instructions">
-                <h2>Instructions:</h2>
+                <h2>{t('app.instructionsTitle')}</h2>
                 <ol>
-                    <li>Upload a clear photo of your face using the "Choose File" button.</li>
-                    <li>Ensure your full face is visible and well-lit in the photo.</li>
-                    <li>Wait for face detection to process the image (a red box will appear around the detected face). If no face is detected, try a different photo.</li>
-                    <li>Click the "Crop & Download Passport Photo" button to generate and download the standardized passport photo.</li>
-                    <li>The downloaded image will be a 35mm x 45mm JPEG file, cropped and scaled according to Pakistani passport photo standards.</li>
+                    {INSTRUCTION_KEYS.map(key => <li key={key}>{t(key)}</li>)}
                 </ol>
-                <p><b>Note:</b> This application provides an approximation based on the provided dimensions. Always verify with official passport guidelines for precise requirements.</p>
+                <p><b>{t('app.noteLabel')}</b> {t('app.note')}</p>
             </div>
         </div>
     );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,174 @@
+// src/__fixtures__/pixelCanvas.js
+// A canvas stand-in for tests: jsdom has no 2D context, so this keeps RGBA pixels in memory and
+// implements the part of CanvasRenderingContext2D the pipeline uses. drawImage samples the nearest
+// source pixel through the current transform; there is no antialiasing or blending.
+
+// Helper Function: RGBA of a CSS color given as "#rrggbb" or "rgb(r, g, b)"
+const parseColor = (color) => {
+    const hex = /^#([0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        const value = parseInt(hex[1], 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+    }
+    const rgb = /^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/.exec(color);
+    if (rgb) return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), 255];
+    throw new Error(`Unsupported color: ${color}`);
+};
+
+// Helper Function: Product of two affine transforms [a, b, c, d, e, f]
+const multiply = (m, n) => [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+];
+
+// Helper Function: Inverse of an affine transform
+const invert = (m) => {
+    const det = m[0] * m[3] - m[1] * m[2];
+    return [
+        m[3] / det,
+        -m[1] / det,
+        -m[2] / det,
+        m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det,
+    ];
+};
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+class PixelContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.fillStyle = '#000000';
+        this.imageSmoothingQuality = 'low';
+        this.transform = IDENTITY;
+        this.stack = [];
+    }
+
+    save() { this.stack.push(this.transform); }
+
+    restore() { this.transform = this.stack.pop() || IDENTITY; }
+
+    translate(x, y) { this.transform = multiply(this.transform, [1, 0, 0, 1, x, y]); }
+
+    rotate(angle) { this.transform = multiply(this.transform, [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]); }
+
+    scale(x, y) { this.transform = multiply(this.transform, [x, 0, 0, y, 0, 0]); }
+
+    getImageData(x, y, width, height) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                const sourceX = x + column;
+                const sourceY = y + row;
+                if (sourceX < 0 || sourceY < 0 || sourceX >= this.canvas.width || sourceY >= this.canvas.height) continue;
+                const from = (sourceY * this.canvas.width + sourceX) * 4;
+                data.set(this.canvas.data.subarray(from, from + 4), (row * width + column) * 4);
+            }
+        }
+        return { data, width, height };
+    }
+
+    putImageData(imageData, x, y) {
+        for (let row = 0; row < imageData.height; row++) {
+            for (let column = 0; column < imageData.width; column++) {
+                const from = (row * imageData.width + column) * 4;
+                this.setPixel(x + column, y + row, imageData.data.subarray(from, from + 4));
+            }
+        }
+    }
+
+    // Rectangles are filled in canvas pixels; the transform is ignored
+    fillRect(x, y, width, height) {
+        const color = parseColor(this.fillStyle);
+        for (let row = Math.max(0, Math.floor(y)); row < Math.min(this.canvas.height, Math.ceil(y + height)); row++) {
+            for (let column = Math.max(0, Math.floor(x)); column < Math.min(this.canvas.width, Math.ceil(x + width)); column++) {
+                this.setPixel(column, row, color);
+            }
+        }
+    }
+
+    // drawImage(source, dx, dy), drawImage(source, dx, dy, dw, dh) or drawImage(source, sx, sy, sw, sh, dx, dy, dw, dh)
+    drawImage(source, ...args) {
+        let [sx, sy, sw, sh] = [0, 0, source.width, source.height];
+        let [dx, dy, dw, dh] = [args[0], args[1], source.width, source.height];
+        if (args.length === 4) [dx, dy, dw, dh] = args;
+        if (args.length === 8) [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+
+        // Maps a destination rectangle position (0-1) to canvas pixels, so its inverse finds the source pixel
+        const placement = multiply(this.transform, [dw, 0, 0, dh, dx, dy]);
+        const inverse = invert(placement);
+        const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([u, v]) => ({
+            x: placement[0] * u + placement[2] * v + placement[4],
+            y: placement[1] * u + placement[3] * v + placement[5],
+        }));
+        const left = Math.max(0, Math.floor(Math.min(...corners.map(corner => corner.x))));
+        const right = Math.min(this.canvas.width, Math.ceil(Math.max(...corners.map(corner => corner.x))));
+        const top = Math.max(0, Math.floor(Math.min(...corners.map(corner => corner.y))));
+        const bottom = Math.min(this.canvas.height, Math.ceil(Math.max(...corners.map(corner => corner.y))));
+
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const u = inverse[0] * (x + 0.5) + inverse[2] * (y + 0.5) + inverse[4];
+                const v = inverse[1] * (x + 0.5) + inverse[3] * (y + 0.5) + inverse[5];
+                if (u < 0 || v < 0 || u >= 1 || v >= 1) continue;
+                const sourceX = Math.floor(sx + u * sw);
+                const sourceY = Math.floor(sy + v * sh);
+                if (sourceX < 0 || sourceY < 0 || sourceX >= source.width || sourceY >= source.height) continue;
+                const from = (sourceY * source.width + sourceX) * 4;
+                if (source.data[from + 3] > 0) this.setPixel(x, y, source.data.subarray(from, from + 4));
+            }
+        }
+    }
+
+    setPixel(x, y, rgba) {
+        if (x < 0 || y < 0 || x >= this.canvas.width || y >= this.canvas.height) return;
+        this.canvas.data.set(rgba, (y * this.canvas.width + x) * 4);
+    }
+}
+
+class PixelCanvas {
+    constructor(width, height) {
+        this.size = { width, height };
+        this.data = new Uint8ClampedArray(width * height * 4);
+        this.context = new PixelContext(this);
+    }
+
+    get width() { return this.size.width; }
+
+    // Resizing clears the pixels, like a real canvas
+    set width(width) {
+        this.size = { ...this.size, width };
+        this.data = new Uint8ClampedArray(width * this.height * 4);
+    }
+
+    get height() { return this.size.height; }
+
+    set height(height) {
+        this.size = { ...this.size, height };
+        this.data = new Uint8ClampedArray(this.width * height * 4);
+    }
+
+    getContext() { return this.context; }
+}
+
+/**
+ * In-memory canvas for tests, usable wherever the pipeline expects a canvas and as a
+ * canvas factory (setCanvasFactory(createPixelCanvas)).
+ */
+export const createPixelCanvas = (width = 300, height = 150) => new PixelCanvas(width, height);
+
+// Helper Function: Paint every pixel of a canvas from a function of its position returning [r, g, b]
+export const paintPixels = (canvas, colorAt) => {
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            const color = colorAt(x, y);
+            if (color) canvas.data.set([...color, 255], (y * canvas.width + x) * 4);
+        }
+    }
+    return canvas;
+};
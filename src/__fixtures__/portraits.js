@@ -0,0 +1,193 @@
+// src/__fixtures__/portraits.js
+// Synthetic faces for tests: face-api.js style detections with 68 landmarks, and matching
+// source photos and person masks drawn on pixel canvases. A face is laid out around the eye
+// midpoint in units of the distance between the eyes; the chin sits EYE_CHIN_RATIO below the eyes.
+// createDrawnFacesCanvas draws faces for the real detection networks instead.
+import { createPixelCanvas, paintPixels } from './pixelCanvas';
+
+// Constants for the Synthetic Face (in eye distances)
+export const EYE_CHIN_RATIO = 1.3;
+const EYE_WIDTH_RATIO = 0.3;
+const EYEBROW_RATIO = 0.35; // Eyebrows above the eye line
+const MOUTH_RATIO = 0.95; // Mouth below the eye line
+const NEUTRAL_NOSE_RATIO = 0.45; // Nose tip between eye line and chin for a level head
+
+export const NEUTRAL_EXPRESSIONS = { neutral: 0.95, happy: 0.02, sad: 0.01, angry: 0.005, fearful: 0.005, disgusted: 0.005, surprised: 0.005 };
+export const SMILING_EXPRESSIONS = { neutral: 0.05, happy: 0.92, sad: 0.01, angry: 0.005, fearful: 0.005, disgusted: 0.005, surprised: 0.005 };
+
+// Helper Function: The six landmarks of one eye (outer corner, top two, other corner, bottom two) around a centre
+const eyePoints = (centerX, openness) => {
+    const halfWidth = EYE_WIDTH_RATIO / 2;
+    const halfHeight = (EYE_WIDTH_RATIO * openness) / 2;
+    return [
+        { x: centerX - halfWidth, y: 0 },
+        { x: centerX - halfWidth / 3, y: -halfHeight },
+        { x: centerX + halfWidth / 3, y: -halfHeight },
+        { x: centerX + halfWidth, y: 0 },
+        { x: centerX + halfWidth / 3, y: halfHeight },
+        { x: centerX - halfWidth / 3, y: halfHeight },
+    ];
+};
+
+// Helper Function: The 68 landmarks of a level face, centred on the eye midpoint, in eye distances
+const getFacePoints = ({ eyeOpenness, yawShift, noseRatio }) => {
+    const jaw = Array.from({ length: 17 }, (_, i) => {
+        const angle = (Math.PI * i) / 16;
+        return { x: -Math.cos(angle), y: EYE_CHIN_RATIO * Math.sin(angle) };
+    });
+    const eyebrows = [-0.8, -0.65, -0.5, -0.35, -0.2, 0.2, 0.35, 0.5, 0.65, 0.8].map(x => ({ x, y: -EYEBROW_RATIO }));
+    const noseTip = { x: yawShift, y: noseRatio * EYE_CHIN_RATIO };
+    const bridge = [0.25, 0.5, 0.75].map(step => ({ x: yawShift * step, y: noseTip.y * step }));
+    const nostrils = [-0.16, -0.08, 0, 0.08, 0.16].map(x => ({ x: yawShift + x, y: noseTip.y + 0.08 }));
+    const mouth = Array.from({ length: 20 }, (_, i) => {
+        const angle = (2 * Math.PI * i) / (i < 12 ? 12 : 8);
+        const size = i < 12 ? 0.3 : 0.2;
+        return { x: -size * Math.cos(angle), y: MOUTH_RATIO + size * 0.3 * Math.sin(angle) };
+    });
+    return [
+        ...jaw,
+        ...eyebrows,
+        ...bridge,
+        noseTip,
+        ...nostrils,
+        ...eyePoints(-0.5, eyeOpenness),
+        ...eyePoints(0.5, eyeOpenness),
+        ...mouth,
+    ];
+};
+
+/**
+ * A detection shaped like face-api.js's, for a face with its eye midpoint at eyeMid.
+ * eyeDistance is in pixels, rollDegrees tilts the head clockwise on screen, yawShift moves the
+ * nose across the face and noseRatio down it (in eye distances / eye-to-chin distances), and
+ * eyeOpenness is the eye aspect ratio. expressions: null leaves them out.
+ */
+export const createFaceDetection = ({
+    eyeMid = { x: 320, y: 360 },
+    eyeDistance = 120,
+    rollDegrees = 0,
+    yawShift = 0,
+    noseRatio = NEUTRAL_NOSE_RATIO,
+    eyeOpenness = 0.3,
+    expressions = NEUTRAL_EXPRESSIONS,
+} = {}) => {
+    const angle = rollDegrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const positions = getFacePoints({ eyeOpenness, yawShift, noseRatio }).map(point => ({
+        x: eyeMid.x + (point.x * cos - point.y * sin) * eyeDistance,
+        y: eyeMid.y + (point.x * sin + point.y * cos) * eyeDistance,
+    }));
+
+    const xs = positions.map(point => point.x);
+    const ys = positions.map(point => point.y);
+    const box = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+    return {
+        detection: { box, score: 0.95 },
+        landmarks: {
+            positions,
+            getLeftEye: () => positions.slice(36, 42),
+            getRightEye: () => positions.slice(42, 48),
+        },
+        expressions,
+    };
+};
+
+// Helper Function: Deterministic pixel noise in [-1, 1], standing in for skin texture
+const noiseAt = (x, y) => ((Math.imul(x * 374761393 + y * 668265263, 1274126177) >>> 16) & 255) / 127.5 - 1;
+
+/**
+ * Source photo for a level face from createFaceDetection with the same eyeMid and eyeDistance:
+ * a plain background and a textured skin-colored head from crownRatio eye-to-chin distances
+ * above the eyes down to the chin. Options change one thing at a time for the failing cases:
+ * background(x, y) colors the backdrop, skin is the face color, texture the noise amplitude
+ * (0 gives a featureless, blurred-looking face), shadow darkens the left half of the face by
+ * that share, and redEyes, glare and glasses paint red pupils, lens highlights and a frame
+ * across the bridge of the nose.
+ */
+export const createPortraitCanvas = ({
+    width = 640,
+    height = 800,
+    eyeMid = { x: 320, y: 360 },
+    eyeDistance = 120,
+    crownRatio = 1,
+    background = () => [240, 240, 240],
+    skin = [190, 150, 120],
+    texture = 50,
+    shadow = 0,
+    redEyes = false,
+    glare = false,
+    glasses = false,
+} = {}) => {
+    const eyeChin = EYE_CHIN_RATIO * eyeDistance;
+    const head = { left: eyeMid.x - eyeDistance, right: eyeMid.x + eyeDistance, top: eyeMid.y - crownRatio * eyeChin, bottom: eyeMid.y + eyeChin };
+    const eyeWidth = EYE_WIDTH_RATIO * eyeDistance;
+    const eyeCenters = [eyeMid.x - eyeDistance / 2, eyeMid.x + eyeDistance / 2];
+    const nearEye = (x, y, radius) => eyeCenters.some(centerX => Math.abs(x - centerX) < radius && Math.abs(y - eyeMid.y) < radius);
+
+    return paintPixels(createPixelCanvas(width, height), (x, y) => {
+        if (x < head.left || x >= head.right || y < head.top || y >= head.bottom) return background(x, y);
+        if (redEyes && nearEye(x, y, eyeWidth * 0.15)) return [220, 30, 30];
+        if (glare && nearEye(x, y, eyeWidth * 0.25)) return [255, 255, 255];
+        if (glasses && Math.abs(x - eyeMid.x) < eyeDistance / 2 && y >= eyeMid.y - eyeWidth * 0.3 && y < eyeMid.y - eyeWidth * 0.2) return [0, 0, 0];
+
+        const light = x < eyeMid.x ? 1 - shadow : 1;
+        const offset = texture * noiseAt(x, y);
+        return skin.map(channel => channel * light + offset);
+    });
+};
+
+/**
+ * Person mask (opaque where the person is) for a head drawn by createPortraitCanvas, with the
+ * body continuing below the chin to the bottom of the image.
+ */
+export const createHeadMask = ({ width = 640, height = 800, eyeMid = { x: 320, y: 360 }, eyeDistance = 120, crownRatio = 1 } = {}) => {
+    const top = eyeMid.y - crownRatio * EYE_CHIN_RATIO * eyeDistance;
+    const mask = createPixelCanvas(width, height);
+    for (let y = Math.max(0, Math.ceil(top)); y < height; y++) {
+        for (let x = Math.round(eyeMid.x - eyeDistance); x < Math.round(eyeMid.x + eyeDistance); x++) {
+            mask.data[(y * width + x) * 4 + 3] = 255;
+        }
+    }
+    return mask;
+};
+
+/**
+ * A drawn face on a plain backdrop that the face-api.js networks detect as a level, neutral
+ * face: hair, eyes, eyebrows, nose, mouth and shoulders inside a shaded oval. centers lists the
+ * middle of each face (between the eyes and the mouth) and radius is half the face width.
+ */
+export const createDrawnFacesCanvas = ({ width = 640, height = 800, centers = [{ x: 320, y: 380 }], radius = 100 } = {}) => {
+    const r = radius;
+    const inEllipse = (x, y, centerX, centerY, radiusX, radiusY) => ((x - centerX) / radiusX) ** 2 + ((y - centerY) / radiusY) ** 2 < 1;
+
+    const faceColorAt = (x, y, { x: cx, y: cy }) => {
+        const distance = ((x - cx) / r) ** 2 + ((y - cy) / (r * 1.3)) ** 2;
+        if (inEllipse(x, y, cx, cy - r * 0.35, r * 1.08, r * 1.15) && y < cy - r * 0.55) return [40, 30, 25]; // Hair
+        if (distance < 1) {
+            const shade = 1 - 0.35 * distance ** 1.5;
+            for (const eyeX of [cx - r * 0.4, cx + r * 0.4]) {
+                if (inEllipse(x, y, eyeX, cy - r * 0.12, r * 0.08, r * 0.06)) return [30, 20, 15];
+                if (inEllipse(x, y, eyeX, cy - r * 0.12, r * 0.2, r * 0.06)) return [235, 235, 235];
+                if (inEllipse(x, y, eyeX, cy - r * 0.36, r * 0.24, r * 0.045)) return [50, 35, 30];
+            }
+            for (const nostrilX of [cx - r * 0.08, cx + r * 0.08]) {
+                if (inEllipse(x, y, nostrilX, cy + r * 0.5, r * 0.045, r * 0.03)) return [90, 60, 50];
+            }
+            if (Math.abs(x - cx - r * 0.06) < r * 0.03 && y > cy - r * 0.1 && y < cy + r * 0.47) return [170, 125, 100].map(c => c * shade);
+            if (inEllipse(x, y, cx, cy + r * 0.8, r * 0.28, r * 0.03)) return [150, 70, 70];
+            return [225, 180, 150].map(c => c * shade);
+        }
+        if (y > cy + r * 1.2 && Math.abs(x - cx) < r * 0.45) return [200, 155, 125]; // Neck
+        if (y > cy + r * 1.6 && Math.abs(x - cx) < r * 1.8) return [60, 70, 110]; // Shoulders
+        return null;
+    };
+
+    return paintPixels(createPixelCanvas(width, height), (x, y) => {
+        for (const center of centers) {
+            const color = faceColorAt(x, y, center);
+            if (color) return color;
+        }
+        return [235, 235, 235];
+    });
+};
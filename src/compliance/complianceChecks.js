@@ -0,0 +1,393 @@
+// src/compliance/complianceChecks.js
+import { toOutputPoint } from '../utils/cropGeometry';
+import { getEyeCenter, getInnerFaceRect, estimateHeadPose, HEAD_POSE_LIMITS } from '../utils/headMeasurement';
+import { getLuminanceStats, getLaplacianVariance } from './imageStats';
+import { analyzeEyes } from './eyeAnalysis';
+import { t } from '../i18n/i18n';
+
+export const STATUS_PASS = 'pass';
+export const STATUS_WARN = 'warn';
+export const STATUS_FAIL = 'fail';
+
+// Constants for Compliance Thresholds
+export const MIN_IMAGE_RESOLUTION = 600;
+export const EYE_ANGLE_TOLERANCE_DEGREES = 10;
+const EYE_ANGLE_PASS_DEGREES = 5;
+const MAX_UPSCALE_FACTOR = 1.5; // Enlarging the source more than this makes the photo soft
+const MM_WARN_MARGIN = 1; // How far outside a millimetre range still counts as a warning
+const CENTER_PASS_MM = 1;
+const CENTER_WARN_MM = 2;
+const EYE_OPEN_PASS_RATIO = 0.2; // Eye aspect ratio (height / width) of an open eye
+const EYE_OPEN_WARN_RATIO = 0.15;
+const NEUTRAL_PASS_PROBABILITY = 0.7;
+const NEUTRAL_WARN_PROBABILITY = 0.4;
+export const YAW_PASS_DEGREES = 8;
+export const PITCH_PASS_DEVIATION = 0.08;
+const BACKGROUND_PASS_STDDEV = 10;
+const BACKGROUND_WARN_STDDEV = 20;
+const BACKGROUND_MIN_LUMINANCE = 150; // Backgrounds darker than this are not "light"
+const FACE_LUMINANCE_RANGE = [90, 200];
+const FACE_LUMINANCE_FAIL_RANGE = [50, 230];
+const FACE_CONTRAST_RANGE = [20, 80];
+const SHARPNESS_PASS_VARIANCE = 100;
+const SHARPNESS_WARN_VARIANCE = 40;
+const SHADOW_PASS_RATIO = 0.15; // Relative brightness difference between the two halves of the face
+const SHADOW_WARN_RATIO = 0.3;
+
+// Helper Function: Pick a status from a value and pass/warn limits (lower is better)
+const gradeMax = (value, passLimit, warnLimit) => {
+    if (value <= passLimit) return STATUS_PASS;
+    if (value <= warnLimit) return STATUS_WARN;
+    return STATUS_FAIL;
+};
+
+// Helper Function: Pick a status for a value that should sit inside [min, max]
+const gradeRange = (value, min, max, warnMargin) => {
+    if (value >= min && value <= max) return STATUS_PASS;
+    if (value >= min - warnMargin && value <= max + warnMargin) return STATUS_WARN;
+    return STATUS_FAIL;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Helper Function: Eye aspect ratio from the six landmarks of one eye
+const getEyeAspectRatio = (eye) => (distance(eye[1], eye[5]) + distance(eye[2], eye[4])) / (2 * distance(eye[0], eye[3]));
+
+// Helper Function: Shared landmark-derived measurements used by several checks
+const getFaceMeasurements = (context) => {
+    const { detection, geometry, spec } = context;
+    const landmarks = detection.landmarks;
+    const positions = landmarks.positions;
+    const leftEye = landmarks.getLeftEye();
+    const rightEye = landmarks.getRightEye();
+    const eyeMid = midpoint(getEyeCenter(leftEye), getEyeCenter(rightEye));
+    const pxPerMm = spec.dpi / 25.4;
+
+    return {
+        positions,
+        leftEye,
+        rightEye,
+        eyeMid,
+        noseTip: positions[30],
+        chin: geometry.chin,
+        pxPerMm,
+    };
+};
+
+// Helper Function: Eye analysis of the source, reusing the caller's copy when it has one and
+// otherwise computing it once per context (the checks read the context, they never write to it)
+const computedEyeAnalyses = new WeakMap();
+const getEyeAnalysis = (context) => {
+    if (context.eyeAnalysis) return context.eyeAnalysis;
+    if (!computedEyeAnalyses.has(context)) computedEyeAnalyses.set(context, analyzeEyes(context.sourceCanvas, context.detection));
+    return computedEyeAnalyses.get(context);
+};
+
+// Helper Function: Inner face rectangle (eyebrows to chin, between the jaw points) in output pixels
+const getOutputFaceRect = (context) => {
+    const faceRect = getInnerFaceRect(context.detection.landmarks.positions);
+    const topLeft = toOutputPoint(context.geometry, faceRect);
+    const bottomRight = toOutputPoint(context.geometry, { x: faceRect.x + faceRect.width, y: faceRect.y + faceRect.height });
+    return { x: topLeft.x, y: topLeft.y, width: bottomRight.x - topLeft.x, height: bottomRight.y - topLeft.y };
+};
+
+/**
+ * The list of compliance checks. Each check receives the context
+ * { detection, spec, geometry, sourceCanvas, outputCanvas, eyeAnalysis? } and returns
+ * { status, value, message }, where value is the measurement shown to the user, in the current language.
+ * eyeAnalysis (from analyzeEyes) is computed on demand when not given.
+ * A check's label is the catalog message compliance.<id>.
+ */
+export const COMPLIANCE_CHECKS = [
+    {
+        id: 'resolution',
+        run: ({ sourceCanvas, geometry }) => {
+            const shortestSide = Math.min(sourceCanvas.width, sourceCanvas.height);
+            const value = `${sourceCanvas.width}x${sourceCanvas.height}px`;
+            if (shortestSide < MIN_IMAGE_RESOLUTION) {
+                return { status: STATUS_FAIL, value, message: t('compliance.resolution.tooSmall', { size: MIN_IMAGE_RESOLUTION }) };
+            }
+            if (geometry.scale > MAX_UPSCALE_FACTOR) {
+                return { status: STATUS_WARN, value, message: t('compliance.resolution.upscaled', { scale: geometry.scale.toFixed(1) }) };
+            }
+            return { status: STATUS_PASS, value, message: t('compliance.resolution.ok') };
+        },
+    },
+    {
+        id: 'head-height',
+        run: (context) => {
+            const { geometry, spec } = context;
+            const { pxPerMm } = getFaceMeasurements(context);
+            const outputChin = toOutputPoint(geometry, geometry.chin);
+            const outputCrown = toOutputPoint(geometry, geometry.topOfHead);
+            const headHeightMm = Math.hypot(outputChin.x - outputCrown.x, outputChin.y - outputCrown.y) / pxPerMm;
+            const value = `${headHeightMm.toFixed(1)}mm`;
+            if (geometry.topOfHead.isClipped) {
+                return { status: STATUS_FAIL, value, message: t('compliance.head-height.clipped') };
+            }
+            const status = gradeRange(headHeightMm, spec.headHeightMinMm, spec.headHeightMaxMm, MM_WARN_MARGIN);
+            if (geometry.topOfHead.method === 'estimate') {
+                return {
+                    status: status === STATUS_PASS ? STATUS_WARN : status,
+                    value,
+                    message: t('compliance.head-height.estimated'),
+                };
+            }
+            return {
+                status,
+                value,
+                message: t('compliance.head-height.range', { min: spec.headHeightMinMm, max: spec.headHeightMaxMm }),
+            };
+        },
+    },
+    {
+        id: 'top-margin',
+        run: (context) => {
+            const { geometry, spec } = context;
+            const { pxPerMm } = getFaceMeasurements(context);
+            const topMarginMm = toOutputPoint(geometry, geometry.topOfHead).y / pxPerMm;
+            const status = topMarginMm < 0
+                ? STATUS_FAIL
+                : gradeRange(topMarginMm, spec.topMarginMm - MM_WARN_MARGIN, spec.topMarginMm + MM_WARN_MARGIN, MM_WARN_MARGIN * 1.5);
+            return {
+                status,
+                value: `${topMarginMm.toFixed(1)}mm`,
+                message: topMarginMm < 0 ? t('compliance.top-margin.clipped') : t('compliance.top-margin.target', { margin: spec.topMarginMm }),
+            };
+        },
+    },
+    {
+        id: 'centering',
+        run: (context) => {
+            const { geometry } = context;
+            const { eyeMid, chin, pxPerMm } = getFaceMeasurements(context);
+            const faceAxisX = toOutputPoint(geometry, midpoint(eyeMid, chin)).x;
+            const offsetMm = Math.abs(faceAxisX - geometry.widthPx / 2) / pxPerMm;
+            return {
+                status: gradeMax(offsetMm, CENTER_PASS_MM, CENTER_WARN_MM),
+                value: t('compliance.centering.value', { offset: offsetMm.toFixed(1) }),
+                message: t('compliance.centering.message'),
+            };
+        },
+    },
+    {
+        id: 'eye-line',
+        run: (context) => {
+            const { geometry, spec } = context;
+            const { eyeMid, pxPerMm } = getFaceMeasurements(context);
+            const eyeLineMm = (geometry.heightPx - toOutputPoint(geometry, eyeMid).y) / pxPerMm;
+            return {
+                status: gradeRange(eyeLineMm, spec.eyeLineMinMm, spec.eyeLineMaxMm, MM_WARN_MARGIN),
+                value: t('compliance.eye-line.value', { height: eyeLineMm.toFixed(1) }),
+                message: t('compliance.eye-line.message', { min: spec.eyeLineMinMm, max: spec.eyeLineMaxMm }),
+            };
+        },
+    },
+    {
+        id: 'head-roll',
+        run: (context) => {
+            // Measured on the output, so a tilt levelled by the crop rotation passes
+            const { geometry } = context;
+            const { leftEye, rightEye } = getFaceMeasurements(context);
+            const left = toOutputPoint(geometry, getEyeCenter(leftEye));
+            const right = toOutputPoint(geometry, getEyeCenter(rightEye));
+            const angle = Math.atan2(right.y - left.y, right.x - left.x) * 180 / Math.PI;
+            return {
+                status: gradeMax(Math.abs(angle), EYE_ANGLE_PASS_DEGREES, EYE_ANGLE_TOLERANCE_DEGREES),
+                value: `${angle.toFixed(1)}°`,
+                message: t('compliance.head-roll.message'),
+            };
+        },
+    },
+    {
+        id: 'head-yaw',
+        run: ({ detection }) => {
+            const { yawDegrees } = estimateHeadPose(detection.landmarks);
+            return {
+                status: gradeMax(Math.abs(yawDegrees), YAW_PASS_DEGREES, HEAD_POSE_LIMITS.maxYawDegrees),
+                value: `~${yawDegrees.toFixed(0)}°`,
+                message: t('compliance.head-yaw.message'),
+            };
+        },
+    },
+    {
+        id: 'head-pitch',
+        run: ({ detection }) => {
+            const { pitchRatio, pitchDeviation } = estimateHeadPose(detection.landmarks);
+            return {
+                status: gradeMax(Math.abs(pitchDeviation), PITCH_PASS_DEVIATION, HEAD_POSE_LIMITS.maxPitchDeviation),
+                value: t('compliance.head-pitch.value', { ratio: (pitchRatio * 100).toFixed(0) }),
+                message: t('compliance.head-pitch.message'),
+            };
+        },
+    },
+    {
+        id: 'eyes-open',
+        run: (context) => {
+            const { leftEye, rightEye } = getFaceMeasurements(context);
+            const ratio = Math.min(getEyeAspectRatio(leftEye), getEyeAspectRatio(rightEye));
+            let status = STATUS_FAIL;
+            if (ratio >= EYE_OPEN_PASS_RATIO) status = STATUS_PASS;
+            else if (ratio >= EYE_OPEN_WARN_RATIO) status = STATUS_WARN;
+            return {
+                status,
+                value: t('compliance.eyes-open.value', { ratio: ratio.toFixed(2) }),
+                message: t('compliance.eyes-open.message'),
+            };
+        },
+    },
+    {
+        id: 'red-eye',
+        run: (context) => {
+            const { redEye } = getEyeAnalysis(context);
+            if (redEye.isDetected) {
+                return { status: STATUS_PASS, value: t('compliance.red-eye.corrected'), message: t('compliance.red-eye.correctedMessage') };
+            }
+            return { status: STATUS_PASS, value: t('compliance.none'), message: t('compliance.red-eye.noneMessage') };
+        },
+    },
+    {
+        id: 'glasses-glare',
+        run: (context) => {
+            const { glare, glasses } = getEyeAnalysis(context);
+            if (glare.isDetected) {
+                return {
+                    status: STATUS_WARN,
+                    value: t('compliance.glasses-glare.glareValue', { ratio: (glare.ratio * 100).toFixed(0) }),
+                    message: t('compliance.glasses-glare.glareMessage'),
+                };
+            }
+            if (glasses.isDetected) {
+                return {
+                    status: STATUS_WARN,
+                    value: t('compliance.glasses-glare.glassesValue'),
+                    message: t('compliance.glasses-glare.glassesMessage'),
+                };
+            }
+            return { status: STATUS_PASS, value: t('compliance.none'), message: t('compliance.glasses-glare.noneMessage') };
+        },
+    },
+    {
+        id: 'expression',
+        run: ({ detection }) => {
+            if (!detection.expressions) {
+                return { status: STATUS_WARN, value: t('compliance.notAvailable'), message: t('compliance.expression.unavailable') };
+            }
+            const [dominant, probability] = Object.entries(detection.expressions)
+                .reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+            const neutral = detection.expressions.neutral || 0;
+            let status = STATUS_FAIL;
+            if (neutral >= NEUTRAL_PASS_PROBABILITY) status = STATUS_PASS;
+            else if (neutral >= NEUTRAL_WARN_PROBABILITY) status = STATUS_WARN;
+            return {
+                status,
+                value: t('compliance.expression.value', { expression: t(`compliance.expression.${dominant}`), probability: (probability * 100).toFixed(0) }),
+                message: t('compliance.expression.message'),
+            };
+        },
+    },
+    {
+        id: 'background',
+        run: (context) => {
+            const { geometry, outputCanvas } = context;
+            const headTopY = toOutputPoint(geometry, geometry.topOfHead).y;
+            const eyeY = toOutputPoint(geometry, getFaceMeasurements(context).eyeMid).y;
+            const sideWidth = geometry.widthPx * 0.1;
+            const stats = getLuminanceStats(outputCanvas, [
+                { x: 0, y: 0, width: geometry.widthPx, height: headTopY * 0.8 },
+                { x: 0, y: 0, width: sideWidth, height: eyeY },
+                { x: geometry.widthPx - sideWidth, y: 0, width: sideWidth, height: eyeY },
+            ]);
+            if (!stats) {
+                return { status: STATUS_WARN, value: t('compliance.notAvailable'), message: t('compliance.background.unavailable') };
+            }
+            let status = gradeMax(stats.stdDev, BACKGROUND_PASS_STDDEV, BACKGROUND_WARN_STDDEV);
+            if (status === STATUS_PASS && stats.mean < BACKGROUND_MIN_LUMINANCE) status = STATUS_WARN;
+            return {
+                status,
+                value: t('compliance.background.value', { variation: stats.stdDev.toFixed(1), brightness: stats.mean.toFixed(0) }),
+                message: t('compliance.background.message'),
+            };
+        },
+    },
+    {
+        id: 'exposure',
+        run: (context) => {
+            const stats = getLuminanceStats(context.outputCanvas, [getOutputFaceRect(context)]);
+            if (!stats) {
+                return { status: STATUS_WARN, value: t('compliance.notAvailable'), message: t('compliance.exposure.unavailable') };
+            }
+            let status = STATUS_PASS;
+            if (stats.mean < FACE_LUMINANCE_FAIL_RANGE[0] || stats.mean > FACE_LUMINANCE_FAIL_RANGE[1]) {
+                status = STATUS_FAIL;
+            } else if (stats.mean < FACE_LUMINANCE_RANGE[0] || stats.mean > FACE_LUMINANCE_RANGE[1]
+                || stats.stdDev < FACE_CONTRAST_RANGE[0] || stats.stdDev > FACE_CONTRAST_RANGE[1]) {
+                status = STATUS_WARN;
+            }
+            return {
+                status,
+                value: t('compliance.exposure.value', { brightness: stats.mean.toFixed(0), contrast: stats.stdDev.toFixed(0) }),
+                message: t('compliance.exposure.message'),
+            };
+        },
+    },
+    {
+        id: 'sharpness',
+        run: ({ detection, sourceCanvas }) => {
+            const variance = getLaplacianVariance(sourceCanvas, detection.detection.box);
+            if (variance === null) {
+                return { status: STATUS_WARN, value: t('compliance.notAvailable'), message: t('compliance.sharpness.unavailable') };
+            }
+            let status = STATUS_FAIL;
+            if (variance >= SHARPNESS_PASS_VARIANCE) status = STATUS_PASS;
+            else if (variance >= SHARPNESS_WARN_VARIANCE) status = STATUS_WARN;
+            return {
+                status,
+                value: t('compliance.sharpness.value', { variance: variance.toFixed(0) }),
+                message: t('compliance.sharpness.message'),
+            };
+        },
+    },
+    {
+        id: 'face-shadows',
+        run: (context) => {
+            const { geometry, outputCanvas } = context;
+            const faceRect = getOutputFaceRect(context);
+            const splitX = toOutputPoint(geometry, getFaceMeasurements(context).noseTip).x;
+            const leftStats = getLuminanceStats(outputCanvas, [{ ...faceRect, width: splitX - faceRect.x }]);
+            const rightStats = getLuminanceStats(outputCanvas, [{ ...faceRect, x: splitX, width: faceRect.x + faceRect.width - splitX }]);
+            if (!leftStats || !rightStats) {
+                return { status: STATUS_WARN, value: t('compliance.notAvailable'), message: t('compliance.face-shadows.unavailable') };
+            }
+            const difference = Math.abs(leftStats.mean - rightStats.mean) / Math.max(leftStats.mean, rightStats.mean, 1);
+            return {
+                status: gradeMax(difference, SHADOW_PASS_RATIO, SHADOW_WARN_RATIO),
+                value: t('compliance.face-shadows.value', { difference: (difference * 100).toFixed(0) }),
+                message: t('compliance.face-shadows.message'),
+            };
+        },
+    },
+];
+
+/**
+ * Run every compliance check and collect the results in order.
+ * A check that throws is reported as a warning rather than aborting the whole report.
+ */
+export const runComplianceChecks = (context, checks = COMPLIANCE_CHECKS) => checks.map(check => {
+    const label = t(`compliance.${check.id}`);
+    try {
+        return { id: check.id, label, ...check.run(context) };
+    } catch (err) {
+        console.error(`Compliance check "${check.id}" failed:`, err);
+        return { id: check.id, label, status: STATUS_WARN, value: t('compliance.notAvailable'), message: t('compliance.failed') };
+    }
+});
+
+// Helper Function: Count results by status
+export const summarizeCompliance = (results) => ({
+    passed: results.filter(result => result.status === STATUS_PASS).length,
+    warnings: results.filter(result => result.status === STATUS_WARN).length,
+    failed: results.filter(result => result.status === STATUS_FAIL).length,
+});
@@ -0,0 +1,249 @@
+import { runComplianceChecks, summarizeCompliance, STATUS_PASS, STATUS_WARN, STATUS_FAIL } from './complianceChecks';
+import { computeCrop, drawPhoto } from '../utils/photoPipeline';
+import { DEFAULT_ADJUSTMENTS } from '../utils/cropGeometry';
+import { setCanvasFactory } from '../utils/canvasFactory';
+import { getDocumentSpec } from '../specs/documentSpecs';
+import { t } from '../i18n/i18n';
+import { createPixelCanvas } from '../__fixtures__/pixelCanvas';
+import { createFaceDetection, createPortraitCanvas, createHeadMask, SMILING_EXPRESSIONS } from '../__fixtures__/portraits';
+
+const spec = getDocumentSpec('us-passport');
+const pxPerMm = spec.dpi / 25.4;
+
+// Helper Function: Check context for a synthetic portrait, cropped and drawn the way the editor does it.
+// face and portrait are options for createFaceDetection and createPortraitCanvas; the shared
+// eyeMid and eyeDistance go to both. Without a mask the crown is estimated from the landmarks.
+const createContext = ({ face = {}, portrait = {}, eyeMid, eyeDistance, withMask = true, adjustments = null } = {}) => {
+    const layout = { ...(eyeMid && { eyeMid }), ...(eyeDistance && { eyeDistance }) };
+    const detection = createFaceDetection({ ...layout, ...face });
+    const sourceCanvas = createPortraitCanvas({ ...layout, ...portrait });
+    const maskCanvas = withMask ? createHeadMask({ ...layout, ...portrait }) : null;
+    const { geometry } = computeCrop(detection, spec, { adjustments, maskCanvas });
+    const outputCanvas = createPixelCanvas();
+    drawPhoto(outputCanvas, { sourceCanvas, geometry, spec });
+    return { detection, spec, geometry, sourceCanvas, outputCanvas };
+};
+
+// Helper Function: One check's result for a context
+const runCheck = (context, id) => runComplianceChecks(context).find(result => result.id === id);
+
+describe('runComplianceChecks', () => {
+    let goodContext;
+
+    beforeAll(() => {
+        setCanvasFactory(createPixelCanvas);
+        goodContext = createContext();
+    });
+
+    afterAll(() => {
+        setCanvasFactory(null);
+    });
+
+    test('passes every check for a well-framed portrait', () => {
+        const results = runComplianceChecks(goodContext);
+        expect(results.map(result => result.id)).toEqual([
+            'resolution', 'head-height', 'top-margin', 'centering', 'eye-line', 'head-roll', 'head-yaw', 'head-pitch',
+            'eyes-open', 'red-eye', 'glasses-glare', 'expression', 'background', 'exposure', 'sharpness', 'face-shadows',
+        ]);
+        results.forEach(result => expect(result).toMatchObject({ status: STATUS_PASS, label: t(`compliance.${result.id}`) }));
+        expect(summarizeCompliance(results)).toEqual({ passed: results.length, warnings: 0, failed: 0 });
+    });
+
+    test('does not add the eye analysis to the context', () => {
+        const context = { ...goodContext };
+        runComplianceChecks(context);
+        expect(context).not.toHaveProperty('eyeAnalysis');
+    });
+
+    test('reports a check that throws as a warning', () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const results = runComplianceChecks(goodContext, [{ id: 'resolution', run: () => { throw new Error('broken'); } }]);
+        expect(results).toEqual([{
+            id: 'resolution',
+            label: t('compliance.resolution'),
+            status: STATUS_WARN,
+            value: t('compliance.notAvailable'),
+            message: t('compliance.failed'),
+        }]);
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+
+    describe('resolution', () => {
+        test('fails a source below the minimum size', () => {
+            const context = createContext({ eyeMid: { x: 290, y: 360 }, portrait: { width: 580 } });
+            expect(runCheck(context, 'resolution')).toMatchObject({ status: STATUS_FAIL, value: '580x800px' });
+        });
+
+        test('warns when the face has to be enlarged', () => {
+            expect(runCheck(createContext({ eyeDistance: 60 }), 'resolution').status).toBe(STATUS_WARN);
+        });
+    });
+
+    describe('head-height', () => {
+        test('fails a head larger than the range', () => {
+            const context = createContext({ adjustments: { ...DEFAULT_ADJUSTMENTS, zoomFactor: 1.3 } });
+            expect(runCheck(context, 'head-height').status).toBe(STATUS_FAIL);
+        });
+
+        test('fails a head cut off by the top of the photo', () => {
+            const context = createContext({ eyeMid: { x: 320, y: 100 } });
+            expect(runCheck(context, 'head-height')).toMatchObject({ status: STATUS_FAIL, message: t('compliance.head-height.clipped') });
+        });
+
+        test('warns when the crown was only estimated', () => {
+            expect(runCheck(createContext({ withMask: false }), 'head-height')).toMatchObject({
+                status: STATUS_WARN,
+                message: t('compliance.head-height.estimated'),
+            });
+        });
+    });
+
+    describe('top-margin', () => {
+        test('fails when the crown is above the top edge', () => {
+            const context = createContext({ adjustments: { ...DEFAULT_ADJUSTMENTS, verticalOffset: -100 } });
+            expect(runCheck(context, 'top-margin')).toMatchObject({ status: STATUS_FAIL, message: t('compliance.top-margin.clipped') });
+        });
+
+        test('fails a margin far from the target', () => {
+            const context = createContext({ adjustments: { ...DEFAULT_ADJUSTMENTS, verticalOffset: 5 * pxPerMm } });
+            expect(runCheck(context, 'top-margin').status).toBe(STATUS_FAIL);
+        });
+    });
+
+    describe('centering', () => {
+        test('fails a face off the centre line', () => {
+            const context = createContext({ adjustments: { ...DEFAULT_ADJUSTMENTS, horizontalOffset: 3 * pxPerMm } });
+            expect(runCheck(context, 'centering').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns a face slightly off the centre line', () => {
+            const context = createContext({ adjustments: { ...DEFAULT_ADJUSTMENTS, horizontalOffset: 1.5 * pxPerMm } });
+            expect(runCheck(context, 'centering').status).toBe(STATUS_WARN);
+        });
+    });
+
+    describe('eye-line', () => {
+        test('fails eyes below the band', () => {
+            const context = createContext({ adjustments: { ...DEFAULT_ADJUSTMENTS, verticalOffset: 5 * pxPerMm } });
+            expect(runCheck(context, 'eye-line').status).toBe(STATUS_FAIL);
+        });
+    });
+
+    describe('head-roll', () => {
+        test('passes a tilted head once the crop levels it', () => {
+            expect(runCheck(createContext({ face: { rollDegrees: 12 }, withMask: false }), 'head-roll').status).toBe(STATUS_PASS);
+        });
+
+        test('fails a tilted head that is not levelled', () => {
+            const context = createContext({ face: { rollDegrees: 12 }, withMask: false, adjustments: DEFAULT_ADJUSTMENTS });
+            expect(runCheck(context, 'head-roll')).toMatchObject({ status: STATUS_FAIL, value: '12.0°' });
+        });
+    });
+
+    describe('head-yaw', () => {
+        test('fails a turned head', () => {
+            expect(runCheck(createContext({ face: { yawShift: 0.5 } }), 'head-yaw').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns a slightly turned head', () => {
+            expect(runCheck(createContext({ face: { yawShift: 0.25 } }), 'head-yaw').status).toBe(STATUS_WARN);
+        });
+    });
+
+    describe('head-pitch', () => {
+        test('fails a head tipped down', () => {
+            expect(runCheck(createContext({ face: { noseRatio: 0.65 } }), 'head-pitch').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns a head tipped up a little', () => {
+            expect(runCheck(createContext({ face: { noseRatio: 0.34 } }), 'head-pitch').status).toBe(STATUS_WARN);
+        });
+    });
+
+    describe('eyes-open', () => {
+        test('fails closed eyes', () => {
+            expect(runCheck(createContext({ face: { eyeOpenness: 0.1 } }), 'eyes-open').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns half-closed eyes', () => {
+            expect(runCheck(createContext({ face: { eyeOpenness: 0.17 } }), 'eyes-open').status).toBe(STATUS_WARN);
+        });
+    });
+
+    describe('red-eye', () => {
+        test('reports red eyes as corrected', () => {
+            expect(runCheck(goodContext, 'red-eye').value).toBe(t('compliance.none'));
+            expect(runCheck(createContext({ portrait: { redEyes: true } }), 'red-eye')).toMatchObject({
+                status: STATUS_PASS,
+                value: t('compliance.red-eye.corrected'),
+            });
+        });
+    });
+
+    describe('glasses-glare', () => {
+        test('warns about glare on the lenses', () => {
+            expect(runCheck(createContext({ portrait: { glare: true } }), 'glasses-glare')).toMatchObject({
+                status: STATUS_WARN,
+                message: t('compliance.glasses-glare.glareMessage'),
+            });
+        });
+
+        test('warns about a glasses frame', () => {
+            expect(runCheck(createContext({ portrait: { glasses: true } }), 'glasses-glare')).toMatchObject({
+                status: STATUS_WARN,
+                message: t('compliance.glasses-glare.glassesMessage'),
+            });
+        });
+    });
+
+    describe('expression', () => {
+        test('fails a smile', () => {
+            expect(runCheck(createContext({ face: { expressions: SMILING_EXPRESSIONS } }), 'expression').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns when there are no expressions', () => {
+            expect(runCheck(createContext({ face: { expressions: null } }), 'expression')).toMatchObject({
+                status: STATUS_WARN,
+                message: t('compliance.expression.unavailable'),
+            });
+        });
+    });
+
+    describe('background', () => {
+        test('fails a patterned background', () => {
+            const stripes = (x) => (Math.floor(x / 8) % 2 ? [250, 250, 250] : [150, 150, 150]);
+            expect(runCheck(createContext({ portrait: { background: stripes } }), 'background').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns a plain but dark background', () => {
+            expect(runCheck(createContext({ portrait: { background: () => [100, 100, 100] } }), 'background').status).toBe(STATUS_WARN);
+        });
+    });
+
+    describe('exposure', () => {
+        test('fails an underexposed face', () => {
+            expect(runCheck(createContext({ portrait: { skin: [40, 30, 25], texture: 10 } }), 'exposure').status).toBe(STATUS_FAIL);
+        });
+
+        test('fails an overexposed face', () => {
+            expect(runCheck(createContext({ portrait: { skin: [250, 245, 240], texture: 5 } }), 'exposure').status).toBe(STATUS_FAIL);
+        });
+    });
+
+    describe('sharpness', () => {
+        test('fails a face without detail', () => {
+            expect(runCheck(createContext({ portrait: { texture: 0 } }), 'sharpness').status).toBe(STATUS_FAIL);
+        });
+    });
+
+    describe('face-shadows', () => {
+        test('fails a face with one side in shadow', () => {
+            expect(runCheck(createContext({ portrait: { shadow: 0.5 } }), 'face-shadows').status).toBe(STATUS_FAIL);
+        });
+
+        test('warns a face with one side a little darker', () => {
+            expect(runCheck(createContext({ portrait: { shadow: 0.2 } }), 'face-shadows').status).toBe(STATUS_WARN);
+        });
+    });
+});
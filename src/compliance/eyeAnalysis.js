@@ -0,0 +1,160 @@
+// src/compliance/eyeAnalysis.js
+import { clampRect } from './imageStats';
+
+// Constants for Red-Eye Detection
+const RED_EYE_MIN_RED = 100;
+const RED_EYE_DOMINANCE = 1.8; // Red must exceed both green and blue by this factor
+const RED_EYE_MIN_RATIO = 0.05; // Share of the eye box that must be red
+const RED_EYE_MIN_PIXELS = 20;
+
+// Constants for Glare and Glasses Detection (sizes are relative to the eye width)
+const LENS_WIDTH_RATIO = 1.6;
+const LENS_HEIGHT_RATIO = 1.1;
+const GLARE_MIN_LUMINANCE = 235;
+const GLARE_MAX_SPREAD = 30; // Specular highlights are nearly colorless
+const GLARE_BLOCKS_PER_EYE = 10; // Grid resolution across the eye width
+const GLARE_BLOCK_FILL = 0.5; // Share of glare pixels for a block to count
+const GLARE_MIN_RATIO = 0.02; // Share of the lens area covered by glare blocks
+const BRIDGE_EDGE_RATIO = 2.5; // Frame edge strength relative to the bridge's typical texture
+const BRIDGE_MIN_EDGE = 12;
+
+// Helper Function: Bounding box of a set of landmark points, grown by a margin on each side
+const getBounds = (points, marginRatio = 0) => {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    const width = Math.max(...xs) - x;
+    const height = Math.max(...ys) - y;
+    return {
+        x: x - width * marginRatio,
+        y: y - height * marginRatio,
+        width: width * (1 + 2 * marginRatio),
+        height: height * (1 + 2 * marginRatio),
+    };
+};
+
+// Helper Function: Read a region of a canvas (null if it's outside)
+const readRegion = (canvas, rect) => {
+    const region = clampRect(canvas, rect);
+    if (!region) return null;
+    return { ...region, data: canvas.getContext('2d').getImageData(region.x, region.y, region.width, region.height).data };
+};
+
+// Helper Function: Strongly red pixel, as left by a camera flash reflecting off the retina
+const isRedEyePixel = (r, g, b) => r >= RED_EYE_MIN_RED && r > g * RED_EYE_DOMINANCE && r > b * RED_EYE_DOMINANCE;
+
+// Helper Function: Share of red-eye pixels inside one eye box
+const measureRedEye = (canvas, eyeRect) => {
+    const region = readRegion(canvas, eyeRect);
+    if (!region) return { ratio: 0, pixels: 0 };
+    let pixels = 0;
+    for (let p = 0; p < region.data.length; p += 4) {
+        if (isRedEyePixel(region.data[p], region.data[p + 1], region.data[p + 2])) pixels++;
+    }
+    return { ratio: pixels / (region.width * region.height), pixels };
+};
+
+// Helper Function: Glare blocks (in source pixels) over the lens area around one eye
+const findGlareBlocks = (canvas, eyeBounds) => {
+    const centerX = eyeBounds.x + eyeBounds.width / 2;
+    const centerY = eyeBounds.y + eyeBounds.height / 2;
+    const lensRect = {
+        x: centerX - (eyeBounds.width * LENS_WIDTH_RATIO) / 2,
+        y: centerY - (eyeBounds.width * LENS_HEIGHT_RATIO) / 2,
+        width: eyeBounds.width * LENS_WIDTH_RATIO,
+        height: eyeBounds.width * LENS_HEIGHT_RATIO,
+    };
+    const region = readRegion(canvas, lensRect);
+    if (!region) return { blocks: [], lensArea: 0 };
+
+    const blockSize = Math.max(2, Math.round(eyeBounds.width / GLARE_BLOCKS_PER_EYE));
+    const blocks = [];
+    for (let by = 0; by < region.height; by += blockSize) {
+        for (let bx = 0; bx < region.width; bx += blockSize) {
+            let glarePixels = 0;
+            let total = 0;
+            for (let y = by; y < Math.min(by + blockSize, region.height); y++) {
+                for (let x = bx; x < Math.min(bx + blockSize, region.width); x++) {
+                    const p = (y * region.width + x) * 4;
+                    const r = region.data[p];
+                    const g = region.data[p + 1];
+                    const b = region.data[p + 2];
+                    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+                    if (luminance >= GLARE_MIN_LUMINANCE && Math.max(r, g, b) - Math.min(r, g, b) <= GLARE_MAX_SPREAD) glarePixels++;
+                    total++;
+                }
+            }
+            if (glarePixels / total >= GLARE_BLOCK_FILL) {
+                blocks.push({ x: region.x + bx, y: region.y + by, width: blockSize, height: blockSize });
+            }
+        }
+    }
+    return { blocks, lensArea: region.width * region.height };
+};
+
+// Helper Function: Look for the horizontal edge of a glasses frame across the bridge of the nose
+const detectGlassesBridge = (canvas, leftEye, rightEye) => {
+    const innerLeft = leftEye[3]; // Inner corners of the eyes
+    const innerRight = rightEye[0];
+    const eyeWidth = Math.hypot(leftEye[3].x - leftEye[0].x, leftEye[3].y - leftEye[0].y);
+    const gap = innerRight.x - innerLeft.x;
+    if (gap <= 4) return { isDetected: false, score: 0 };
+
+    const centerY = (innerLeft.y + innerRight.y) / 2;
+    const region = readRegion(canvas, {
+        x: innerLeft.x + gap * 0.2,
+        y: centerY - eyeWidth * 0.6,
+        width: gap * 0.6,
+        height: eyeWidth * 0.7,
+    });
+    if (!region || region.height < 3) return { isDetected: false, score: 0 };
+
+    // Mean vertical luminance change of each row
+    const luminanceAt = (x, y) => {
+        const p = (y * region.width + x) * 4;
+        return 0.299 * region.data[p] + 0.587 * region.data[p + 1] + 0.114 * region.data[p + 2];
+    };
+    const rowEdges = [];
+    for (let y = 1; y < region.height; y++) {
+        let sum = 0;
+        for (let x = 0; x < region.width; x++) sum += Math.abs(luminanceAt(x, y) - luminanceAt(x, y - 1));
+        rowEdges.push(sum / region.width);
+    }
+    const strongest = Math.max(...rowEdges);
+    const typical = rowEdges.slice().sort((a, b) => a - b)[Math.floor(rowEdges.length / 2)];
+    const score = strongest / (typical + 1);
+    return { isDetected: strongest >= BRIDGE_MIN_EDGE && score >= BRIDGE_EDGE_RATIO, score };
+};
+
+/**
+ * Inspect the eye regions of a detection in the source image.
+ * Returns {
+ *   redEye: { isDetected, eyeRects } - eyeRects are the boxes to correct, in source pixels,
+ *   glare: { isDetected, ratio, blocks } - blocks are highlight patches in source pixels,
+ *   glasses: { isDetected, score }
+ * }.
+ */
+export const analyzeEyes = (sourceCanvas, detection) => {
+    const landmarks = detection.landmarks;
+    const leftEye = landmarks.getLeftEye();
+    const rightEye = landmarks.getRightEye();
+    const eyeRects = [getBounds(leftEye, 0.2), getBounds(rightEye, 0.2)];
+
+    const redEyeMeasurements = eyeRects.map(rect => measureRedEye(sourceCanvas, rect));
+    const redEyeRects = eyeRects.filter((rect, i) => (
+        redEyeMeasurements[i].ratio >= RED_EYE_MIN_RATIO && redEyeMeasurements[i].pixels >= RED_EYE_MIN_PIXELS
+    ));
+
+    const glareResults = [getBounds(leftEye), getBounds(rightEye)].map(bounds => findGlareBlocks(sourceCanvas, bounds));
+    const glareBlocks = glareResults.flatMap(result => result.blocks);
+    const glareArea = glareBlocks.reduce((sum, block) => sum + block.width * block.height, 0);
+    const lensArea = glareResults.reduce((sum, result) => sum + result.lensArea, 0);
+    const glareRatio = lensArea > 0 ? glareArea / lensArea : 0;
+
+    return {
+        redEye: { isDetected: redEyeRects.length > 0, eyeRects: redEyeRects },
+        glare: { isDetected: glareRatio >= GLARE_MIN_RATIO, ratio: glareRatio, blocks: glareBlocks },
+        glasses: detectGlassesBridge(sourceCanvas, leftEye, rightEye),
+    };
+};
@@ -0,0 +1,86 @@
+// src/compliance/imageStats.js
+import { createCanvas } from '../utils/canvasFactory';
+
+const SHARPNESS_SAMPLE_WIDTH = 256; // Sharpness is measured at a fixed width so it doesn't depend on resolution
+
+// Helper Function: Clamp a rectangle to the canvas bounds (returns null if nothing is left)
+export const clampRect = (canvas, rect) => {
+    const x = Math.max(0, Math.floor(rect.x));
+    const y = Math.max(0, Math.floor(rect.y));
+    const right = Math.min(canvas.width, Math.ceil(rect.x + rect.width));
+    const bottom = Math.min(canvas.height, Math.ceil(rect.y + rect.height));
+    if (right - x < 1 || bottom - y < 1) return null;
+    return { x, y, width: right - x, height: bottom - y };
+};
+
+// Helper Function: Rec. 601 luma of an RGBA pixel
+const luminanceAt = (data, p) => 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+
+/**
+ * Mean and standard deviation of luminance (0-255) over one or more canvas regions,
+ * plus the mean RGB color. Returns null if none of the regions are inside the canvas.
+ */
+export const getLuminanceStats = (canvas, rects) => {
+    const ctx = canvas.getContext('2d');
+    let count = 0;
+    let sum = 0;
+    let sumSquares = 0;
+    const colorSum = [0, 0, 0];
+
+    rects.forEach(rect => {
+        const region = clampRect(canvas, rect);
+        if (!region) return;
+        const { data } = ctx.getImageData(region.x, region.y, region.width, region.height);
+        for (let p = 0; p < data.length; p += 4) {
+            const luminance = luminanceAt(data, p);
+            sum += luminance;
+            sumSquares += luminance * luminance;
+            colorSum[0] += data[p];
+            colorSum[1] += data[p + 1];
+            colorSum[2] += data[p + 2];
+            count++;
+        }
+    });
+
+    if (count === 0) return null;
+    const mean = sum / count;
+    return {
+        mean,
+        stdDev: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+        meanColor: colorSum.map(channel => channel / count),
+        pixelCount: count,
+    };
+};
+
+// Variance of the Laplacian over a region; higher values mean a sharper image
+export const getLaplacianVariance = (canvas, rect) => {
+    const region = clampRect(canvas, rect);
+    if (!region) return null;
+
+    const sampleScale = Math.min(1, SHARPNESS_SAMPLE_WIDTH / region.width);
+    const width = Math.max(3, Math.round(region.width * sampleScale));
+    const height = Math.max(3, Math.round(region.height * sampleScale));
+
+    const sampleCanvas = createCanvas(width, height);
+    const sampleCtx = sampleCanvas.getContext('2d');
+    sampleCtx.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, width, height);
+    const { data } = sampleCtx.getImageData(0, 0, width, height);
+
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) gray[i] = luminanceAt(data, i * 4);
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+};
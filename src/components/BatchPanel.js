@@ -0,0 +1,262 @@
+import React, { useState, useMemo } from 'react';
+import { STATUS_PASS, STATUS_FAIL, STATUS_WARN, summarizeCompliance } from '../compliance/complianceChecks';
+import { ITEM_QUEUED, ITEM_PROCESSING, ITEM_DONE, ITEM_ERROR } from '../hooks/useBatchQueue';
+import { getPhotoFormat } from '../utils/photoPipeline';
+import { groupByIdentity, compareFaces, MATCH_SAME, MATCH_UNSURE, MATCH_DIFFERENT } from '../utils/faceIdentity';
+import { createZip } from '../utils/zip';
+import { downloadBlob } from '../utils/download';
+import { IMAGE_FILE_ACCEPT } from '../utils/imageIngestion';
+import useTranslation from '../hooks/useTranslation';
+
+// --- Styles as CSS objects for better readability ---
+const panelStyle = {
+    border: '1px solid #ddd',
+    borderRadius: '5px',
+    padding: '15px',
+    margin: '20px auto',
+    maxWidth: '900px',
+    textAlign: 'center'
+};
+
+const optionsRowStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    marginBottom: '10px'
+};
+
+const gridStyle = {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(130px, 1fr))',
+    gap: '12px',
+    margin: '15px 0',
+    textAlign: 'start'
+};
+
+const cardStyle = {
+    border: '1px solid #ccc',
+    borderRadius: '5px',
+    padding: '6px',
+    fontSize: '12px',
+    background: 'white'
+};
+
+const thumbnailStyle = {
+    display: 'block',
+    width: '100%',
+    aspectRatio: '3 / 4',
+    objectFit: 'contain',
+    background: '#f4f4f4',
+    marginBottom: '4px'
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#f0f0f0',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '13px'
+};
+
+const exportButtonStyle = {
+    padding: '10px 20px',
+    backgroundColor: 'var(--accent-color, #0062cc)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '16px',
+};
+
+const warningStyle = {
+    color: '#a65e00',
+    fontSize: '14px',
+    fontWeight: 'bold'
+};
+
+const STATUS_DISPLAY = {
+    [ITEM_QUEUED]: { textKey: 'batch.status.waiting', color: '#666' },
+    [ITEM_PROCESSING]: { textKey: 'batch.status.processing', color: 'var(--accent-color, #0062cc)' },
+    [ITEM_ERROR]: { textKey: 'batch.status.failed', color: '#c0392b' },
+    [STATUS_PASS]: { textKey: 'batch.status.compliant', color: '#1e7e34' },
+    [STATUS_WARN]: { textKey: 'batch.status.warnings', color: '#a65e00' },
+    [STATUS_FAIL]: { textKey: 'batch.status.fails', color: '#c0392b' },
+};
+
+const REFERENCE_MATCH_COLORS = {
+    [MATCH_SAME]: '#1e7e34',
+    [MATCH_UNSURE]: '#a65e00',
+    [MATCH_DIFFERENT]: '#c0392b',
+};
+
+
+// Helper Function: Overall compliance status of a processed item (worst check wins)
+const getComplianceStatus = (results) => {
+    const summary = summarizeCompliance(results);
+    if (summary.failed > 0) return STATUS_FAIL;
+    if (summary.warnings > 0) return STATUS_WARN;
+    return STATUS_PASS;
+};
+
+// Helper Function: File-name-safe slug of an original file name, without its extension
+const toFileSlug = (name) => name
+    .replace(/^.*[\\/]/, '')
+    .replace(/\.[^.]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'photo';
+
+// Helper Function: Consistent export name, e.g. pakistan-passport-photo-003-ali-khan.jpg
+// The number is the item's place in the queue, so a photo that failed doesn't renumber the ones after it
+const getBatchFileName = (spec, index, item) => {
+    const number = String(index + 1).padStart(3, '0');
+    return `${spec.fileName}-${number}-${toFileSlug(item.name)}.${getPhotoFormat(spec).extension}`;
+};
+
+
+// Multi-photo queue: add files or a folder, review each result and export them all as a ZIP
+// With identity checks on (items have descriptors), photos are grouped by person and checked against the reference
+const BatchPanel = ({ spec, items, activeItemId, referenceDescriptor = null, disabled, onAddFiles, onOpenItem, onRemoveItem, onClear }) => {
+    const [isExporting, setIsExporting] = useState(false);
+    const [skippedCount, setSkippedCount] = useState(0);
+    const { t } = useTranslation();
+
+    const doneItems = items.filter(item => item.status === ITEM_DONE);
+    const pendingCount = items.filter(item => item.status === ITEM_QUEUED || item.status === ITEM_PROCESSING).length;
+
+    // Person number of each item (null without a descriptor), so mix-ups in a family batch stand out
+    const personGroups = useMemo(() => groupByIdentity(items.map(item => item.descriptor)), [items]);
+    const personCount = new Set(personGroups.filter(group => group !== null)).size;
+    // Photos of someone already earlier in the batch: a family has one photo per person, so these are likely mix-ups
+    const repeatedCount = personGroups.filter((group, index) => group !== null && personGroups.indexOf(group) !== index).length;
+    const mismatchCount = referenceDescriptor
+        ? items.filter(item => item.descriptor && compareFaces(item.descriptor, referenceDescriptor).match === MATCH_DIFFERENT).length
+        : 0;
+
+    const handleFilesSelected = (event) => {
+        const files = event.target.files;
+        const addedCount = onAddFiles(files);
+        setSkippedCount(files.length - addedCount);
+        event.target.value = ''; // Allow picking the same files again
+    };
+
+    // Export every processed photo as one ZIP
+    const handleExportZip = async () => {
+        if (doneItems.length === 0) return;
+
+        const failingCount = doneItems.filter(item => getComplianceStatus(item.complianceResults) === STATUS_FAIL).length;
+        if (failingCount > 0 && !window.confirm(t('batch.confirmFailing', { count: failingCount }))) {
+            return;
+        }
+
+        setIsExporting(true);
+        try {
+            const entries = await Promise.all(doneItems.map(async (item) => ({
+                name: getBatchFileName(spec, items.indexOf(item), item),
+                data: new Uint8Array(await item.outputBlob.arrayBuffer()),
+            })));
+            downloadBlob(createZip(entries), `${spec.fileName}-batch.zip`);
+        } catch (err) {
+            console.error("Batch export error:", err);
+            alert(t('batch.exportError'));
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div style={panelStyle}>
+            <h3>{t('batch.title')}</h3>
+            <div style={optionsRowStyle}>
+                <label>
+                    {t('batch.addPhotos')}
+                    <input type="file" accept={IMAGE_FILE_ACCEPT} multiple onChange={handleFilesSelected} disabled={disabled} style={{ marginInlineStart: '5px' }} />
+                </label>
+                <label>
+                    {t('batch.addFolder')}
+                    <input type="file" webkitdirectory="" multiple onChange={handleFilesSelected} disabled={disabled} style={{ marginInlineStart: '5px' }} />
+                </label>
+            </div>
+            {skippedCount > 0 && <p style={{ color: '#666', fontSize: '13px' }} role="status">{t('batch.skipped', { count: skippedCount })}</p>}
+
+            {items.length > 0 && (
+                <>
+                    <p style={{ fontSize: '14px' }} role="status">
+                        {pendingCount > 0
+                            ? t('batch.progressQueued', { done: doneItems.length, total: items.length, pending: pendingCount })
+                            : t('batch.progress', { done: doneItems.length, total: items.length })}
+                    </p>
+                    {repeatedCount > 0 && (
+                        <p style={warningStyle} role="alert">
+                            {t('batch.repeatedPeople', { count: repeatedCount })}
+                        </p>
+                    )}
+                    {mismatchCount > 0 && (
+                        <p style={warningStyle} role="alert">
+                            {t('batch.referenceMismatches', { count: mismatchCount })}
+                        </p>
+                    )}
+                    <div style={gridStyle}>
+                        {items.map((item, index) => {
+                            const statusKey = item.status === ITEM_DONE ? getComplianceStatus(item.complianceResults) : item.status;
+                            const display = STATUS_DISPLAY[statusKey];
+                            const isActive = item.id === activeItemId;
+                            const referenceMatch = referenceDescriptor && item.descriptor && compareFaces(item.descriptor, referenceDescriptor);
+                            return (
+                                <div key={item.id} style={{ ...cardStyle, borderColor: isActive ? 'var(--accent-color, #0062cc)' : '#ccc' }}>
+                                    {item.thumbnailUrl
+                                        ? <img src={item.thumbnailUrl} alt={item.name} style={thumbnailStyle} />
+                                        : <div style={thumbnailStyle} />}
+                                    <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.name}>
+                                        {item.name}
+                                    </div>
+                                    <div style={{ color: display.color, fontWeight: 'bold', margin: '2px 0' }} title={item.error || ''}>
+                                        {t(display.textKey)}
+                                    </div>
+                                    {item.error && <div style={{ color: '#666' }}>{item.error}</div>}
+                                    {personGroups[index] !== null && personCount > 1 && <div>{t('batch.person', { number: personGroups[index] + 1 })}</div>}
+                                    {referenceMatch && (
+                                        <div style={{ color: REFERENCE_MATCH_COLORS[referenceMatch.match] }}>
+                                            {t('batch.referenceMatch', { similarity: Math.round(referenceMatch.similarity * 100) })}
+                                            {referenceMatch.match === MATCH_DIFFERENT && ' ✗'}
+                                        </div>
+                                    )}
+                                    <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                                        <button
+                                            style={buttonStyle}
+                                            onClick={() => onOpenItem(item)}
+                                            disabled={disabled || item.status === ITEM_PROCESSING}
+                                            aria-label={t('batch.editItem', { name: item.name })}
+                                            aria-pressed={isActive}
+                                        >
+                                            {isActive ? t('batch.editing') : t('batch.edit')}
+                                        </button>
+                                        <button style={buttonStyle} onClick={() => onRemoveItem(item.id)} aria-label={t('batch.removeItem', { name: item.name })}>
+                                            {t('batch.remove')}
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div style={optionsRowStyle}>
+                        <button
+                            onClick={handleExportZip}
+                            disabled={isExporting || doneItems.length === 0}
+                            style={exportButtonStyle}
+                        >
+                            {isExporting ? t('batch.exporting') : t('batch.downloadZip', { count: doneItems.length })}
+                        </button>
+                        <button style={buttonStyle} onClick={onClear}>{t('batch.clear')}</button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BatchPanel;
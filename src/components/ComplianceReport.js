@@ -0,0 +1,79 @@
+import React from 'react';
+import { STATUS_PASS, summarizeCompliance } from '../compliance/complianceChecks';
+import useTranslation from '../hooks/useTranslation';
+
+// --- Styles as CSS objects for better readability ---
+const reportStyle = {
+    margin: '20px auto',
+    maxWidth: '600px',
+    textAlign: 'start'
+};
+
+const tableStyle = {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '14px'
+};
+
+const cellStyle = {
+    borderBottom: '1px solid #ddd',
+    padding: '6px 8px',
+    verticalAlign: 'top'
+};
+
+const headerCellStyle = {
+    ...cellStyle,
+    textAlign: 'start',
+    fontWeight: 'bold'
+};
+
+const STATUS_DISPLAY = {
+    pass: { icon: '✓', color: '#1e7e34', textKey: 'report.pass' },
+    warn: { icon: '!', color: '#a65e00', textKey: 'report.warn' },
+    fail: { icon: '✗', color: '#c0392b', textKey: 'report.fail' },
+};
+
+
+// Per-check pass/warn/fail checklist with the measured values
+const ComplianceReport = ({ results }) => {
+    const { t } = useTranslation();
+    if (!results || results.length === 0) return null;
+
+    const summary = summarizeCompliance(results);
+
+    return (
+        <div style={reportStyle}>
+            <h3 id="compliance-report-title">{t('report.title')}</h3>
+            <p>{t('report.summary', summary)}</p>
+            <table style={tableStyle} aria-labelledby="compliance-report-title">
+                <thead>
+                    <tr>
+                        <th scope="col" style={headerCellStyle}>{t('report.status')}</th>
+                        <th scope="col" style={headerCellStyle}>{t('report.check')}</th>
+                        <th scope="col" style={headerCellStyle}>{t('report.value')}</th>
+                        <th scope="col" style={headerCellStyle}>{t('report.details')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {results.map(result => {
+                        const display = STATUS_DISPLAY[result.status];
+                        return (
+                            <tr key={result.id}>
+                                <td style={{ ...cellStyle, color: display.color, fontWeight: 'bold', whiteSpace: 'nowrap' }}>
+                                    <span aria-hidden="true">{display.icon}</span> {t(display.textKey)}
+                                </td>
+                                <th scope="row" style={{ ...cellStyle, textAlign: 'start', fontWeight: 'normal' }}>{result.label}</th>
+                                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{result.value}</td>
+                                <td style={{ ...cellStyle, color: result.status === STATUS_PASS ? '#666' : display.color }}>
+                                    {result.message}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default ComplianceReport;
@@ -0,0 +1,415 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { MIN_ZOOM_FACTOR, MAX_ZOOM_FACTOR, MAX_ROTATION_DEGREES } from '../utils/cropGeometry';
+import { mmToPx } from '../specs/documentSpecs';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Direct Manipulation
+const ZOOM_STEP = 0.01; // Zoom change per button press or key press
+const ROTATION_STEP = 0.5; // Degrees per button press or key press
+const NUDGE_STEP = 1; // Output pixels per arrow key press
+const LARGE_NUDGE_STEP = 10; // Output pixels per shift + arrow key press
+const WHEEL_ZOOM_SENSITIVITY = 0.0015;
+const WHEEL_HISTORY_GAP_MS = 400; // Wheel events closer together than this are undone as one step
+const OVERLAY_PX_PER_MM = 10; // Resolution of the guide overlay
+const DEFAULT_OVERLAYS = { crown: true, chin: true, eyes: true, center: true };
+const OVERLAY_IDS = ['crown', 'chin', 'eyes', 'center'];
+const KEY_SHORTCUTS = 'ArrowLeft ArrowRight ArrowUp ArrowDown + - [ ] Control+Z Control+Shift+Z';
+
+
+// --- Styles as CSS objects for better readability ---
+const editorStyle = {
+    outline: 'none'
+};
+
+const stageStyle = {
+    position: 'relative',
+    display: 'inline-block',
+    width: '100%',
+    cursor: 'grab',
+    touchAction: 'none',
+    userSelect: 'none',
+    direction: 'ltr' // Keeps the guides aligned with the photo in right-to-left layouts
+};
+
+const canvasStyle = {
+    display: 'block',
+    width: '99%',
+    height: 'auto',
+    border: '1px solid black'
+};
+
+const overlayStyle = {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: '99%',
+    height: '100%',
+    pointerEvents: 'none'
+};
+
+const rotationHandleStyle = {
+    position: 'absolute',
+    top: '2%',
+    width: '18px',
+    height: '18px',
+    marginLeft: '-9px',
+    borderRadius: '50%',
+    backgroundColor: 'var(--accent-color, #0062cc)',
+    border: '2px solid white',
+    boxShadow: '0 0 3px rgba(0, 0, 0, 0.5)',
+    cursor: 'alias',
+    touchAction: 'none'
+};
+
+const toolbarStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '10px'
+};
+
+const toolButtonStyle = {
+    padding: '6px 10px',
+    backgroundColor: '#f0f0f0',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '13px'
+};
+
+const overlayTogglesStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: '10px',
+    marginTop: '8px',
+    fontSize: '13px'
+};
+
+
+const clampZoom = (zoom) => Math.min(Math.max(zoom, MIN_ZOOM_FACTOR), MAX_ZOOM_FACTOR);
+const clampRotation = (degrees) => Math.min(Math.max(degrees, -MAX_ROTATION_DEGREES), MAX_ROTATION_DEGREES);
+
+// Helper Function: Draw the spec guide lines (positions in millimetres) onto the overlay canvas, labelled with t
+const drawGuides = (canvas, spec, overlays, t) => {
+    const toPx = (mm) => mm * OVERLAY_PX_PER_MM;
+    canvas.width = Math.round(toPx(spec.widthMm));
+    canvas.height = Math.round(toPx(spec.heightMm));
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = `${Math.round(toPx(1.6))}px Arial, sans-serif`;
+    ctx.lineWidth = 2;
+    ctx.textAlign = 'left'; // Labels start at the left edge whatever the text direction
+
+    const horizontalLine = (yMm, color, label, dashed) => {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.setLineDash(dashed ? [8, 6] : []);
+        ctx.beginPath();
+        ctx.moveTo(0, toPx(yMm));
+        ctx.lineTo(canvas.width, toPx(yMm));
+        ctx.stroke();
+        ctx.fillText(label, 4, toPx(yMm) - 4);
+    };
+
+    if (overlays.eyes) {
+        const bandTop = spec.heightMm - spec.eyeLineMaxMm;
+        const bandBottom = spec.heightMm - spec.eyeLineMinMm;
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.15)';
+        ctx.fillRect(0, toPx(bandTop), canvas.width, toPx(bandBottom - bandTop));
+        horizontalLine(bandTop, '#0056b3', t('crop.guide.eyes', { min: spec.eyeLineMinMm, max: spec.eyeLineMaxMm }), true);
+        horizontalLine(bandBottom, '#0056b3', '', true);
+    }
+    if (overlays.crown) {
+        horizontalLine(spec.topMarginMm, '#1e7e34', t('crop.guide.crown', { margin: spec.topMarginMm }), false);
+    }
+    if (overlays.chin) {
+        horizontalLine(spec.topMarginMm + spec.headHeightMinMm, '#a65e00', t('crop.guide.chin', { height: spec.headHeightMinMm }), true);
+        horizontalLine(spec.topMarginMm + spec.headHeightMaxMm, '#a65e00', t('crop.guide.chin', { height: spec.headHeightMaxMm }), true);
+    }
+    if (overlays.center) {
+        ctx.strokeStyle = '#c0392b';
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.moveTo(canvas.width / 2, 0);
+        ctx.lineTo(canvas.width / 2, canvas.height);
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+};
+
+
+// Interactive crop preview: drag to pan, wheel/pinch to scale, handle to rotate, keyboard nudging
+const CropEditor = ({
+    canvasRef,
+    spec,
+    adjustments,
+    pivot,
+    disabled,
+    onChange,
+    onCheckpoint,
+    onUndo,
+    onRedo,
+    canUndo,
+    canRedo,
+    onReset,
+    onAutoFit,
+    onLevel,
+}) => {
+    const stageRef = useRef(null);
+    const overlayCanvasRef = useRef(null);
+    const pointersRef = useRef(new Map()); // Active pointers on the stage, by pointer id
+    const gestureRef = useRef(null); // State captured at the start of a drag, pinch or rotation
+    const lastWheelTimeRef = useRef(0);
+    const [overlays, setOverlays] = useState(DEFAULT_OVERLAYS);
+    const { t } = useTranslation();
+
+    // Redraw the guides when the spec, visible overlays or language change
+    useEffect(() => {
+        if (overlayCanvasRef.current) drawGuides(overlayCanvasRef.current, spec, overlays, t);
+    }, [spec, overlays, t]);
+
+    // Helper Function: Convert screen pixels to output canvas pixels
+    const getOutputScale = () => {
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        return rect.width > 0 ? canvas.width / rect.width : 1;
+    };
+
+    // Helper Function: Record one history entry per gesture, on its first actual change
+    const changeDuringGesture = (updater) => {
+        const gesture = gestureRef.current;
+        if (gesture && !gesture.hasCheckpoint) {
+            onCheckpoint();
+            gesture.hasCheckpoint = true;
+        }
+        onChange(updater, { record: false });
+    };
+
+    // Helper Function: Capture distance and angle between the two pinch pointers
+    const getPinchState = () => {
+        const [first, second] = Array.from(pointersRef.current.values());
+        return {
+            distance: Math.hypot(second.x - first.x, second.y - first.y),
+            angle: Math.atan2(second.y - first.y, second.x - first.x),
+        };
+    };
+
+    // Stage Pointer Handlers (pan with one pointer, pinch-zoom and twist with two)
+    const handlePointerDown = (event) => {
+        if (disabled) return;
+        stageRef.current.focus();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        pointersRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (pointersRef.current.size === 1) {
+            gestureRef.current = { type: 'pan', lastX: event.clientX, lastY: event.clientY };
+        } else if (pointersRef.current.size === 2) {
+            gestureRef.current = {
+                type: 'pinch',
+                start: getPinchState(),
+                startZoom: adjustments.zoomFactor,
+                startRotation: adjustments.rotationDegrees,
+                hasCheckpoint: gestureRef.current ? gestureRef.current.hasCheckpoint : false,
+            };
+        }
+    };
+
+    const handlePointerMove = (event) => {
+        if (!pointersRef.current.has(event.pointerId)) return;
+        pointersRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const gesture = gestureRef.current;
+        if (!gesture) return;
+
+        if (gesture.type === 'pan') {
+            const scale = getOutputScale();
+            const dx = (event.clientX - gesture.lastX) * scale;
+            const dy = (event.clientY - gesture.lastY) * scale;
+            gesture.lastX = event.clientX;
+            gesture.lastY = event.clientY;
+            if (dx === 0 && dy === 0) return;
+            changeDuringGesture(prev => ({
+                ...prev,
+                horizontalOffset: prev.horizontalOffset + dx,
+                verticalOffset: prev.verticalOffset + dy,
+            }));
+        } else if (gesture.type === 'pinch' && pointersRef.current.size === 2) {
+            const current = getPinchState();
+            const twistDegrees = (current.angle - gesture.start.angle) * 180 / Math.PI;
+            changeDuringGesture(prev => ({
+                ...prev,
+                zoomFactor: clampZoom(gesture.startZoom * (current.distance / gesture.start.distance)),
+                rotationDegrees: clampRotation(gesture.startRotation + twistDegrees),
+            }));
+        }
+    };
+
+    const handlePointerUp = (event) => {
+        pointersRef.current.delete(event.pointerId);
+        if (pointersRef.current.size === 0) {
+            gestureRef.current = null;
+        } else if (pointersRef.current.size === 1 && gestureRef.current) {
+            // Continue as a pan with the remaining pointer
+            const [remaining] = Array.from(pointersRef.current.values());
+            gestureRef.current = { ...gestureRef.current, type: 'pan', lastX: remaining.x, lastY: remaining.y };
+        }
+    };
+
+    // Rotation Handle Handlers
+    const getPivotAngle = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const scale = getOutputScale();
+        const pivotX = rect.left + pivot.x / scale;
+        const pivotY = rect.top + pivot.y / scale;
+        return Math.atan2(event.clientX - pivotX, pivotY - event.clientY) * 180 / Math.PI;
+    };
+
+    const handleRotatePointerDown = (event) => {
+        if (disabled || !pivot) return;
+        event.stopPropagation();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        gestureRef.current = {
+            type: 'rotate',
+            startAngle: getPivotAngle(event),
+            startRotation: adjustments.rotationDegrees,
+        };
+    };
+
+    const handleRotatePointerMove = (event) => {
+        const gesture = gestureRef.current;
+        if (!gesture || gesture.type !== 'rotate') return;
+        event.stopPropagation();
+        const rotation = clampRotation(gesture.startRotation + getPivotAngle(event) - gesture.startAngle);
+        changeDuringGesture(prev => ({ ...prev, rotationDegrees: rotation }));
+    };
+
+    const handleRotatePointerUp = (event) => {
+        event.stopPropagation();
+        gestureRef.current = null;
+    };
+
+    // Wheel zoom; registered natively so the page doesn't scroll while zooming
+    useEffect(() => {
+        const stage = stageRef.current;
+        if (!stage) return undefined;
+
+        const handleWheel = (event) => {
+            if (disabled) return;
+            event.preventDefault();
+            const now = Date.now();
+            const record = now - lastWheelTimeRef.current > WHEEL_HISTORY_GAP_MS;
+            lastWheelTimeRef.current = now;
+            const factor = Math.exp(-event.deltaY * WHEEL_ZOOM_SENSITIVITY);
+            onChange(prev => ({ ...prev, zoomFactor: clampZoom(prev.zoomFactor * factor) }), { record });
+        };
+        stage.addEventListener('wheel', handleWheel, { passive: false });
+        return () => stage.removeEventListener('wheel', handleWheel);
+    }, [disabled, onChange]);
+
+    // Toolbar Handlers
+    const zoomBy = (delta) => onChange(prev => ({ ...prev, zoomFactor: clampZoom(prev.zoomFactor + delta) }));
+    const rotateBy = (delta) => onChange(prev => ({ ...prev, rotationDegrees: clampRotation(prev.rotationDegrees + delta) }));
+    const nudge = (dx, dy) => onChange(prev => ({
+        ...prev,
+        horizontalOffset: prev.horizontalOffset + dx,
+        verticalOffset: prev.verticalOffset + dy,
+    }));
+
+    // Keyboard: arrows nudge, +/- zoom, [ ] rotate, Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo
+    const handleKeyDown = (event) => {
+        if (disabled) return;
+        const step = event.shiftKey ? LARGE_NUDGE_STEP : NUDGE_STEP;
+        const isModifier = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+
+        if (isModifier && key === 'z') {
+            if (event.shiftKey) onRedo(); else onUndo();
+        } else if (isModifier && key === 'y') {
+            onRedo();
+        } else if (event.key === 'ArrowLeft') {
+            nudge(-step, 0);
+        } else if (event.key === 'ArrowRight') {
+            nudge(step, 0);
+        } else if (event.key === 'ArrowUp') {
+            nudge(0, -step);
+        } else if (event.key === 'ArrowDown') {
+            nudge(0, step);
+        } else if (event.key === '+' || event.key === '=') {
+            zoomBy(ZOOM_STEP);
+        } else if (event.key === '-') {
+            zoomBy(-ZOOM_STEP);
+        } else if (event.key === '[') {
+            rotateBy(-ROTATION_STEP);
+        } else if (event.key === ']') {
+            rotateBy(ROTATION_STEP);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    };
+
+    const handleOverlayToggle = (overlayId) => (event) => {
+        const checked = event.target.checked;
+        setOverlays(prevOverlays => ({ ...prevOverlays, [overlayId]: checked }));
+    };
+
+    return (
+        <div style={editorStyle}>
+            <div
+                ref={stageRef}
+                tabIndex={0}
+                role="group"
+                aria-label={t('crop.stageLabel')}
+                aria-keyshortcuts={KEY_SHORTCUTS}
+                style={stageStyle}
+                onKeyDown={handleKeyDown}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                title={t('crop.stageHint')}
+            >
+                <canvas ref={canvasRef} style={canvasStyle} />
+                <canvas ref={overlayCanvasRef} style={overlayStyle} aria-hidden="true" />
+                {pivot && !disabled && (
+                    <div
+                        style={{ ...rotationHandleStyle, left: `${(pivot.x / mmToPx(spec.widthMm, spec.dpi)) * 99}%` }}
+                        onPointerDown={handleRotatePointerDown}
+                        onPointerMove={handleRotatePointerMove}
+                        onPointerUp={handleRotatePointerUp}
+                        onPointerCancel={handleRotatePointerUp}
+                        title={t('crop.rotateHandle')}
+                        aria-hidden="true" // Rotate Left / Rotate Right and the [ ] keys do the same from the keyboard
+                    />
+                )}
+            </div>
+
+            <div style={toolbarStyle}>
+                <button style={toolButtonStyle} onClick={() => zoomBy(-ZOOM_STEP)} disabled={disabled}>{t('crop.zoomOut')}</button>
+                <button style={toolButtonStyle} onClick={() => zoomBy(ZOOM_STEP)} disabled={disabled}>{t('crop.zoomIn')}</button>
+                <button style={toolButtonStyle} onClick={() => rotateBy(-ROTATION_STEP)} disabled={disabled}>{t('crop.rotateLeft')}</button>
+                <button style={toolButtonStyle} onClick={() => rotateBy(ROTATION_STEP)} disabled={disabled}>{t('crop.rotateRight')}</button>
+                <button style={toolButtonStyle} onClick={onLevel} disabled={disabled}>{t('crop.levelEyes')}</button>
+                <button style={toolButtonStyle} onClick={onUndo} disabled={disabled || !canUndo}>{t('crop.undo')}</button>
+                <button style={toolButtonStyle} onClick={onRedo} disabled={disabled || !canRedo}>{t('crop.redo')}</button>
+                <button style={toolButtonStyle} onClick={onReset} disabled={disabled}>{t('crop.resetAll')}</button>
+                <button style={toolButtonStyle} onClick={onAutoFit} disabled={disabled}>{t('crop.autoFit')}</button>
+            </div>
+            <p style={{ fontSize: '12px', color: '#666', margin: '6px 0' }} aria-live="polite">
+                {t('crop.status', { zoom: Math.round(adjustments.zoomFactor * 100), rotation: adjustments.rotationDegrees.toFixed(1) })}
+            </p>
+
+            <div style={overlayTogglesStyle}>
+                {OVERLAY_IDS.map(overlayId => (
+                    <label key={overlayId}>
+                        <input type="checkbox" checked={overlays[overlayId]} onChange={handleOverlayToggle(overlayId)} /> {t(`crop.overlay.${overlayId}`)}
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default CropEditor;
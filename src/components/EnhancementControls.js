@@ -0,0 +1,120 @@
+import React from 'react';
+import { DEFAULT_ENHANCEMENTS } from '../utils/imageEnhancement';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Enhancement Sliders (strength of each automatic correction)
+const ENHANCEMENT_SLIDERS = [
+    { id: 'whiteBalance', labelKey: 'enhance.whiteBalance' },
+    { id: 'exposure', labelKey: 'enhance.exposure' },
+    { id: 'contrast', labelKey: 'enhance.contrast' },
+    { id: 'shadowLift', labelKey: 'enhance.shadowLift' },
+    { id: 'denoise', labelKey: 'enhance.denoise' },
+];
+
+
+// --- Styles as CSS objects for better readability ---
+const panelStyle = {
+    border: '1px solid #ddd',
+    borderRadius: '5px',
+    padding: '10px 15px',
+    margin: '10px auto',
+    maxWidth: '600px',
+    textAlign: 'center'
+};
+
+const slidersStyle = {
+    display: 'grid',
+    gridTemplateColumns: 'auto 1fr auto',
+    alignItems: 'center',
+    gap: '4px 10px',
+    margin: '10px 0',
+    fontSize: '14px',
+    textAlign: 'start'
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#f0f0f0',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    margin: '0 5px',
+    touchAction: 'none'
+};
+
+
+// Automatic lighting correction with a strength slider per correction and a before/after comparison
+const EnhancementControls = ({ enhancements, onChange, onCompare, disabled }) => {
+    const { t } = useTranslation();
+
+    const handleSliderChange = (id) => (event) => {
+        const value = parseInt(event.target.value, 10) / 100;
+        onChange(prevEnhancements => ({ ...prevEnhancements, [id]: value }));
+    };
+
+    // Show the unenhanced photo only while the button is held, so it can't be exported by accident
+    const startCompare = () => onCompare(true);
+    const stopCompare = () => onCompare(false);
+
+    return (
+        <div style={panelStyle}>
+            <label>
+                <input
+                    type="checkbox"
+                    checked={enhancements.isEnabled}
+                    onChange={(event) => onChange(prevEnhancements => ({ ...prevEnhancements, isEnabled: event.target.checked }))}
+                    disabled={disabled}
+                />
+                {t('enhance.enable')}
+            </label>
+            {enhancements.isEnabled && (
+                <>
+                    <div style={slidersStyle}>
+                        {ENHANCEMENT_SLIDERS.map(slider => {
+                            const percent = Math.round(enhancements[slider.id] * 100);
+                            return (
+                                <React.Fragment key={slider.id}>
+                                    <label htmlFor={`enhancement-${slider.id}`}>{t(slider.labelKey)}</label>
+                                    <input
+                                        id={`enhancement-${slider.id}`}
+                                        type="range"
+                                        min={0}
+                                        max={100}
+                                        value={percent}
+                                        aria-valuetext={`${percent}%`}
+                                        onChange={handleSliderChange(slider.id)}
+                                        disabled={disabled}
+                                    />
+                                    <span aria-hidden="true">{percent}%</span>
+                                </React.Fragment>
+                            );
+                        })}
+                    </div>
+                    <button
+                        style={buttonStyle}
+                        onPointerDown={startCompare}
+                        onPointerUp={stopCompare}
+                        onPointerLeave={stopCompare}
+                        onPointerCancel={stopCompare}
+                        onKeyDown={(event) => (event.key === ' ' || event.key === 'Enter') && startCompare()}
+                        onKeyUp={stopCompare}
+                        onBlur={stopCompare}
+                        disabled={disabled}
+                    >
+                        {t('enhance.compare')}
+                    </button>
+                    <button style={buttonStyle} onClick={() => onChange(DEFAULT_ENHANCEMENTS)} disabled={disabled}>
+                        {t('enhance.reset')}
+                    </button>
+                    <p style={{ fontSize: '12px', color: '#666', margin: '8px 0 0' }}>
+                        {t('enhance.note')}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default EnhancementControls;
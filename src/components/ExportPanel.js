@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { mmToPx } from '../specs/documentSpecs';
+import { EXPORT_FORMATS, getExportFormat, getExportFormatForMimeType, encodeToTarget } from '../utils/imageEncoding';
+import { downloadBlob } from '../utils/download';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Export Limits
+const MIN_EXPORT_WIDTH_PX = 100;
+const MAX_EXPORT_WIDTH_PX = 4000;
+
+
+// --- Styles as CSS objects for better readability ---
+const panelStyle = {
+    border: '1px solid #ddd',
+    borderRadius: '5px',
+    padding: '15px',
+    margin: '20px auto',
+    maxWidth: '600px',
+    textAlign: 'center'
+};
+
+const optionsRowStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    marginBottom: '10px'
+};
+
+const numberInputStyle = {
+    width: '70px',
+    marginInlineStart: '5px'
+};
+
+const buttonStyle = {
+    padding: '10px 20px',
+    backgroundColor: 'var(--accent-color, #0062cc)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    margin: '0 5px'
+};
+
+const resultStyle = {
+    fontSize: '14px',
+    margin: '10px 0'
+};
+
+
+// Helper Function: Default export settings for a spec (full print resolution, the spec's size limits)
+// Numbers are kept as the text of their fields, so a field can be cleared and retyped
+const getDefaultSettings = (spec) => ({
+    formatId: getExportFormatForMimeType(spec.formats[0]).id,
+    widthPx: String(mmToPx(spec.widthMm, spec.dpi)),
+    minKb: spec.minFileSizeKb === null ? '' : String(spec.minFileSizeKb),
+    maxKb: spec.maxFileSizeKb === null ? '' : String(spec.maxFileSizeKb),
+});
+
+// Helper Function: Width from the width field, clamped to the export limits (the spec's print width when the field is empty)
+const parseExportWidth = (value, spec) => {
+    const width = parseInt(value, 10);
+    if (Number.isNaN(width)) return mmToPx(spec.widthMm, spec.dpi);
+    return Math.min(Math.max(width, MIN_EXPORT_WIDTH_PX), MAX_EXPORT_WIDTH_PX);
+};
+
+// Helper Function: Human-readable file size
+const formatFileSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+
+// Encodes the cropped photo to a chosen format, pixel size and file-size range for online portals
+// With onExport, the prepared file is handed over as onExport(blob, { fileName, mimeType, widthPx, heightPx, dpi, bytes }) instead of downloaded
+const ExportPanel = ({ spec, photoCanvasRef, photoVersion, disabled, confirmExport, onExport = null }) => {
+    const [settings, setSettings] = useState(() => getDefaultSettings(spec));
+    const [result, setResult] = useState(null);
+    const [isEncoding, setIsEncoding] = useState(false);
+    const [exportError, setExportError] = useState(null);
+    const { t } = useTranslation();
+
+    const format = getExportFormat(settings.formatId);
+    const widthPx = parseExportWidth(settings.widthPx, spec);
+    const heightPx = Math.round(widthPx * (spec.heightMm / spec.widthMm)); // Aspect ratio is fixed by the spec
+    const minBytes = settings.minKb === '' ? 0 : parseFloat(settings.minKb) * 1024;
+    const maxBytes = settings.maxKb === '' ? Infinity : parseFloat(settings.maxKb) * 1024;
+    const isRangeValid = !(minBytes > maxBytes);
+
+    // A new document type brings its own size limits
+    useEffect(() => {
+        setSettings(getDefaultSettings(spec));
+    }, [spec]);
+
+    // Any change to the photo or the settings makes the prepared file stale
+    useEffect(() => {
+        setResult(null);
+        setExportError(null);
+    }, [photoVersion, settings, spec]);
+
+    const updateSetting = (name) => (event) => {
+        const value = event.target.value;
+        setSettings(prevSettings => ({ ...prevSettings, [name]: value }));
+    };
+
+    // The width is only clamped once the field is left, so typing a new width isn't cut short
+    const handleWidthBlur = () => {
+        setSettings(prevSettings => ({ ...prevSettings, widthPx: String(parseExportWidth(prevSettings.widthPx, spec)) }));
+    };
+
+    // Search quality and resolution for the target, then show the result before downloading
+    const handlePrepare = async () => {
+        const photoCanvas = photoCanvasRef.current;
+        if (!photoCanvas || !isRangeValid) return;
+
+        setIsEncoding(true);
+        setExportError(null);
+        try {
+            setResult(await encodeToTarget(photoCanvas, {
+                format,
+                widthPx,
+                heightPx,
+                printWidthMm: spec.widthMm,
+                minBytes,
+                maxBytes,
+            }));
+        } catch (err) {
+            console.error("Photo export error:", err);
+            setExportError(t('export.encodeError', { format: format.label }));
+        } finally {
+            setIsEncoding(false);
+        }
+    };
+
+    const handleDownload = () => {
+        if (!result) return;
+        if (confirmExport && !confirmExport()) return;
+
+        const fileName = `${spec.fileName}.${format.extension}`;
+        if (onExport) {
+            onExport(result.blob, { fileName, mimeType: format.mimeType, widthPx: result.widthPx, heightPx: result.heightPx, dpi: result.dpi, bytes: result.bytes });
+            return;
+        }
+        downloadBlob(result.blob, fileName);
+    };
+
+    return (
+        <div style={panelStyle}>
+            <h3>{t('export.title')}</h3>
+            <div style={optionsRowStyle}>
+                <label>
+                    {t('export.format')}
+                    <select value={settings.formatId} onChange={updateSetting('formatId')} style={{ marginInlineStart: '5px' }}>
+                        {EXPORT_FORMATS.map(option => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('export.width')}
+                    <input
+                        type="number"
+                        min={MIN_EXPORT_WIDTH_PX}
+                        max={MAX_EXPORT_WIDTH_PX}
+                        value={settings.widthPx}
+                        onChange={updateSetting('widthPx')}
+                        onBlur={handleWidthBlur}
+                        style={numberInputStyle}
+                    />
+                    {` x ${heightPx}px`}
+                </label>
+            </div>
+            <div style={optionsRowStyle}>
+                <label>
+                    {t('export.minSize')}
+                    <input type="number" min={0} value={settings.minKb} onChange={updateSetting('minKb')} placeholder={t('export.none')} style={numberInputStyle} />
+                </label>
+                <label>
+                    {t('export.maxSize')}
+                    <input type="number" min={1} value={settings.maxKb} onChange={updateSetting('maxKb')} placeholder={t('export.none')} style={numberInputStyle} />
+                </label>
+            </div>
+            {!isRangeValid && <p style={{ color: '#c0392b', fontSize: '14px' }} role="alert">{t('export.invalidRange')}</p>}
+            {!spec.formats.includes(format.mimeType) && (
+                <p style={{ color: '#a65e00', fontSize: '14px' }}>
+                    {t('export.formatRequired', {
+                        document: t(`specs.${spec.id}`),
+                        formats: spec.formats.map(mimeType => getExportFormatForMimeType(mimeType).label).join(t('export.formatSeparator')),
+                    })}
+                </p>
+            )}
+            {!format.hasDpi && <p style={{ color: '#666', fontSize: '13px' }}>{t('export.noDpi', { format: format.label })}</p>}
+
+            <button onClick={handlePrepare} disabled={disabled || isEncoding || !isRangeValid} style={buttonStyle}>
+                {isEncoding ? t('export.preparing') : t('export.prepare')}
+            </button>
+            {result && (
+                <button onClick={handleDownload} disabled={disabled} style={buttonStyle}>
+                    {onExport ? t('export.deliver') : t('export.download')}
+                </button>
+            )}
+
+            {exportError && <p style={{ color: '#c0392b', fontSize: '14px' }} role="alert">{exportError}</p>}
+            {result && (
+                <div style={resultStyle} role="status">
+                    <p style={{ margin: '4px 0' }}>
+                        {format.label} · {result.widthPx} x {result.heightPx}px · {formatFileSize(result.bytes)}
+                        {result.quality !== null && ` · ${t('export.quality', { quality: Math.round(result.quality * 100) })}`}
+                        {format.hasDpi && ` · ${Math.round(result.dpi)} DPI`}
+                    </p>
+                    {result.widthPx !== widthPx && (
+                        <p style={{ margin: '4px 0', color: '#a65e00' }}>{t('export.resolutionReduced')}</p>
+                    )}
+                    {result.isPadded && (
+                        <p style={{ margin: '4px 0', color: '#666' }}>{t('export.padded')}</p>
+                    )}
+                    {!result.meetsTarget && (
+                        <p style={{ margin: '4px 0', color: '#c0392b' }}>{t('export.outsideRange')}</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportPanel;
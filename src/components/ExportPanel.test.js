@@ -0,0 +1,89 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import ExportPanel from './ExportPanel';
+import { getDocumentSpec } from '../specs/documentSpecs';
+
+const spec = getDocumentSpec('pk-passport');
+
+// Helper Function: Set an input's value the way typing does, so React sees the change
+const typeValue = (input, value) => {
+    Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set.call(input, value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+// Helper Function: Clear a field, then type text into it one key at a time after whatever the field shows
+const typeText = (input, text) => {
+    act(() => typeValue(input, ''));
+    text.split('').forEach(key => act(() => typeValue(input, input.value + key)));
+};
+
+const showPanel = (root) => root.render(<ExportPanel spec={spec} photoCanvasRef={{ current: null }} photoVersion={0} disabled={false} />);
+
+// Helper Function: Mount the panel in a container and return its React root
+const mountPanel = (container) => {
+    const root = createRoot(container);
+    act(() => showPanel(root));
+    return root;
+};
+
+const leaveField = (input) => {
+    act(() => input.dispatchEvent(new FocusEvent('focusout', { bubbles: true })));
+};
+
+describe('ExportPanel width field', () => {
+    let container;
+    let root;
+    let widthInput;
+
+    beforeAll(() => {
+        global.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        root = mountPanel(container);
+        widthInput = container.querySelector('input[type="number"]');
+    });
+
+    afterEach(() => {
+        act(() => root.unmount());
+        container.remove();
+    });
+
+    test('starts at the print width of the spec', () => {
+        expect(widthInput.value).toBe('827');
+        expect(container.textContent).toContain('x 1063px');
+    });
+
+    test('keeps a multi-digit width as it is typed', () => {
+        typeText(widthInput, '800');
+        expect(widthInput.value).toBe('800');
+        expect(container.textContent).toContain('x 1029px');
+
+        leaveField(widthInput);
+        expect(widthInput.value).toBe('800');
+    });
+
+    test('can be cleared while typing', () => {
+        act(() => typeValue(widthInput, ''));
+        expect(widthInput.value).toBe('');
+    });
+
+    test('clamps the width when the field is left', () => {
+        typeText(widthInput, '50');
+        expect(widthInput.value).toBe('50');
+        leaveField(widthInput);
+        expect(widthInput.value).toBe('100');
+
+        typeText(widthInput, '9000');
+        leaveField(widthInput);
+        expect(widthInput.value).toBe('4000');
+    });
+
+    test('goes back to the print width when left empty', () => {
+        act(() => typeValue(widthInput, ''));
+        leaveField(widthInput);
+        expect(widthInput.value).toBe('827');
+    });
+});
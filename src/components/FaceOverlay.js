@@ -0,0 +1,94 @@
+import React, { useRef, useEffect } from 'react';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Face Boxes
+const SELECTED_COLOR = '#e53935';
+const OTHER_COLOR = 'rgba(255, 255, 255, 0.9)';
+const OUTLINE_COLOR = 'rgba(0, 0, 0, 0.6)';
+const HIGHLIGHT_COLOR = 'rgba(255, 214, 0, 0.55)'; // Problem areas, e.g. glare on glasses
+const NO_HIGHLIGHTS = [];
+
+
+// Helper Function: Index of the face box under a point, preferring the smallest box when they overlap
+const findFaceAt = (detections, x, y) => {
+    let foundIndex = -1;
+    let foundArea = Infinity;
+    detections.forEach((detection, index) => {
+        const box = detection.detection.box;
+        const isInside = x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+        if (isInside && box.width * box.height < foundArea) {
+            foundIndex = index;
+            foundArea = box.width * box.height;
+        }
+    });
+    return foundIndex;
+};
+
+// Draws numbered boxes over the original image and lets the user click the face to crop
+// highlights are extra rectangles (source pixels) to mark, such as reflections on glasses
+const FaceOverlay = ({ width, height, detections, selectedIndex, onSelect, highlights = NO_HIGHLIGHTS, style }) => {
+    const canvasRef = useRef(null);
+    const { t } = useTranslation();
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        // Line width and label size scale with the image so they look the same on screen
+        const unit = Math.max(2, Math.round(Math.max(width, height) / 400));
+        ctx.font = `bold ${unit * 8}px Arial, sans-serif`;
+        ctx.textBaseline = 'top';
+
+        ctx.fillStyle = HIGHLIGHT_COLOR;
+        highlights.forEach(rect => ctx.fillRect(rect.x, rect.y, rect.width, rect.height));
+
+        detections.forEach((detection, index) => {
+            const box = detection.detection.box;
+            const isSelected = index === selectedIndex;
+            const color = isSelected ? SELECTED_COLOR : OTHER_COLOR;
+
+            ctx.lineWidth = unit * (isSelected ? 2 : 1) + unit;
+            ctx.strokeStyle = OUTLINE_COLOR;
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+            ctx.lineWidth = unit * (isSelected ? 2 : 1);
+            ctx.strokeStyle = color;
+            ctx.setLineDash(isSelected ? [] : [unit * 4, unit * 3]);
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+            ctx.setLineDash([]);
+
+            if (detections.length > 1) {
+                const label = String(index + 1);
+                const labelWidth = ctx.measureText(label).width + unit * 4;
+                ctx.fillStyle = color;
+                ctx.fillRect(box.x, box.y - unit * 11, labelWidth, unit * 11);
+                ctx.fillStyle = isSelected ? 'white' : 'black';
+                ctx.fillText(label, box.x + unit * 2, box.y - unit * 10);
+            }
+        });
+    }, [width, height, detections, selectedIndex, highlights]);
+
+    const handleClick = (event) => {
+        if (detections.length < 2) return;
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width / rect.width;
+        const index = findFaceAt(detections, (event.clientX - rect.left) * scale, (event.clientY - rect.top) * scale);
+        if (index !== -1 && index !== selectedIndex) onSelect(index);
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            style={{ ...style, cursor: detections.length > 1 ? 'pointer' : 'default' }}
+            onClick={handleClick}
+            title={detections.length > 1 ? t('editor.clickFace') : undefined}
+            aria-hidden="true" // The editor lists the faces as buttons for keyboard and screen reader users
+        />
+    );
+};
+
+export default FaceOverlay;
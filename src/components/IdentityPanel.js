@@ -0,0 +1,101 @@
+import React from 'react';
+import { MATCH_SAME, MATCH_UNSURE, MATCH_DIFFERENT } from '../utils/faceIdentity';
+import { IMAGE_FILE_ACCEPT } from '../utils/imageIngestion';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Match Display
+const MATCH_DISPLAY = {
+    [MATCH_SAME]: { textKey: 'identity.match.same', color: '#1e7e34' },
+    [MATCH_UNSURE]: { textKey: 'identity.match.unsure', color: '#a65e00' },
+    [MATCH_DIFFERENT]: { textKey: 'identity.match.different', color: '#c0392b' },
+};
+
+
+// --- Styles as CSS objects for better readability ---
+const panelStyle = {
+    border: '1px solid #ddd',
+    borderRadius: '5px',
+    padding: '10px 15px',
+    margin: '10px auto',
+    maxWidth: '600px',
+    textAlign: 'center',
+    fontSize: '14px'
+};
+
+const referenceRowStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '10px',
+    flexWrap: 'wrap',
+    marginTop: '10px'
+};
+
+const referenceImageStyle = {
+    height: '60px',
+    border: '1px solid #ccc',
+    borderRadius: '3px'
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#f0f0f0',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '13px'
+};
+
+
+// Face comparison against a reference photo (e.g. a CNIC or old passport scan) and across the batch
+const IdentityPanel = ({ isEnabled, isModelLoading, onToggle, reference, onReferenceFile, onClearReference, comparison, disabled }) => {
+    const { t } = useTranslation();
+
+    const handleReferenceSelected = (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow picking the same file again
+        if (file) onReferenceFile(file);
+    };
+
+    const display = comparison && MATCH_DISPLAY[comparison.match];
+
+    return (
+        <div style={panelStyle}>
+            <label>
+                <input type="checkbox" checked={isEnabled} onChange={onToggle} disabled={disabled || isModelLoading} />
+                {t('identity.enable')}
+            </label>
+            {isModelLoading && <p role="status">{t('identity.loadingModel')}</p>}
+
+            {isEnabled && !isModelLoading && (
+                <>
+                    <div style={referenceRowStyle}>
+                        {reference ? (
+                            <>
+                                <img src={reference.imageUrl} alt={t('identity.referenceAlt')} style={referenceImageStyle} />
+                                <span>{reference.name}</span>
+                                <button style={buttonStyle} onClick={onClearReference}>{t('identity.removeReference')}</button>
+                            </>
+                        ) : (
+                            <label>
+                                {t('identity.chooseReference')}
+                                <input type="file" accept={IMAGE_FILE_ACCEPT} onChange={handleReferenceSelected} disabled={disabled} style={{ marginInlineStart: '5px' }} />
+                            </label>
+                        )}
+                    </div>
+                    {display && (
+                        <p style={{ color: display.color, fontWeight: 'bold' }} role="status">
+                            {t('identity.similarity', { similarity: Math.round(comparison.similarity * 100), match: t(display.textKey) })}
+                        </p>
+                    )}
+                    <p style={{ color: '#666', fontSize: '12px' }}>
+                        {t('identity.note')}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default IdentityPanel;
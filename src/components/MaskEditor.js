@@ -0,0 +1,138 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { drawMaskPreview, paintMask } from '../utils/backgroundRemoval';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Mask Touch-Up Brush
+const MIN_BRUSH_SIZE = 5;
+const MAX_BRUSH_SIZE = 100;
+const DEFAULT_BRUSH_SIZE = 25;
+
+
+// --- Styles as CSS objects for better readability ---
+const maskEditorStyle = {
+    textAlign: 'center',
+    marginTop: '10px'
+};
+
+const previewCanvasStyle = {
+    display: 'block',
+    maxWidth: '99%',
+    height: 'auto',
+    border: '1px solid black',
+    cursor: 'crosshair',
+    touchAction: 'none'
+};
+
+const brushControlsStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '10px',
+    marginBottom: '10px',
+    flexWrap: 'wrap'
+};
+
+
+// Shows the segmentation mask over the source and lets the user touch it up with a brush
+const MaskEditor = ({ sourceCanvas, maskCanvas, maskVersion, onMaskEdited }) => {
+    const previewCanvasRef = useRef(null);
+    const isPaintingRef = useRef(false);
+    const [brushMode, setBrushMode] = useState('erase');
+    const [brushSize, setBrushSize] = useState(DEFAULT_BRUSH_SIZE);
+    const { t } = useTranslation();
+
+    // Redraw the preview whenever the mask changes
+    useEffect(() => {
+        if (!previewCanvasRef.current || !sourceCanvas || !maskCanvas) return;
+        drawMaskPreview(previewCanvasRef.current, sourceCanvas, maskCanvas);
+    }, [sourceCanvas, maskCanvas, maskVersion]);
+
+    // Helper Function: Map a pointer event to source canvas coordinates
+    const getCanvasPoint = (event) => {
+        const previewCanvas = previewCanvasRef.current;
+        const rect = previewCanvas.getBoundingClientRect();
+        const scale = previewCanvas.width / rect.width;
+        return {
+            x: (event.clientX - rect.left) * scale,
+            y: (event.clientY - rect.top) * scale,
+            scale
+        };
+    };
+
+    const paintAt = (event) => {
+        const { x, y, scale } = getCanvasPoint(event);
+        // Brush size is in screen pixels so it feels the same regardless of image resolution
+        paintMask(maskCanvas, x, y, (brushSize / 2) * scale, brushMode);
+        drawMaskPreview(previewCanvasRef.current, sourceCanvas, maskCanvas);
+    };
+
+    // Brush Pointer Handlers
+    const handlePointerDown = (event) => {
+        if (!maskCanvas) return;
+        isPaintingRef.current = true;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        paintAt(event);
+    };
+
+    const handlePointerMove = (event) => {
+        if (!isPaintingRef.current) return;
+        paintAt(event);
+    };
+
+    const handlePointerUp = () => {
+        if (!isPaintingRef.current) return;
+        isPaintingRef.current = false;
+        onMaskEdited();
+    };
+
+    return (
+        <div style={maskEditorStyle}>
+            <div style={brushControlsStyle}>
+                <label>
+                    <input
+                        type="radio"
+                        name="brush-mode"
+                        value="erase"
+                        checked={brushMode === 'erase'}
+                        onChange={() => setBrushMode('erase')}
+                    />
+                    {t('mask.eraseBackground')}
+                </label>
+                <label>
+                    <input
+                        type="radio"
+                        name="brush-mode"
+                        value="restore"
+                        checked={brushMode === 'restore'}
+                        onChange={() => setBrushMode('restore')}
+                    />
+                    {t('mask.restorePerson')}
+                </label>
+                <label>
+                    {t('mask.brushSize')}
+                    <input
+                        type="range"
+                        min={MIN_BRUSH_SIZE}
+                        max={MAX_BRUSH_SIZE}
+                        value={brushSize}
+                        onChange={(event) => setBrushSize(parseInt(event.target.value, 10))}
+                        style={{ margin: '0 10px', width: '120px' }}
+                    />
+                </label>
+            </div>
+            <canvas
+                ref={previewCanvasRef}
+                style={previewCanvasStyle}
+                role="img"
+                aria-label={t('mask.preview')}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+            />
+            <p style={{ fontSize: '0.9em', color: '#666' }}>{t('mask.hint')}</p>
+        </div>
+    );
+};
+
+export default MaskEditor;
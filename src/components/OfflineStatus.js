@@ -0,0 +1,55 @@
+import React, { useState, useEffect, useSyncExternalStore } from 'react';
+import { subscribeToStatus, getStatus, applyUpdate } from '../serviceWorkerRegistration';
+import useTranslation from '../hooks/useTranslation';
+
+
+// --- Styles as CSS objects for better readability ---
+const statusStyle = {
+    fontSize: '13px',
+    color: '#666',
+    margin: '5px 0 15px'
+};
+
+const updateButtonStyle = {
+    padding: '2px 8px',
+    marginInlineStart: '8px',
+    fontSize: '13px',
+    cursor: 'pointer'
+};
+
+
+// Privacy note with the connection state, offline readiness and any waiting update
+const OfflineStatus = () => {
+    const { isOfflineReady, waitingWorker } = useSyncExternalStore(subscribeToStatus, getStatus);
+    const { t } = useTranslation();
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    let connectionNote = '';
+    if (!isOnline) connectionNote = isOfflineReady ? t('offline.offlineReady') : t('offline.offline');
+    else if (isOfflineReady) connectionNote = t('offline.ready');
+
+    return (
+        <p style={statusStyle} role="status">
+            {t('offline.privacy')}{connectionNote && ` ${connectionNote}`}
+            {waitingWorker && (
+                <>
+                    {' '}{t('offline.updateAvailable')}
+                    <button style={updateButtonStyle} onClick={applyUpdate}>{t('offline.reload')}</button>
+                </>
+            )}
+        </p>
+    );
+};
+
+export default OfflineStatus;
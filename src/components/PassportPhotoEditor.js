@@ -1,463 +1,1041 @@
-import React, { useRef, useState, useEffect } from 'react';
-import * as faceapi from 'face-api.js';
-
-// Constants for Passport Photo Requirements and UI
-const PASSPORT_DPI = 600;
-const PASSPORT_WIDTH_MM = 35;
-const PASSPORT_HEIGHT_MM = 45;
-const HEAD_HEIGHT_MIN_MM = 32;
-const HEAD_HEIGHT_MAX_MM = 36;
-const TOP_MARGIN_MM = 3.5;
-const EYE_ANGLE_TOLERANCE_DEGREES = 10;
-const MIN_IMAGE_RESOLUTION = 600;
-const MODEL_URI = '/models'; // Define model URI once
-const ZOOM_STEP = 0.01; // Step for zoom buttons and range input
-const VERTICAL_STEP = 1; // Step for vertical move buttons and range input
-const HORIZONTAL_STEP = 1; // Step for horizontal move buttons and range input
-const MAX_VERTICAL_OFFSET = 50; // Maximum vertical offset in pixels (adjust as needed)
-const MIN_VERTICAL_OFFSET = -50; // Minimum vertical offset in pixels (adjust as needed)
-const MAX_HORIZONTAL_OFFSET = 50; // Maximum horizontal offset in pixels (adjust as needed)
-const MIN_HORIZONTAL_OFFSET = -50; // Minimum horizontal offset in pixels (adjust as needed)
-const MAX_ZOOM_FACTOR = 0.4;
-const MIN_ZOOM_FACTOR = 0;
+import React, { useRef, useState, useEffect, useMemo } from 'react';
+import { DOCUMENT_SPECS, DEFAULT_SPEC_ID, getDocumentSpec } from '../specs/documentSpecs';
+import WebcamCapture from './WebcamCapture';
+import MaskEditor from './MaskEditor';
+import PrintSheetPanel from './PrintSheetPanel';
+import BatchPanel from './BatchPanel';
+import FaceOverlay from './FaceOverlay';
+import ExportPanel from './ExportPanel';
+import EnhancementControls from './EnhancementControls';
+import IdentityPanel from './IdentityPanel';
+import { segmentPerson } from '../utils/backgroundRemoval';
+import { canvasToBlob, downloadBlob } from '../utils/download';
+import { computeCropGeometry, computeAutoFitZoom, getAlignedAdjustments, getLevellingRotation, DEFAULT_ADJUSTMENTS } from '../utils/cropGeometry';
+import { findTopOfHead } from '../utils/headMeasurement';
+import { detectFaces, pickDefaultFace, getPoseError, getPhotoFormat, drawPhoto, imageToCanvas, measureCrop, FACE_NETS } from '../utils/photoPipeline';
+import { ingestImage, IMAGE_FILE_ACCEPT } from '../utils/imageIngestion';
+import { analyzeLighting, DEFAULT_ENHANCEMENTS } from '../utils/imageEnhancement';
+import { loadFaceNets } from '../utils/modelLoader';
+import { MODEL_URI } from '../utils/modelFiles';
+import { computeFaceDescriptor, analyzeReferencePhoto, compareFaces, IDENTITY_NETS } from '../utils/faceIdentity';
+import { loadSession, saveSessionImage, saveSessionSettings, clearSession } from '../utils/sessionStore';
+import { createProjectFile, readProjectFile, dataUrlToBlob, PROJECT_FILE_EXTENSION } from '../utils/projectFile';
+import { runComplianceChecks, summarizeCompliance, STATUS_FAIL } from '../compliance/complianceChecks';
+import { analyzeEyes } from '../compliance/eyeAnalysis';
+import ComplianceReport from './ComplianceReport';
+import CropEditor from './CropEditor';
+import useUndoableState from '../hooks/useUndoableState';
+import useBatchQueue from '../hooks/useBatchQueue';
+import useTranslation from '../hooks/useTranslation';
+import { EDITOR_INPUTS } from '../embed/editorInputs';
+import { t as translateNow, setLocale } from '../i18n/i18n'; // translateNow is for messages set from effects that shouldn't re-run on a language change
+
+// Constants for UI
+const SESSION_SAVE_DELAY_MS = 500; // Settings are saved once dragging or typing pauses
+const COMPLIANCE_REPORT_DELAY_MS = 500; // onComplianceResult fires once dragging pauses, not for every frame
+const BACKGROUND_COLOR_OPTIONS = [ // Plain backdrops accepted by most document specs
+    { labelKey: 'editor.color.white', value: '#ffffff' },
+    { labelKey: 'editor.color.offWhite', value: '#f5f5f0' },
+    { labelKey: 'editor.color.lightGrey', value: '#eeeeee' },
+    { labelKey: 'editor.color.lightBlue', value: '#d6e6f5' },
+    { labelKey: 'editor.color.blue', value: '#2f6fbf' },
+];
 
 
 // --- Styles as CSS objects for better readability ---
 const containerStyle = {
-    padding: '20px',
-    fontFamily: 'Arial, sans-serif'
+    padding: '20px',
+    fontFamily: 'Arial, sans-serif'
 };
 
 const errorStyle = {
-    color: 'red',
-    textAlign: 'center'
+    color: '#c0392b',
+    textAlign: 'center'
 };
 
 const inputContainerStyle = {
-    textAlign: 'center',
-    marginBottom: '20px'
+    textAlign: 'center',
+    marginBottom: '20px'
 };
 
 const canvasesContainerStyle = {
-    display: 'flex',
-    justifyContent: 'center',
-    gap: '20px',
-    flexWrap: 'wrap'
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '20px',
+    flexWrap: 'wrap'
 };
 
 const canvasWrapperStyle = {
-    position: 'relative',
-    width: '100%',
-    overflow: 'hidden'
+    position: 'relative',
+    width: '100%',
+    overflow: 'hidden',
+    direction: 'ltr' // Keeps the face boxes over the photo in right-to-left layouts
 };
 
 const canvasStyle = {
-    display: 'block',
-    maxWidth: '99%',
-    height: 'auto',
-    border: '1px solid black'
+    display: 'block',
+    maxWidth: '99%',
+    height: 'auto',
+    border: '1px solid black'
 };
 
-const downloadButtonStyle = {
-    padding: '10px 20px',
-    backgroundColor: '#007bff',
-    color: 'white',
-    border: 'none',
-    borderRadius: '5px',
-    cursor: 'pointer',
-    fontSize: '16px',
+const faceOverlayStyle = {
+    ...canvasStyle,
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    borderColor: 'transparent' // Keeps the overlay aligned with the bordered canvas underneath
 };
 
 const noteStyle = {
-    marginTop: '20px',
-    fontSize: '0.9em',
-    color: 'grey',
-    textAlign: 'center'
+    marginTop: '20px',
+    fontSize: '0.9em',
+    color: '#666',
+    textAlign: 'center'
 };
 
-const controlsContainerStyle = { // Container for Zoom, Vertical and Horizontal controls
-    textAlign: 'center',
-    marginTop: '20px',
-    marginBottom: '20px',
-    display: 'flex',
-    flexDirection: 'column', // Stack controls vertically
-    alignItems: 'center',
+const controlButtonStyle = { // Reusable style for buttons in controls
+    padding: '8px 15px',
+    backgroundColor: '#f0f0f0',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    margin: '0 5px'
 };
 
-
-const controlGroupStyle = { // Style for each control group
-    display: 'flex',
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginBottom: '10px', // Space between control groups
+const specSelectStyle = {
+    display: 'block',
+    margin: '10px auto 0',
+    padding: '6px 10px',
+    fontSize: '14px'
 };
 
 
-const controlButtonStyle = { // Reusable style for buttons in controls
-    padding: '8px 15px',
-    backgroundColor: '#f0f0f0',
-    color: '#333',
-    border: '1px solid #ccc',
-    borderRadius: '5px',
-    cursor: 'pointer',
-    fontSize: '14px',
-    margin: '0 5px'
+const visuallyHiddenStyle = { // Read by screen readers but not shown
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap'
 };
 
-const controlRangeStyle = { // Reusable style for range inputs in controls
-    margin: '0 10px',
-    width: '150px'
+// Helper Function: Container style for a theme { accentColor, backgroundColor, textColor, fontFamily }, all optional
+// The accent color reaches buttons and highlights through the --accent-color CSS variable
+const getThemeStyle = (theme) => {
+    if (!theme) return containerStyle;
+    const themeStyle = { ...containerStyle };
+    if (theme.accentColor) themeStyle['--accent-color'] = theme.accentColor;
+    if (theme.backgroundColor) themeStyle.backgroundColor = theme.backgroundColor;
+    if (theme.textColor) themeStyle.color = theme.textColor;
+    if (theme.fontFamily) themeStyle.fontFamily = theme.fontFamily;
+    return themeStyle;
 };
 
-const resetButtonContainerStyle = {
-    marginTop: '20px',
-    textAlign: 'center'
+const backgroundControlsStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '10px',
+    marginBottom: '10px',
+    flexWrap: 'wrap'
 };
 
 
-const PakistaniPassportPhotoEditor = () => {
-    const originalCanvasRef = useRef(null);
-    const croppedCanvasRef = useRef(null);
-    const [originalImage, setOriginalImage] = useState(null);
-    const [faceDetection, setFaceDetection] = useState(null);
-    const [isLoading, setIsLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [zoomFactor, setZoomFactor] = useState(0.2); // Initialize zoomFactor state
-    const [verticalOffset, setVerticalOffset] = useState(0); // Initialize verticalOffset state
-    const [horizontalOffset, setHorizontalOffset] = useState(0); // Initialize horizontalOffset state
-
-
-    // Load face detection models
-    useEffect(() => {
-        const loadModels = async () => {
-            try {
-                await Promise.all([
-                    faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URI),
-                    faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URI),
-                    faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URI),
-                ]);
-                setIsLoading(false);
-            } catch (err) {
-                console.error("Model load error:", err);
-                setError("Failed to load face detection models. Please check the /models directory and console for details.");
-            }
-        };
-        loadModels();
-    }, []);
-
-    // Handle image upload
-    const handleImageUpload = async (event) => {
-        setError(null);
-        setFaceDetection(null);
-        setOriginalImage(null);
-        setVerticalOffset(0); // Reset vertical offset on new image upload
-        setHorizontalOffset(0); // Reset horizontal offset on new image upload
-        setZoomFactor(0.2); // Reset zoom factor on new image upload
-
-        const file = event.target.files[0];
-        if (!file) return;
-
-        const img = new Image();
-        img.src = URL.createObjectURL(file);
-        img.onload = async () => {
-            if (img.width < MIN_IMAGE_RESOLUTION || img.height < MIN_IMAGE_RESOLUTION) {
-                setError(`Image resolution is too low. Please upload a higher-quality image (min ${MIN_IMAGE_RESOLUTION}x${MIN_IMAGE_RESOLUTION}).`);
-                return;
-            }
-
-            setOriginalImage(img);
-            const canvas = originalCanvasRef.current;
-            if (!canvas) return;
-
-            canvas.width = img.width;
-            canvas.height = img.height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, img.width, img.height);
-
-            if (!faceapi.nets.tinyFaceDetector.isLoaded) {
-                setError("Face detection model not loaded yet. Please wait.");
-                return;
-            }
-
-            try {
-                const detectionOptions = new faceapi.TinyFaceDetectorOptions({ inputSize: 512, scoreThreshold: 0.5 });
-                const detection = await faceapi.detectSingleFace(canvas, detectionOptions).withFaceLandmarks().withFaceDescriptor();
-
-                if (!detection) {
-                    setError("No face detected. Please upload another photo where the face is clearly visible and well-lit.");
-                    return;
-                }
-
-                // Check if the person is looking at the camera
-                const landmarks = detection.landmarks;
-                const leftEye = landmarks.getLeftEye();
-                const rightEye = landmarks.getRightEye();
-
-                const eyeLineVector = {
-                    x: rightEye[0].x - leftEye[0].x,
-                    y: rightEye[0].y - leftEye[0].y,
-                };
-                const angle = Math.atan2(eyeLineVector.y, eyeLineVector.x) * 180 / Math.PI;
-
-                if (Math.abs(angle) > EYE_ANGLE_TOLERANCE_DEGREES) {
-                    setError("Please look directly at the camera.");
-                    return;
-                }
-                setFaceDetection(detection);
-
-            } catch (err) {
-                console.error("Face detection error:", err);
-                setError("An error occurred during face detection.");
-            }
-        };
-
-        img.onerror = () => {
-            setError("Error loading image. Please try another image file.");
-        };
-    };
-
-
-    // Update cropped canvas
-    useEffect(() => {
-        if (!originalImage || !faceDetection) return;
-
-        const croppedCanvas = croppedCanvasRef.current;
-        if (!croppedCanvas) return;
-
-        const dpi = PASSPORT_DPI;
-        const passportWidthPx = Math.round((PASSPORT_WIDTH_MM / 25.4) * dpi);
-        const passportHeightPx = Math.round((PASSPORT_HEIGHT_MM / 25.4) * dpi);
-
-        croppedCanvas.width = passportWidthPx;
-        croppedCanvas.height = passportHeightPx;
-        const croppedCtx = croppedCanvas.getContext('2d');
-        croppedCtx.clearRect(0, 0, passportWidthPx, passportHeightPx);
-
-
-        const landmarks = faceDetection.landmarks;
-        const chin = landmarks.positions[8];
-        const topOfHead = getTopOfHead(faceDetection, zoomFactor); // Pass zoomFactor to getTopOfHead
-
-
-        const minHeadHeightPx = Math.round((HEAD_HEIGHT_MIN_MM / 25.4) * dpi);
-        const maxHeadHeightPx = Math.round((HEAD_HEIGHT_MAX_MM / 25.4) * dpi);
-        const targetHeadHeightPx = (minHeadHeightPx + maxHeadHeightPx) / 2;
-        const actualHeadHeightPx = chin.y - topOfHead.y;
-        const scale = targetHeadHeightPx / actualHeadHeightPx;
-        const topMarginPx = Math.round((TOP_MARGIN_MM / 25.4) * dpi);
-        const scaledTopOfHeadY = topOfHead.y * scale;
-        const offsetY = topMarginPx - scaledTopOfHeadY + verticalOffset; // Add verticalOffset to offsetY
-        // Incorporate horizontalOffset here:
-        const faceCenterX = faceDetection.detection.box.x + faceDetection.detection.box.width / 2;
-        const scaledFaceCenterX = faceCenterX * scale;
-        const offsetX = (passportWidthPx / 2) - scaledFaceCenterX + horizontalOffset; // Add horizontalOffset to offsetX
-
-
-        croppedCtx.drawImage(
-            originalCanvasRef.current,
-            0, 0, originalImage.width, originalImage.height,
-            offsetX, offsetY, originalImage.width * scale, originalImage.height * scale
-        );
-
-    }, [originalImage, faceDetection, zoomFactor, verticalOffset, horizontalOffset]); // useEffect depends on horizontalOffset
-
-
-    // Helper Function: Estimate Top of Head (Original Version - Adjustable Offset from Zoom)
-    const getTopOfHead = (detection, currentZoomFactor) => { //Accept zoomFactor as argument
-        const landmarks = detection.landmarks;
-        const noseTip = landmarks.getNose()[3];
-        const {  y, height } = detection.detection.box;
-
-        // Use zoomFactor to adjust head top estimation
-        const headTopY = Math.max(0, y - (height * currentZoomFactor)); // Use currentZoomFactor here
-        return { x: noseTip.x, y: headTopY };
-    };
-
-    // Zoom Controls Handlers
-    const handleZoomChange = (event) => {
-        setZoomFactor(parseFloat(event.target.value));
-    };
-
-    const handleZoomIn = () => {
-        setZoomFactor(prevZoom => Math.min(prevZoom + ZOOM_STEP, MAX_ZOOM_FACTOR)); // Example max zoomFactor 0.4
-    };
-
-    const handleZoomOut = () => {
-        setZoomFactor(prevZoom => Math.max(prevZoom - ZOOM_STEP, MIN_ZOOM_FACTOR)); // Example min zoomFactor 0
-    };
-
-    // Vertical Move Controls Handlers
-    const handleVerticalOffsetChange = (event) => {
-        setVerticalOffset(parseInt(event.target.value, 10));
-    };
-
-    const handleMoveUp = () => {
-        setVerticalOffset(prevOffset => Math.min(prevOffset + VERTICAL_STEP, MAX_VERTICAL_OFFSET));
-    };
-
-    const handleMoveDown = () => {
-        setVerticalOffset(prevOffset => Math.max(prevOffset - VERTICAL_STEP, MIN_VERTICAL_OFFSET));
-    };
-
-    // Horizontal Move Controls Handlers
-    const handleHorizontalOffsetChange = (event) => {
-        setHorizontalOffset(parseInt(event.target.value, 10));
-    };
-
-    const handleMoveLeft = () => {
-        setHorizontalOffset(prevOffset => Math.min(prevOffset + HORIZONTAL_STEP, MAX_HORIZONTAL_OFFSET));
-    };
-
-    const handleMoveRight = () => {
-        setHorizontalOffset(prevOffset => Math.max(prevOffset - HORIZONTAL_STEP, MIN_HORIZONTAL_OFFSET));
-    };
-
-    // Reset All Controls Handler
-    const handleReset = () => {
-        setZoomFactor(0.2);
-        setVerticalOffset(0);
-        setHorizontalOffset(0);
-    };
-
-    // Auto-Fit Head Size Handler
-    const handleAutoFitHeadSize = () => {
-        if (!faceDetection || !originalImage) return;
-
-        const landmarks = faceDetection.landmarks;
-        const chin = landmarks.positions[8];
-        const topOfHeadEstimate = getTopOfHead(faceDetection, zoomFactor); // Use current zoomFactor for initial estimate
-        const actualHeadHeightPx = chin.y - topOfHeadEstimate.y;
-
-        const dpi = PASSPORT_DPI;
-        const minHeadHeightPx = Math.round((HEAD_HEIGHT_MIN_MM / 25.4) * dpi);
-        const maxHeadHeightPx = Math.round((HEAD_HEIGHT_MAX_MM / 25.4) * dpi);
-        const targetHeadHeightPx = (minHeadHeightPx + maxHeadHeightPx) / 2;
-
-
-        let calculatedZoom = targetHeadHeightPx / actualHeadHeightPx;
-        calculatedZoom = Math.min(Math.max(calculatedZoom, MIN_ZOOM_FACTOR), MAX_ZOOM_FACTOR); // Constrain zoom
-
-        setZoomFactor(calculatedZoom);
-        setVerticalOffset(0); // Reset vertical offset when auto-fitting zoom
-        setHorizontalOffset(0); // Reset horizontal offset when auto-fitting zoom
-    };
-
-
-    // Download cropped passport photo
-    const handleDownload = () => {
-        if (!faceDetection) {
-            alert("Please upload an image and wait for face detection to complete.");
-            return;
-        }
-        const croppedCanvas = croppedCanvasRef.current;
-        if (!croppedCanvas) return;
-
-        const link = document.createElement('a');
-        link.href = croppedCanvas.toDataURL('image/jpeg', 0.95);
-        link.download = 'pakistani-passport-photo.jpg';
-        link.click();
-    };
-
-    return (
-        <div style={containerStyle}>
-            <h1 style={{ textAlign: 'center', marginBottom: '20px' }}>Pakistani Passport Photo Editor</h1>
-            {error && <p style={errorStyle}>{error}</p>}
-            <div style={inputContainerStyle}>
-                <input
-                    type="file"
-                    accept="image/*"
-                    onChange={handleImageUpload}
-                    disabled={isLoading}
-                    style={{ display: 'block', margin: '0 auto' }}
-                />
-                {isLoading && <p>Loading face detection models...</p>}
-            </div>
-
-            <div style={controlsContainerStyle}>
-
-                <div style={controlGroupStyle}>
-                    <button style={controlButtonStyle} onClick={handleZoomOut}>Zoom Out</button>
-                    <input
-                        type="range"
-                        min={MIN_ZOOM_FACTOR}
-                        max={MAX_ZOOM_FACTOR}
-                        step={ZOOM_STEP}
-                        value={zoomFactor}
-                        onChange={handleZoomChange}
-                        style={controlRangeStyle}
-                    />
-                    <button style={controlButtonStyle} onClick={handleZoomIn}>Zoom In</button>
-                </div>
-
-                <div style={controlGroupStyle}>
-                    <button style={controlButtonStyle} onClick={handleMoveDown}>Move Down</button>
-                    <input
-                        type="range"
-                        min={MIN_VERTICAL_OFFSET}
-                        max={MAX_VERTICAL_OFFSET}
-                        step={VERTICAL_STEP}
-                        value={verticalOffset}
-                        onChange={handleVerticalOffsetChange}
-                        style={controlRangeStyle}
-                    />
-                    <button style={controlButtonStyle} onClick={handleMoveUp}>Move Up</button>
-                </div>
-
-                <div style={controlGroupStyle}>
-                    <button style={controlButtonStyle} onClick={handleMoveLeft}>Move Left</button>
-                    <input
-                        type="range"
-                        min={MIN_HORIZONTAL_OFFSET}
-                        max={MAX_HORIZONTAL_OFFSET}
-                        step={HORIZONTAL_STEP}
-                        value={horizontalOffset}
-                        onChange={handleHorizontalOffsetChange}
-                        style={controlRangeStyle}
-                    />
-                    <button style={controlButtonStyle} onClick={handleMoveRight}>Move Right</button>
-                </div>
-
-                    <div style={resetButtonContainerStyle}>
-                        <button style={downloadButtonStyle} onClick={handleReset}>Reset All</button>
-                    </div>
-
-                    <div style={resetButtonContainerStyle}>
-                        <button style={downloadButtonStyle} onClick={handleAutoFitHeadSize}>Auto-Fit Head Size</button>
+/**
+ * The photo editor, which host pages can configure and listen to when embedding it:
+ *   specId - document spec to use; hides the document selector (default: the user picks)
+ *   allowedInputs - which of EDITOR_INPUTS are offered (default: all)
+ *   theme - { accentColor, backgroundColor, textColor, fontFamily }, all optional
+ *   locale - language id from LOCALES (default: the user's choice or browser language)
+ *   persistSession - keep the photo and its settings on this device and reopen them on the next visit (default: true);
+ *       turn it off where several people share the browser, e.g. a kiosk
+ *   onDetected({ faceCount, faceIndex, box, score, imageWidth, imageHeight }) - a face was chosen for cropping; box is in image pixels
+ *   onComplianceResult({ results, summary }) - the compliance checks of the cropped photo changed
+ *   onExport({ blob, fileName, mimeType, widthPx, heightPx, dpi, bytes, specId, faceIndex, measurements, compliance }) -
+ *       replaces the download: the button hands the prepared file over instead, with measurements as from measureCrop
+ */
+const PakistaniPassportPhotoEditor = ({
+    specId: fixedSpecId = null,
+    allowedInputs = EDITOR_INPUTS,
+    theme = null,
+    locale: fixedLocale = null,
+    persistSession = true,
+    onDetected = null,
+    onComplianceResult = null,
+    onExport = null,
+}) => {
+    const originalCanvasRef = useRef(null);
+    const croppedCanvasRef = useRef(null);
+    const maskCanvasRef = useRef(null); // Person mask for the current image (offscreen)
+    const [originalImage, setOriginalImage] = useState(null); // { width, height } of the image on the original canvas
+    const [faceDetections, setFaceDetections] = useState([]); // Every face found, numbered left to right
+    const [selectedFaceIndex, setSelectedFaceIndex] = useState(null); // Face being cropped, null if none can be used
+    const faceDetection = selectedFaceIndex === null ? null : faceDetections[selectedFaceIndex] || null;
+    const [isLoading, setIsLoading] = useState(true);
+    const [modelProgress, setModelProgress] = useState(0); // Downloaded fraction of the model weights, null if unknown
+    const [modelLoadAttempt, setModelLoadAttempt] = useState(1);
+    const [isModelLoadFailed, setIsModelLoadFailed] = useState(false);
+    const [modelLoadRequest, setModelLoadRequest] = useState(0); // Bumped by the Retry button
+    const [error, setError] = useState(null);
+    const { t, locale } = useTranslation();
+    const {
+        state: adjustments, // Zoom, offsets and rotation, with undo/redo history
+        setState: setAdjustments,
+        checkpoint: checkpointAdjustments,
+        undo: undoAdjustments,
+        redo: redoAdjustments,
+        reset: resetAdjustments,
+        canUndo,
+        canRedo,
+    } = useUndoableState(DEFAULT_ADJUSTMENTS);
+    const [specId, setSpecId] = useState(fixedSpecId || DEFAULT_SPEC_ID); // Selected document spec profile
+    const spec = getDocumentSpec(specId);
+    const [isCameraMode, setIsCameraMode] = useState(false); // Toggle between file upload and live camera capture
+    const [isBackgroundRemovalEnabled, setIsBackgroundRemovalEnabled] = useState(false);
+    const [replacementColor, setReplacementColor] = useState(null); // null uses the spec's background color
+    const [isMaskPreviewVisible, setIsMaskPreviewVisible] = useState(false);
+    const [maskVersion, setMaskVersion] = useState(0); // Bumped whenever the mask is created or touched up
+    const backgroundColor = replacementColor || spec.backgroundColor;
+    const [complianceResults, setComplianceResults] = useState([]);
+    const [photoVersion, setPhotoVersion] = useState(0); // Bumped whenever the cropped photo is redrawn
+    const [enhancements, setEnhancements] = useState(DEFAULT_ENHANCEMENTS); // Strength of each lighting correction
+    const [isComparingOriginal, setIsComparingOriginal] = useState(false); // Before/after: true shows the unenhanced crop
+    const [topOfHead, setTopOfHead] = useState(null); // Detected crown in source image coordinates
+    const [activeBatchItemId, setActiveBatchItemId] = useState(null); // Batch item open in the editor, if any
+    const [sourceBlob, setSourceBlob] = useState(null); // Upright, location-free copy of the current image, for the saved session and project files
+    const storedBlobRef = useRef(null); // Image already in the session store, so restoring it doesn't save it again
+    const hasRestoredSessionRef = useRef(false);
+    const projectInputRef = useRef(null);
+    const imageLoadRef = useRef(0); // Bumped per image load, so a slower earlier load can't overwrite a newer one
+    const [isIdentityCheckEnabled, setIsIdentityCheckEnabled] = useState(false);
+    const [isIdentityModelLoading, setIsIdentityModelLoading] = useState(false);
+    const [isIdentityModelReady, setIsIdentityModelReady] = useState(false); // Face recognition net is only loaded when needed
+    const [referencePhoto, setReferencePhoto] = useState(null); // { name, imageUrl, descriptor } of the reference photo
+    const [faceDescriptor, setFaceDescriptor] = useState(null); // Descriptor of the face being cropped
+    const isIdentityCheckActive = isIdentityCheckEnabled && isIdentityModelReady;
+    const batch = useBatchQueue({
+        spec,
+        backgroundColor: isBackgroundRemovalEnabled ? backgroundColor : null,
+        enhancements,
+        computeDescriptors: isIdentityCheckActive,
+        isReady: !isLoading,
+    });
+
+
+    // Load face detection models (only the nets detection needs), retrying automatically before giving up
+    useEffect(() => {
+        let isCancelled = false;
+        const loadModels = async () => {
+            setIsModelLoadFailed(false);
+            setModelLoadAttempt(1);
+            try {
+                await loadFaceNets(FACE_NETS, MODEL_URI, {
+                    onProgress: (fraction) => !isCancelled && setModelProgress(fraction),
+                    onRetry: (attempt) => !isCancelled && setModelLoadAttempt(attempt),
+                });
+                if (isCancelled) return;
+                setError(null);
+                setIsLoading(false);
+            } catch (err) {
+                console.error("Model load error:", err);
+                if (isCancelled) return;
+                setIsModelLoadFailed(true);
+                setError(translateNow('errors.modelLoad'));
+            }
+        };
+        loadModels();
+        return () => {
+            isCancelled = true;
+        };
+    }, [modelLoadRequest]);
+
+    // Choose the face to crop; everything derived from the previous face is dropped
+    const selectFace = (detections, index, initialAdjustments = null) => {
+        setComplianceResults([]);
+        setTopOfHead(null);
+        maskCanvasRef.current = null; // The mask is seeded from the chosen face
+
+        const poseError = getPoseError(detections[index]);
+        if (poseError) {
+            setError(detections.length > 1 ? t('errors.faceNumbered', { number: index + 1, message: poseError }) : poseError);
+            setSelectedFaceIndex(null);
+            return;
+        }
+
+        // Start with the eyes levelled (or where a batch item was left); the rest is reported by the compliance checks
+        setError(null);
+        resetAdjustments(initialAdjustments || getAlignedAdjustments(detections[index]));
+        setSelectedFaceIndex(index);
+    };
+
+    // Drop everything derived from the current image
+    const clearImage = () => {
+        setError(null);
+        setFaceDetections([]);
+        setSelectedFaceIndex(null);
+        setOriginalImage(null);
+        setComplianceResults([]);
+        resetAdjustments(DEFAULT_ADJUSTMENTS); // Adjustments and their history belong to the previous image
+        setTopOfHead(null);
+        maskCanvasRef.current = null; // The mask belongs to the previous image
+    };
+
+    // Load an image file or Blob (upload, camera capture, batch item or saved session) and run face detection on it
+    // The upright, location-free copy is kept so the session and project files can store it
+    const loadImageBlob = async (blob, { initialAdjustments = null, faceIndex = null } = {}) => {
+        clearImage();
+
+        const canvas = originalCanvasRef.current;
+        if (!canvas) return;
+        const loadId = ++imageLoadRef.current;
+
+        let image;
+        try {
+            image = await ingestImage(blob);
+        } catch (err) {
+            console.error("Image ingestion error:", err);
+            image = { error: t('errors.imageLoad') };
+        }
+        if (loadId !== imageLoadRef.current) return;
+        if (image.error) {
+            setError(image.error);
+            return;
+        }
+
+        imageToCanvas(image.canvas, canvas);
+        setSourceBlob(image.blob);
+        setOriginalImage({ width: canvas.width, height: canvas.height }); // A new object per image, so effects depending on it re-run
+
+        if (!FACE_NETS.every(net => net.isLoaded)) {
+            setError(t('errors.modelNotLoaded'));
+            return;
+        }
+
+        try {
+            const detections = await detectFaces(canvas);
+            if (loadId !== imageLoadRef.current) return;
+            if (detections.length === 0) {
+                setError(t('errors.noFace'));
+                return;
+            }
+
+            setFaceDetections(detections);
+            const hasRequestedFace = faceIndex !== null && faceIndex < detections.length;
+            selectFace(detections, hasRequestedFace ? faceIndex : pickDefaultFace(detections, canvas.width, canvas.height), initialAdjustments);
+
+        } catch (err) {
+            console.error("Face detection error:", err);
+            setError(t('errors.detection'));
+        }
+    };
+
+    // Handle image upload
+    const handleImageUpload = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        setActiveBatchItemId(null);
+        loadImageBlob(file);
+    };
+
+    // Camera Capture Handlers
+    const handleCameraCapture = (imageSrc) => {
+        setIsCameraMode(false);
+        setActiveBatchItemId(null);
+        loadImageBlob(dataUrlToBlob(imageSrc));
+    };
+
+    const handleToggleCameraMode = () => {
+        setIsCameraMode(prevMode => !prevMode);
+    };
+
+
+    // Editor settings that belong with the current image, as stored in the session and project files
+    const sessionSettings = useMemo(() => ({
+        specId,
+        faceIndex: selectedFaceIndex,
+        adjustments,
+        enhancements,
+        isBackgroundRemovalEnabled,
+        replacementColor,
+    }), [specId, selectedFaceIndex, adjustments, enhancements, isBackgroundRemovalEnabled, replacementColor]);
+
+    // Put a saved image and its settings (from the session store or a project file) back into the editor
+    const restoreSession = (image, settings) => {
+        setIsCameraMode(false);
+        setActiveBatchItemId(null);
+        if (!settings) {
+            loadImageBlob(image);
+            return;
+        }
+        if (!fixedSpecId) setSpecId(settings.specId);
+        setEnhancements(settings.enhancements);
+        setIsBackgroundRemovalEnabled(settings.isBackgroundRemovalEnabled);
+        setReplacementColor(settings.replacementColor);
+        loadImageBlob(image, { initialAdjustments: settings.adjustments, faceIndex: settings.faceIndex });
+    };
+
+    // Latest restoreSession, so the restore below uses the current state once the saved session has loaded
+    const restoreSessionRef = useRef(restoreSession);
+    useEffect(() => {
+        restoreSessionRef.current = restoreSession;
+    });
+
+    // Restore the previous session once the models are ready to detect its face
+    useEffect(() => {
+        if (isLoading || !persistSession || hasRestoredSessionRef.current) return;
+        hasRestoredSessionRef.current = true;
+        const loadId = imageLoadRef.current;
+
+        const restore = async () => {
+            try {
+                const session = await loadSession();
+                if (!session || loadId !== imageLoadRef.current) return; // Nothing saved, or the user has already started on a photo
+                storedBlobRef.current = session.image;
+                restoreSessionRef.current(session.image, session.settings);
+            } catch (err) {
+                console.error("Session restore error:", err); // Private browsing can block storage; start fresh
+            }
+        };
+        restore();
+    }, [isLoading, persistSession]);
+
+    // Save each new image as soon as it's loaded
+    useEffect(() => {
+        if (!persistSession || !sourceBlob || sourceBlob === storedBlobRef.current) return;
+        storedBlobRef.current = sourceBlob;
+        saveSessionImage(sourceBlob).catch(err => console.error("Session save error:", err));
+    }, [persistSession, sourceBlob]);
+
+    // Save the settings for the image once a face is chosen, after changes settle
+    useEffect(() => {
+        if (!persistSession || !sourceBlob || sessionSettings.faceIndex === null) return;
+        const timer = setTimeout(() => {
+            saveSessionSettings(sessionSettings).catch(err => console.error("Session save error:", err));
+        }, SESSION_SAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [persistSession, sourceBlob, sessionSettings]);
+
+    // Start over for the next person: forget the current photo, its settings and the copy saved on this device
+    const handleNewPhoto = async () => {
+        imageLoadRef.current++; // A photo still loading is dropped too
+        clearImage();
+        setSourceBlob(null);
+        storedBlobRef.current = null;
+        setActiveBatchItemId(null);
+        setEnhancements(DEFAULT_ENHANCEMENTS);
+        setIsBackgroundRemovalEnabled(false);
+        setReplacementColor(null);
+        setReferencePhoto(null);
+        [originalCanvasRef.current, croppedCanvasRef.current].forEach(canvas => {
+            if (!canvas) return;
+            canvas.width = 0; // Resizing clears the pixels
+            canvas.height = 0;
+        });
+
+        try {
+            await clearSession();
+        } catch (err) {
+            console.error("Session clear error:", err);
+        }
+    };
+
+    // Follow the spec and language chosen by the host page
+    useEffect(() => {
+        if (fixedSpecId) setSpecId(fixedSpecId);
+    }, [fixedSpecId]);
+
+    useEffect(() => {
+        if (fixedLocale) setLocale(fixedLocale);
+    }, [fixedLocale]);
+
+    // Latest host callbacks, so a host re-rendering with new functions doesn't repeat events
+    const hostCallbacksRef = useRef({ onDetected, onComplianceResult });
+    useEffect(() => {
+        hostCallbacksRef.current = { onDetected, onComplianceResult };
+    }, [onDetected, onComplianceResult]);
+
+    // Tell the host page which face is being cropped
+    useEffect(() => {
+        const notify = hostCallbacksRef.current.onDetected;
+        if (!notify || !faceDetection || !originalImage) return;
+        const { box, score } = faceDetection.detection;
+        notify({
+            faceCount: faceDetections.length,
+            faceIndex: selectedFaceIndex,
+            box: { x: box.x, y: box.y, width: box.width, height: box.height },
+            score,
+            imageWidth: originalImage.width,
+            imageHeight: originalImage.height,
+        });
+    }, [faceDetection, faceDetections.length, selectedFaceIndex, originalImage]);
+
+    // Report the compliance checks to the host page once the photo settles
+    useEffect(() => {
+        const notify = hostCallbacksRef.current.onComplianceResult;
+        if (!notify || complianceResults.length === 0) return;
+        const timer = setTimeout(() => {
+            notify({ results: complianceResults, summary: summarizeCompliance(complianceResults) });
+        }, COMPLIANCE_REPORT_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [complianceResults]);
+
+    // Project File Handlers
+    const handleSaveProject = async () => {
+        if (!sourceBlob) return;
+        try {
+            const projectBlob = await createProjectFile(sourceBlob, sessionSettings);
+            downloadBlob(projectBlob, `${spec.fileName}.${PROJECT_FILE_EXTENSION}`);
+        } catch (err) {
+            console.error("Project save error:", err);
+            setError(t('errors.projectSave'));
+        }
+    };
+
+    const handleOpenProject = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow opening the same file again
+        if (!file) return;
+
+        const project = await readProjectFile(file);
+        if (project.error) {
+            setError(project.error);
+            return;
+        }
+        restoreSession(project.image, project.settings);
+    };
+
+
+    // Segment the person once per image when background removal is enabled
+    useEffect(() => {
+        if (!isBackgroundRemovalEnabled || !originalImage || !faceDetection || maskCanvasRef.current) return;
+
+        try {
+            maskCanvasRef.current = segmentPerson(originalCanvasRef.current, faceDetection);
+            setMaskVersion(prevVersion => prevVersion + 1);
+        } catch (err) {
+            console.error("Background segmentation error:", err);
+            setError(translateNow('errors.segmentation'));
+        }
+    }, [isBackgroundRemovalEnabled, originalImage, faceDetection]);
+
+    // Detect the crown, using the background removal mask when there is one
+    useEffect(() => {
+        if (!originalImage || !faceDetection || !originalCanvasRef.current) return;
+        setTopOfHead(findTopOfHead(faceDetection, originalCanvasRef.current, maskCanvasRef.current));
+    }, [originalImage, faceDetection, maskVersion]);
+
+    // Lighting measurements for the automatic corrections, once per face
+    const lighting = useMemo(() => {
+        if (!originalImage || !faceDetection || !originalCanvasRef.current) return null;
+        return analyzeLighting(originalCanvasRef.current, faceDetection);
+    }, [originalImage, faceDetection]);
+
+    // Red-eye, glare and glasses around the eyes, once per face
+    const eyeAnalysis = useMemo(() => {
+        if (!originalImage || !faceDetection || !originalCanvasRef.current) return null;
+        return analyzeEyes(originalCanvasRef.current, faceDetection);
+    }, [originalImage, faceDetection]);
+
+    // Face descriptor for the identity check, once per face
+    useEffect(() => {
+        setFaceDescriptor(null);
+        if (!isIdentityCheckActive || !originalImage || !faceDetection || !originalCanvasRef.current) return;
+
+        let isCancelled = false;
+        computeFaceDescriptor(originalCanvasRef.current, faceDetection)
+            .then(descriptor => !isCancelled && setFaceDescriptor(descriptor))
+            .catch(err => console.error("Face descriptor error:", err));
+        return () => {
+            isCancelled = true;
+        };
+    }, [isIdentityCheckActive, originalImage, faceDetection]);
+
+    // Similarity between the current face and the reference photo
+    const referenceComparison = useMemo(() => {
+        if (!faceDescriptor || !referencePhoto) return null;
+        return compareFaces(faceDescriptor, referencePhoto.descriptor);
+    }, [faceDescriptor, referencePhoto]);
+
+    // Release the reference image URL when it's replaced or removed
+    useEffect(() => () => {
+        if (referencePhoto) URL.revokeObjectURL(referencePhoto.imageUrl);
+    }, [referencePhoto]);
+
+    // Crop transform for the current detection, spec and adjustments
+    const cropGeometry = useMemo(() => {
+        if (!faceDetection || !topOfHead) return null;
+        return computeCropGeometry(faceDetection, topOfHead, spec, adjustments);
+    }, [faceDetection, topOfHead, spec, adjustments]);
+
+    // Update cropped canvas
+    useEffect(() => {
+        if (!originalImage || !cropGeometry) return;
+
+        const croppedCanvas = croppedCanvasRef.current;
+        if (!croppedCanvas) return;
+
+        drawPhoto(croppedCanvas, {
+            sourceCanvas: originalCanvasRef.current,
+            geometry: cropGeometry,
+            spec,
+            maskCanvas: isBackgroundRemovalEnabled ? maskCanvasRef.current : null,
+            backgroundColor,
+            lighting,
+            enhancements: isComparingOriginal ? null : enhancements,
+            eyeAnalysis,
+        });
+
+        setComplianceResults(runComplianceChecks({
+            detection: faceDetection,
+            spec,
+            geometry: cropGeometry,
+            sourceCanvas: originalCanvasRef.current,
+            outputCanvas: croppedCanvas,
+            eyeAnalysis,
+        }));
+        setPhotoVersion(prevVersion => prevVersion + 1);
+
+    }, [originalImage, faceDetection, cropGeometry, spec, isBackgroundRemovalEnabled, backgroundColor, maskVersion, lighting, eyeAnalysis, enhancements, isComparingOriginal, locale]); // Re-crop when the background or corrections change too, and re-check in a new language
+
+
+    // Reset All Controls Handler
+    const handleReset = () => {
+        setAdjustments(faceDetection ? getAlignedAdjustments(faceDetection) : DEFAULT_ADJUSTMENTS);
+    };
+
+    // Level Eyes Handler: undo any manual rotation and straighten the eye line again
+    const handleLevelEyes = () => {
+        if (!faceDetection) return;
+        setAdjustments(prevAdjustments => ({ ...prevAdjustments, rotationDegrees: getLevellingRotation(faceDetection) }));
+    };
+
+    // Auto-Fit Head Size Handler
+    const handleAutoFitHeadSize = () => {
+        if (!faceDetection || !originalImage || !topOfHead) return;
+
+        // Head height within the spec range, with the eye line as close to the eye band as possible
+        const calculatedZoom = computeAutoFitZoom(faceDetection, topOfHead, spec);
+
+        setAdjustments(prevAdjustments => ({
+            ...prevAdjustments,
+            zoomFactor: calculatedZoom,
+            verticalOffset: 0, // Reset vertical offset when auto-fitting zoom
+            horizontalOffset: 0, // Reset horizontal offset when auto-fitting zoom
+        }));
+    };
+
+
+    // Document Spec Selection Handler
+    const handleSpecChange = (event) => {
+        setSpecId(event.target.value);
+        // Offsets are in output pixels, so they don't carry over between specs
+        setAdjustments(prevAdjustments => ({ ...prevAdjustments, verticalOffset: 0, horizontalOffset: 0 }));
+    };
+
+    // Background Replacement Handlers
+    const handleBackgroundRemovalToggle = (event) => {
+        setIsBackgroundRemovalEnabled(event.target.checked);
+    };
+
+    const handleReplacementColorChange = (event) => {
+        setReplacementColor(event.target.value || null);
+    };
+
+    const handleMaskEdited = () => {
+        setMaskVersion(prevVersion => prevVersion + 1);
+    };
+
+    // Identity Check Handlers: the face recognition model is loaded the first time the check is turned on
+    const handleIdentityCheckToggle = async (event) => {
+        const isEnabled = event.target.checked;
+        setIsIdentityCheckEnabled(isEnabled);
+        if (!isEnabled || isIdentityModelReady) return;
+
+        setIsIdentityModelLoading(true);
+        try {
+            await loadFaceNets(IDENTITY_NETS, MODEL_URI);
+            setIsIdentityModelReady(true);
+        } catch (err) {
+            console.error("Face recognition model load error:", err);
+            setIsIdentityCheckEnabled(false);
+            setError(t('errors.recognitionModelLoad'));
+        } finally {
+            setIsIdentityModelLoading(false);
+        }
+    };
+
+    const handleReferenceFile = async (file) => {
+        try {
+            const image = await ingestImage(file); // Upright and decoded, so HEIC scans can be shown too
+            const result = image.error ? image : await analyzeReferencePhoto(image.canvas);
+            if (result.error) {
+                setError(result.error);
+                return;
+            }
+            setReferencePhoto({ name: file.name, imageUrl: URL.createObjectURL(image.blob), descriptor: result.descriptor });
+        } catch (err) {
+            console.error("Reference photo error:", err);
+            setError(t('errors.referenceLoad'));
+        }
+    };
+
+    // Ask for confirmation before exporting a photo that fails compliance checks
+    const confirmComplianceBeforeExport = () => {
+        const failedChecks = complianceResults.filter(result => result.status === STATUS_FAIL);
+        if (failedChecks.length === 0) return true;
+
+        const failedLabels = failedChecks.map(result => `- ${result.label}: ${result.value}`).join('\n');
+        return window.confirm(t('editor.confirmFailedExport', { count: failedChecks.length, checks: failedLabels }));
+    };
+
+    // Hand the prepared file to the host page instead of downloading it, with what the host needs to check or store it
+    const handleExportToHost = (blob, fileInfo) => {
+        onExport({
+            blob,
+            ...fileInfo,
+            specId: spec.id,
+            faceIndex: selectedFaceIndex,
+            measurements: faceDetection && cropGeometry && topOfHead ? measureCrop(faceDetection, cropGeometry, topOfHead, spec) : null,
+            compliance: { results: complianceResults, summary: summarizeCompliance(complianceResults) },
+        });
+    };
+
+    // Face Selection Handlers
+    const handleSelectFace = (index) => {
+        selectFace(faceDetections, index);
+    };
+
+    // Send every face in the photo to the batch as a separate item (only when the host offers batch mode)
+    const isBatchAllowed = allowedInputs.includes('batch');
+    const handleCropAllFaces = async () => {
+        const canvas = originalCanvasRef.current;
+        if (!canvas || faceDetections.length < 2 || !isBatchAllowed) return;
+        try {
+            const blob = await canvasToBlob(canvas, 'image/png');
+            const file = new File([blob], 'group-photo.png', { type: 'image/png' });
+            batch.addFaceItems(file, faceDetections.map((detection, index) => index));
+        } catch (err) {
+            console.error("Crop all faces error:", err);
+            setError(t('errors.cropAllFaces'));
+        }
+    };
+
+    // Batch Handlers: open a queued photo in the editor and store the edited result back
+    const handleOpenBatchItem = (item) => {
+        setIsCameraMode(false);
+        setActiveBatchItemId(item.id);
+        loadImageBlob(item.file, { initialAdjustments: item.adjustments, faceIndex: item.faceIndex });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const handleSaveToBatch = async () => {
+        const croppedCanvas = croppedCanvasRef.current;
+        if (!croppedCanvas || !faceDetection || activeBatchItemId === null) return;
+
+        const format = getPhotoFormat(spec);
+        try {
+            const outputBlob = await canvasToBlob(croppedCanvas, format.mimeType, format.quality);
+            batch.saveItem(activeBatchItemId, { outputBlob, adjustments, complianceResults, faceIndex: selectedFaceIndex, descriptor: faceDescriptor });
+        } catch (err) {
+            console.error("Batch save error:", err);
+            setError(t('errors.batchSave'));
+        }
+    };
+
+    const handleRemoveBatchItem = (id) => {
+        if (id === activeBatchItemId) setActiveBatchItemId(null);
+        batch.removeItem(id);
+    };
+
+    const handleClearBatch = () => {
+        setActiveBatchItemId(null);
+        batch.clearItems();
+    };
+
+    const isEditingBatchItem = batch.items.some(item => item.id === activeBatchItemId);
+
+    // Detection result and compliance summary, announced to screen readers as they change
+    let detectionStatus = '';
+    if (faceDetections.length === 1 && faceDetection) {
+        detectionStatus = t('editor.status.oneFace');
+    } else if (faceDetections.length > 1) {
+        detectionStatus = selectedFaceIndex === null
+            ? t('editor.status.noFaceSelected', { count: faceDetections.length })
+            : t('editor.status.faceSelected', { count: faceDetections.length, number: selectedFaceIndex + 1 });
+    }
+    const complianceStatus = complianceResults.length > 0 ? t('editor.status.complianceSummary', summarizeCompliance(complianceResults)) : '';
+
+    return (
+        <div style={getThemeStyle(theme)}>
+            <h1 style={{ textAlign: 'center', marginBottom: '20px' }}>{t('editor.title')}</h1>
+            {error && <p style={errorStyle} role="alert">{error}</p>}
+            <p style={visuallyHiddenStyle} role="status">{detectionStatus} {complianceStatus}</p>
+            {fixedSpecId ? (
+                <p style={inputContainerStyle}>{t(`specs.${spec.id}`)}</p>
+            ) : (
+                <div style={inputContainerStyle}>
+                    <label htmlFor="document-spec">{t('editor.documentType')}</label>
+                    <select
+                        id="document-spec"
+                        value={specId}
+                        onChange={handleSpecChange}
+                        style={specSelectStyle}
+                    >
+                        {DOCUMENT_SPECS.map(documentSpec => (
+                            <option key={documentSpec.id} value={documentSpec.id}>{t(`specs.${documentSpec.id}`)}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+            <div style={inputContainerStyle}>
+                {allowedInputs.includes('upload') && (
+                    <input
+                        type="file"
+                        accept={IMAGE_FILE_ACCEPT}
+                        onChange={handleImageUpload}
+                        disabled={isLoading || isCameraMode}
+                        aria-label={t('editor.chooseImage')}
+                        style={{ display: 'block', margin: '0 auto' }}
+                    />
+                )}
+                {allowedInputs.includes('camera') && (
+                    <button
+                        onClick={handleToggleCameraMode}
+                        disabled={isLoading}
+                        style={{ ...controlButtonStyle, marginTop: '10px' }}
+                    >
+                        {isCameraMode ? t('editor.closeCamera') : t('editor.useCamera')}
+                    </button>
+                )}
+                {allowedInputs.includes('project') && (
+                    <>
+                        <button
+                            onClick={() => projectInputRef.current.click()}
+                            disabled={isLoading}
+                            style={{ ...controlButtonStyle, marginTop: '10px' }}
+                            title={t('editor.openProjectHint')}
+                        >
+                            {t('editor.openProject')}
+                        </button>
+                        <button
+                            onClick={handleSaveProject}
+                            disabled={!sourceBlob || !faceDetection}
+                            style={{ ...controlButtonStyle, marginTop: '10px' }}
+                            title={t('editor.saveProjectHint')}
+                        >
+                            {t('editor.saveProject')}
+                        </button>
+                        <input ref={projectInputRef} type="file" accept=".json,application/json" onChange={handleOpenProject} style={{ display: 'none' }} />
+                    </>
+                )}
+                <button
+                    onClick={handleNewPhoto}
+                    disabled={!sourceBlob}
+                    style={{ ...controlButtonStyle, marginTop: '10px' }}
+                    title={t('editor.newPhotoHint')}
+                >
+                    {t('editor.newPhoto')}
+                </button>
+                {isLoading && !isModelLoadFailed && (
+                    <p>
+                        {modelLoadAttempt > 1 ? t('editor.loadingModelsAttempt', { attempt: modelLoadAttempt }) : t('editor.loadingModels')}
+                        {modelProgress !== null && (
+                            <>
+                                <progress value={modelProgress} max={1} aria-label={t('editor.modelProgress')} style={{ margin: '0 8px', verticalAlign: 'middle' }} />
+                                {Math.round(modelProgress * 100)}%
+                            </>
+                        )}
+                    </p>
+                )}
+                {isModelLoadFailed && (
+                    <button onClick={() => setModelLoadRequest(prevRequest => prevRequest + 1)} style={{ ...controlButtonStyle, marginTop: '10px' }}>
+                        {t('editor.retry')}
+                    </button>
+                )}
+            </div>
+
+            {isCameraMode && (
+                <WebcamCapture
+                    spec={spec}
+                    onCapture={handleCameraCapture}
+                    onCancel={handleToggleCameraMode}
+                />
+            )}
+
+            <div style={backgroundControlsStyle}>
+                <label title={t('editor.replaceBackgroundHint')}>
+                    <input
+                        type="checkbox"
+                        checked={isBackgroundRemovalEnabled}
+                        onChange={handleBackgroundRemovalToggle}
+                    />
+                    {t('editor.replaceBackground')}
+                </label>
+                <select
+                    value={replacementColor || ''}
+                    onChange={handleReplacementColorChange}
+                    disabled={!isBackgroundRemovalEnabled}
+                    aria-label={t('editor.backgroundColor')}
+                >
+                    <option value="">{t('editor.documentDefaultColor', { color: spec.backgroundColor })}</option>
+                    {BACKGROUND_COLOR_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                    ))}
+                </select>
+                <input
+                    type="color"
+                    value={backgroundColor}
+                    onChange={handleReplacementColorChange}
+                    disabled={!isBackgroundRemovalEnabled}
+                    title={t('editor.customColor')}
+                    aria-label={t('editor.customColor')}
+                />
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={isMaskPreviewVisible}
+                        onChange={(event) => setIsMaskPreviewVisible(event.target.checked)}
+                        disabled={!isBackgroundRemovalEnabled}
+                    />
+                    {t('editor.previewMask')}
+                </label>
+            </div>
+
+            {isBackgroundRemovalEnabled && isMaskPreviewVisible && maskCanvasRef.current && (
+                <MaskEditor
+                    sourceCanvas={originalCanvasRef.current}
+                    maskCanvas={maskCanvasRef.current}
+                    maskVersion={maskVersion}
+                    onMaskEdited={handleMaskEdited}
+                />
+            )}
+
+
+            <div style={canvasesContainerStyle}>
+                <div style={{ flex: '1 1 400px', minWidth: '300px', maxWidth: '600px' }}>
+                    <h3>{t('editor.originalImage')}</h3>
+                    <div style={canvasWrapperStyle}>
+                        <canvas ref={originalCanvasRef} style={canvasStyle} role="img" aria-label={t('editor.originalImageDescription')} />
+                        {originalImage && faceDetections.length > 0 && (
+                            <FaceOverlay
+                                width={originalImage.width}
+                                height={originalImage.height}
+                                detections={faceDetections}
+                                selectedIndex={selectedFaceIndex}
+                                onSelect={handleSelectFace}
+                                highlights={eyeAnalysis && eyeAnalysis.glare.isDetected ? eyeAnalysis.glare.blocks : undefined}
+                                style={faceOverlayStyle}
+                            />
+                        )}
                     </div>
-
-
-            </div>
-
-
-            <div style={canvasesContainerStyle}>
-                <div style={{ flex: '1 1 400px', minWidth: '300px', maxWidth: '600px' }}>
-                    <h3>Original Image</h3>
-                    <div style={canvasWrapperStyle}>
-                        <canvas ref={originalCanvasRef} style={canvasStyle} />
-                    </div>
-                </div>
-                <div style={{ flex: '1 1 200px', minWidth: '150px', maxWidth: '300px' }}>
-                    <h3>Cropped Passport Photo (35mm x 45mm, 600 DPI)</h3>
-                    <div style={canvasWrapperStyle}>
-                        <canvas ref={croppedCanvasRef} style={canvasStyle} />
-                    </div>
-                </div>
-            </div>
-
-            <div style={inputContainerStyle}>
-                <button
-                    onClick={handleDownload}
-                    disabled={!faceDetection || isLoading}
-                    style={downloadButtonStyle}
-                >
-                    Download Passport Photo
-                </button>
-            </div>
-            <p style={noteStyle}>
-                * Upload a high-resolution image with clear, frontal face and good lighting.  Make sure you are looking straight at the camera.
-            </p>
-        </div>
-    );
+                    {faceDetections.length > 1 && (
+                        <div style={{ textAlign: 'center', marginTop: '8px', fontSize: '14px' }}>
+                            {t('editor.facesFound', { count: faceDetections.length })}
+                            {faceDetections.map((detection, index) => (
+                                <button
+                                    key={index}
+                                    onClick={() => index !== selectedFaceIndex && handleSelectFace(index)}
+                                    style={controlButtonStyle}
+                                    aria-pressed={index === selectedFaceIndex}
+                                >
+                                    {t('editor.faceButton', { number: index + 1 })}
+                                </button>
+                            ))}
+                            {isBatchAllowed && (
+                                <button onClick={handleCropAllFaces} style={controlButtonStyle} title={t('editor.cropAllFacesHint')}>
+                                    {t('editor.cropAllFaces')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+                <div style={{ flex: '1 1 200px', minWidth: '150px', maxWidth: '360px' }}>
+                    <h3>{t('editor.croppedPhoto', { width: spec.widthMm, height: spec.heightMm, dpi: spec.dpi })}</h3>
+                    <CropEditor
+                        canvasRef={croppedCanvasRef}
+                        spec={spec}
+                        adjustments={adjustments}
+                        pivot={cropGeometry && cropGeometry.outputAnchor}
+                        disabled={!cropGeometry}
+                        onChange={setAdjustments}
+                        onCheckpoint={checkpointAdjustments}
+                        onUndo={undoAdjustments}
+                        onRedo={redoAdjustments}
+                        canUndo={canUndo}
+                        canRedo={canRedo}
+                        onReset={handleReset}
+                        onAutoFit={handleAutoFitHeadSize}
+                        onLevel={handleLevelEyes}
+                    />
+                </div>
+            </div>
+
+            <EnhancementControls
+                enhancements={enhancements}
+                onChange={setEnhancements}
+                onCompare={setIsComparingOriginal}
+                disabled={!faceDetection || isLoading}
+            />
+
+            <ExportPanel
+                spec={spec}
+                photoCanvasRef={croppedCanvasRef}
+                photoVersion={photoVersion}
+                disabled={!faceDetection || isLoading}
+                confirmExport={confirmComplianceBeforeExport}
+                onExport={onExport ? handleExportToHost : null}
+            />
+            {isEditingBatchItem && (
+                <div style={inputContainerStyle}>
+                    <button
+                        onClick={handleSaveToBatch}
+                        disabled={!faceDetection || isLoading}
+                        style={controlButtonStyle}
+                    >
+                        {t('editor.saveToBatch')}
+                    </button>
+                </div>
+            )}
+            <ComplianceReport results={complianceResults} />
+            <IdentityPanel
+                isEnabled={isIdentityCheckEnabled}
+                isModelLoading={isIdentityModelLoading}
+                onToggle={handleIdentityCheckToggle}
+                reference={referencePhoto}
+                onReferenceFile={handleReferenceFile}
+                onClearReference={() => setReferencePhoto(null)}
+                comparison={referenceComparison}
+                disabled={isLoading}
+            />
+            <PrintSheetPanel
+                spec={spec}
+                photoCanvasRef={croppedCanvasRef}
+                photoVersion={photoVersion}
+                disabled={!faceDetection || isLoading}
+                confirmExport={confirmComplianceBeforeExport}
+            />
+            {isBatchAllowed && (
+                <BatchPanel
+                    spec={spec}
+                    items={batch.items}
+                    activeItemId={activeBatchItemId}
+                    referenceDescriptor={isIdentityCheckActive && referencePhoto ? referencePhoto.descriptor : null}
+                    disabled={isLoading}
+                    onAddFiles={batch.addFiles}
+                    onOpenItem={handleOpenBatchItem}
+                    onRemoveItem={handleRemoveBatchItem}
+                    onClear={handleClearBatch}
+                />
+            )}
+            <p style={noteStyle}>
+                {t('editor.note')}
+            </p>
+        </div>
+    );
 };
 
 export default PakistaniPassportPhotoEditor;
\ No newline at end of file
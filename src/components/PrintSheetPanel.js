@@ -0,0 +1,205 @@
+import React, { useRef, useState, useEffect, useMemo } from 'react';
+import { PAPER_SIZES, getPaperSize, computeSheetLayout, getSheetDpi, renderPrintSheet } from '../utils/printLayout';
+import { encodeCanvas, getExportFormat } from '../utils/imageEncoding';
+import { createJpegPdf, mmToPt } from '../utils/pdf';
+import { downloadBlob, canvasToBlob } from '../utils/download';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Print Sheet Layout
+const SHEET_MARGIN_MM = 5;
+const DEFAULT_SPACING_MM = 2;
+const MAX_SPACING_MM = 10;
+const PREVIEW_DPI = 40; // Low resolution for the on-screen sheet preview
+const EXPORT_FORMATS = [
+    { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg' },
+    { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png' },
+    { id: 'pdf', label: 'PDF', mimeType: 'application/pdf', extension: 'pdf' },
+];
+
+
+// --- Styles as CSS objects for better readability ---
+const panelStyle = {
+    border: '1px solid #ddd',
+    borderRadius: '5px',
+    padding: '15px',
+    margin: '20px auto',
+    maxWidth: '600px',
+    textAlign: 'center'
+};
+
+const optionsRowStyle = {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    marginBottom: '10px'
+};
+
+const numberInputStyle = {
+    width: '60px',
+    marginInlineStart: '5px'
+};
+
+const previewCanvasStyle = {
+    display: 'block',
+    margin: '10px auto',
+    maxWidth: '100%',
+    maxHeight: '300px',
+    border: '1px solid #999',
+    boxShadow: '0 0 6px rgba(0, 0, 0, 0.2)'
+};
+
+const exportButtonStyle = {
+    padding: '10px 20px',
+    backgroundColor: 'var(--accent-color, #0062cc)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '16px',
+};
+
+
+// Tiles the current cropped photo onto a printable sheet and exports it
+const PrintSheetPanel = ({ spec, photoCanvasRef, photoVersion, disabled, confirmExport }) => {
+    const previewCanvasRef = useRef(null);
+    const [paperId, setPaperId] = useState(PAPER_SIZES[0].id);
+    const [requestedCount, setRequestedCount] = useState(null); // null fills the sheet
+    const [spacingMm, setSpacingMm] = useState(DEFAULT_SPACING_MM);
+    const [showCutMarks, setShowCutMarks] = useState(true);
+    const [formatId, setFormatId] = useState(EXPORT_FORMATS[0].id);
+    const [isExporting, setIsExporting] = useState(false);
+    const { t } = useTranslation();
+
+    const paper = getPaperSize(paperId);
+    const maxLayout = computeSheetLayout(spec, paper, { count: Infinity, spacingMm, marginMm: SHEET_MARGIN_MM });
+    const count = requestedCount === null ? maxLayout.capacity : Math.min(requestedCount, maxLayout.capacity);
+    const layout = useMemo(
+        () => computeSheetLayout(spec, paper, { count, spacingMm, marginMm: SHEET_MARGIN_MM }),
+        [spec, paper, count, spacingMm]
+    );
+    const sheetDpi = getSheetDpi(layout, spec.dpi);
+
+    // Redraw the preview when the photo or the sheet changes; deferred a frame so a drag redraws it once per frame at most
+    useEffect(() => {
+        const frameId = requestAnimationFrame(() => {
+            const previewCanvas = previewCanvasRef.current;
+            const photoCanvas = photoCanvasRef.current;
+            if (!previewCanvas || !photoCanvas || disabled) return;
+
+            const sheet = renderPrintSheet(photoCanvas, spec, layout, { dpi: PREVIEW_DPI, showCutMarks });
+            previewCanvas.width = sheet.width;
+            previewCanvas.height = sheet.height;
+            previewCanvas.getContext('2d').drawImage(sheet, 0, 0);
+        });
+        return () => cancelAnimationFrame(frameId);
+    }, [photoCanvasRef, photoVersion, spec, layout, showCutMarks, disabled]);
+
+    const handleCountChange = (event) => {
+        const value = parseInt(event.target.value, 10);
+        setRequestedCount(Number.isNaN(value) ? null : Math.max(1, value));
+    };
+
+    const handleSpacingChange = (event) => {
+        const value = parseFloat(event.target.value);
+        setSpacingMm(Number.isNaN(value) ? 0 : Math.min(Math.max(value, 0), MAX_SPACING_MM));
+    };
+
+    // Export the sheet at the spec DPI (or the most a canvas can hold) in the chosen format, with the DPI in the file so it prints to size
+    const handleExport = async () => {
+        const photoCanvas = photoCanvasRef.current;
+        if (!photoCanvas || layout.slots.length === 0) return;
+        if (confirmExport && !confirmExport()) return;
+
+        const format = EXPORT_FORMATS.find(option => option.id === formatId);
+        const fileName = `${spec.fileName}-${paper.id}-sheet.${format.extension}`;
+        setIsExporting(true);
+        try {
+            const sheet = renderPrintSheet(photoCanvas, spec, layout, { dpi: sheetDpi, showCutMarks });
+            if (format.id === 'pdf') {
+                const jpegBlob = await canvasToBlob(sheet, 'image/jpeg', 0.95);
+                const jpegBytes = new Uint8Array(await jpegBlob.arrayBuffer());
+                const pdfBlob = createJpegPdf(jpegBytes, sheet.width, sheet.height, mmToPt(layout.pageWidthMm), mmToPt(layout.pageHeightMm));
+                downloadBlob(pdfBlob, fileName);
+            } else {
+                const bytes = await encodeCanvas(sheet, getExportFormat(format.id), 0.95, sheetDpi);
+                downloadBlob(new Blob([bytes], { type: format.mimeType }), fileName);
+            }
+        } catch (err) {
+            console.error("Print sheet export error:", err);
+            alert(t('print.exportError'));
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div style={panelStyle}>
+            <h3>{t('print.title')}</h3>
+            <div style={optionsRowStyle}>
+                <label>
+                    {t('print.paper')}
+                    <select value={paperId} onChange={(event) => setPaperId(event.target.value)} style={{ marginInlineStart: '5px' }}>
+                        {PAPER_SIZES.map(option => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('print.photos')}
+                    <input
+                        type="number"
+                        min={1}
+                        max={maxLayout.capacity}
+                        value={count}
+                        onChange={handleCountChange}
+                        style={numberInputStyle}
+                    />
+                    {` / ${maxLayout.capacity}`}
+                </label>
+                <label>
+                    {t('print.spacing')}
+                    <input
+                        type="number"
+                        min={0}
+                        max={MAX_SPACING_MM}
+                        step={0.5}
+                        value={spacingMm}
+                        onChange={handleSpacingChange}
+                        style={numberInputStyle}
+                    />
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={showCutMarks}
+                        onChange={(event) => setShowCutMarks(event.target.checked)}
+                    />
+                    {t('print.cutMarks')}
+                </label>
+                <label>
+                    {t('print.format')}
+                    <select value={formatId} onChange={(event) => setFormatId(event.target.value)} style={{ marginInlineStart: '5px' }}>
+                        {EXPORT_FORMATS.map(option => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            {!disabled && <canvas ref={previewCanvasRef} style={previewCanvasStyle} role="img" aria-label={t('print.preview')} />}
+            {sheetDpi < spec.dpi && (
+                <p style={{ color: '#666', fontSize: '13px' }}>{t('print.reducedDpi', { dpi: sheetDpi, specDpi: spec.dpi })}</p>
+            )}
+            <button
+                onClick={handleExport}
+                disabled={disabled || isExporting || layout.slots.length === 0}
+                style={exportButtonStyle}
+            >
+                {isExporting ? t('print.exporting') : t('print.download')}
+            </button>
+        </div>
+    );
+};
+
+export default PrintSheetPanel;
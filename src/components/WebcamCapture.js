@@ -0,0 +1,274 @@
+import React, { useRef, useState, useEffect } from 'react';
+import Webcam from 'react-webcam';
+import * as faceapi from 'face-api.js';
+import { getFaceAxis, projectOnFaceAxis, estimateHeadPose } from '../utils/headMeasurement';
+import { YAW_PASS_DEGREES, PITCH_PASS_DEVIATION } from '../compliance/complianceChecks';
+import useTranslation from '../hooks/useTranslation';
+
+// Constants for Live Framing Guidance
+const DETECTION_INTERVAL_MS = 150; // Pause between detection passes to keep the UI responsive
+const GUIDE_FRAME_HEIGHT_RATIO = 0.9; // Portion of the video height used by the spec frame
+const HEAD_WIDTH_TO_HEIGHT_RATIO = 0.72; // Typical head width relative to chin-to-crown height
+const HEAD_SIZE_TOLERANCE = 0.15; // Allowed deviation from the target head height
+const CENTER_TOLERANCE = 0.08; // Allowed horizontal deviation, as a fraction of the frame width
+const LIVE_TILT_TOLERANCE_DEGREES = 5;
+const VIDEO_CONSTRAINTS = {
+    width: { ideal: 1280 },
+    height: { ideal: 720 },
+    facingMode: 'user'
+};
+
+
+// --- Styles as CSS objects for better readability ---
+const captureContainerStyle = {
+    textAlign: 'center',
+    marginBottom: '20px'
+};
+
+const videoWrapperStyle = {
+    position: 'relative',
+    display: 'inline-block',
+    maxWidth: '100%'
+};
+
+const videoStyle = {
+    display: 'block',
+    maxWidth: '100%',
+    height: 'auto'
+};
+
+const overlayCanvasStyle = {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    pointerEvents: 'none'
+};
+
+const hintListStyle = {
+    listStyle: 'none',
+    padding: 0,
+    margin: '10px 0'
+};
+
+const captureButtonStyle = {
+    padding: '10px 20px',
+    backgroundColor: 'var(--accent-color, #0062cc)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    margin: '0 5px'
+};
+
+const cancelButtonStyle = {
+    ...captureButtonStyle,
+    backgroundColor: '#6c757d'
+};
+
+
+// Helper Function: Compute the spec-shaped guide frame, head oval and eye-line band in video pixels
+const getGuideGeometry = (videoWidth, videoHeight, spec) => {
+    let frameHeight = videoHeight * GUIDE_FRAME_HEIGHT_RATIO;
+    let frameWidth = frameHeight * (spec.widthMm / spec.heightMm);
+    if (frameWidth > videoWidth) {
+        frameWidth = videoWidth;
+        frameHeight = frameWidth * (spec.heightMm / spec.widthMm);
+    }
+    const frameX = (videoWidth - frameWidth) / 2;
+    const frameY = (videoHeight - frameHeight) / 2;
+    const pxPerMm = frameHeight / spec.heightMm;
+
+    const headHeight = ((spec.headHeightMinMm + spec.headHeightMaxMm) / 2) * pxPerMm;
+    const headTop = frameY + spec.topMarginMm * pxPerMm;
+
+    return {
+        frame: { x: frameX, y: frameY, width: frameWidth, height: frameHeight },
+        oval: {
+            centerX: frameX + frameWidth / 2,
+            centerY: headTop + headHeight / 2,
+            radiusX: (headHeight * HEAD_WIDTH_TO_HEIGHT_RATIO) / 2,
+            radiusY: headHeight / 2
+        },
+        eyeBand: {
+            top: frameY + (spec.heightMm - spec.eyeLineMaxMm) * pxPerMm,
+            bottom: frameY + (spec.heightMm - spec.eyeLineMinMm) * pxPerMm
+        },
+        targetHeadHeight: headHeight
+    };
+};
+
+// Helper Function: Evaluate the live framing hints (with catalog message keys) for a detection against the guide
+// The pose comes from the same face axis and head pose estimate the compliance checks use on the photo
+const getFramingHints = (detection, guide) => {
+    if (!detection) {
+        return [{ id: 'face', passed: false, messageKey: 'camera.noFace' }];
+    }
+
+    const axis = getFaceAxis(detection.landmarks);
+    const pose = estimateHeadPose(detection.landmarks);
+    const { eyeMid } = axis;
+
+    // The eyes sit roughly halfway between chin and crown
+    const headHeight = -projectOnFaceAxis(axis, detection.landmarks.positions[8]) * 2;
+    const sizeRatio = headHeight / guide.targetHeadHeight;
+
+    const centerOffset = Math.abs(eyeMid.x - guide.oval.centerX) / guide.frame.width;
+    const bandSlack = (guide.eyeBand.bottom - guide.eyeBand.top) / 2;
+    const eyesInBand = eyeMid.y >= guide.eyeBand.top - bandSlack && eyeMid.y <= guide.eyeBand.bottom + bandSlack;
+
+    const isLevel = Math.abs(pose.rollDegrees) <= LIVE_TILT_TOLERANCE_DEGREES;
+    const isFacing = Math.abs(pose.yawDegrees) <= YAW_PASS_DEGREES && Math.abs(pose.pitchDeviation) <= PITCH_PASS_DEVIATION;
+
+    let distanceMessageKey = 'camera.distanceOk';
+    if (sizeRatio < 1 - HEAD_SIZE_TOLERANCE) distanceMessageKey = 'camera.tooFar';
+    if (sizeRatio > 1 + HEAD_SIZE_TOLERANCE) distanceMessageKey = 'camera.tooClose';
+
+    return [
+        {
+            id: 'distance',
+            passed: Math.abs(sizeRatio - 1) <= HEAD_SIZE_TOLERANCE,
+            messageKey: distanceMessageKey
+        },
+        {
+            id: 'tilt',
+            passed: isLevel,
+            messageKey: isLevel ? 'camera.level' : 'camera.tilted'
+        },
+        {
+            id: 'center',
+            passed: centerOffset <= CENTER_TOLERANCE && eyesInBand,
+            messageKey: centerOffset <= CENTER_TOLERANCE && eyesInBand ? 'camera.centered' : 'camera.offCenter'
+        },
+        {
+            id: 'gaze',
+            passed: isFacing,
+            messageKey: isFacing ? 'camera.facing' : 'camera.lookStraight'
+        }
+    ];
+};
+
+// Helper Function: Draw the guide frame, head oval and eye-line band onto the overlay canvas
+const drawGuide = (ctx, guide, allPassed) => {
+    const guideColor = allPassed ? '#28a745' : '#ffc107';
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.lineWidth = Math.max(2, ctx.canvas.width / 400);
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.strokeRect(guide.frame.x, guide.frame.y, guide.frame.width, guide.frame.height);
+
+    ctx.fillStyle = 'rgba(0, 123, 255, 0.15)';
+    ctx.fillRect(guide.frame.x, guide.eyeBand.top, guide.frame.width, guide.eyeBand.bottom - guide.eyeBand.top);
+
+    ctx.strokeStyle = guideColor;
+    ctx.beginPath();
+    ctx.ellipse(guide.oval.centerX, guide.oval.centerY, guide.oval.radiusX, guide.oval.radiusY, 0, 0, 2 * Math.PI);
+    ctx.stroke();
+};
+
+
+const WebcamCapture = ({ spec, onCapture, onCancel }) => {
+    const webcamRef = useRef(null);
+    const overlayCanvasRef = useRef(null);
+    const [hints, setHints] = useState([]);
+    const [isCameraError, setIsCameraError] = useState(false);
+    const { t } = useTranslation();
+
+    const allPassed = hints.length > 0 && hints.every(hint => hint.passed);
+
+    // Run the detection + landmark pipeline continuously on the video stream
+    useEffect(() => {
+        let isRunning = true;
+        let timeoutId = null;
+        const detectionOptions = new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.5 });
+
+        const detectFrame = async () => {
+            const video = webcamRef.current && webcamRef.current.video;
+            const overlayCanvas = overlayCanvasRef.current;
+
+            if (video && overlayCanvas && video.readyState === 4) {
+                try {
+                    const detection = await faceapi.detectSingleFace(video, detectionOptions).withFaceLandmarks();
+                    if (!isRunning) return;
+
+                    overlayCanvas.width = video.videoWidth;
+                    overlayCanvas.height = video.videoHeight;
+                    const guide = getGuideGeometry(video.videoWidth, video.videoHeight, spec);
+                    const frameHints = getFramingHints(detection, guide);
+                    drawGuide(overlayCanvas.getContext('2d'), guide, frameHints.every(hint => hint.passed));
+                    setHints(frameHints);
+                } catch (err) {
+                    console.error("Live face detection error:", err);
+                }
+            }
+
+            if (isRunning) {
+                timeoutId = setTimeout(detectFrame, DETECTION_INTERVAL_MS);
+            }
+        };
+        detectFrame();
+
+        return () => {
+            isRunning = false;
+            clearTimeout(timeoutId);
+        };
+    }, [spec]);
+
+    // Capture the current frame at the full video resolution
+    const handleCapture = () => {
+        if (!webcamRef.current) return;
+        const imageSrc = webcamRef.current.getScreenshot();
+        if (imageSrc) {
+            onCapture(imageSrc);
+        }
+    };
+
+    const handleUserMediaError = (err) => {
+        console.error("Camera access error:", err);
+        setIsCameraError(true);
+    };
+
+    return (
+        <div style={captureContainerStyle}>
+            {isCameraError ? (
+                <p style={{ color: '#c0392b' }} role="alert">{t('camera.accessError')}</p>
+            ) : (
+                <>
+                    <div style={videoWrapperStyle}>
+                        <Webcam
+                            ref={webcamRef}
+                            audio={false}
+                            screenshotFormat="image/jpeg"
+                            screenshotQuality={0.95}
+                            forceScreenshotSourceSize
+                            videoConstraints={VIDEO_CONSTRAINTS}
+                            onUserMediaError={handleUserMediaError}
+                            aria-label={t('camera.preview')}
+                            style={videoStyle}
+                        />
+                        <canvas ref={overlayCanvasRef} style={overlayCanvasStyle} aria-hidden="true" />
+                    </div>
+                    <ul style={hintListStyle} aria-live="polite">
+                        {hints.map(hint => (
+                            <li key={hint.id} style={{ color: hint.passed ? '#1e7e34' : '#c0392b' }}>
+                                <span aria-hidden="true">{hint.passed ? '✓' : '✗'}</span> {t(hint.messageKey)}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+            <button
+                onClick={handleCapture}
+                disabled={!allPassed || isCameraError}
+                style={captureButtonStyle}
+            >
+                {t('camera.capture')}
+            </button>
+            <button onClick={onCancel} style={cancelButtonStyle}>{t('camera.cancel')}</button>
+        </div>
+    );
+};
+
+export default WebcamCapture;
@@ -0,0 +1,14 @@
+// src/core.js
+// Framework-independent entry point: everything needed to detect, crop, check and encode a
+// photo without React. In Node, call setCanvasFactory with node-canvas's createCanvas first
+// (see cli/passport-photo.mjs).
+
+export { DOCUMENT_SPECS, DEFAULT_SPEC_ID, getDocumentSpec, mmToPx } from './specs/documentSpecs';
+export { createCanvas, setCanvasFactory } from './utils/canvasFactory';
+export { FACE_NETS, detectFaces, pickDefaultFace, analyzeFace, computeCrop, measureCrop, drawPhoto, renderPhoto, getPhotoFormat } from './utils/photoPipeline';
+export { getJpegOrientation, stripJpegMetadata, drawOriented, isHeic } from './utils/imageIngestion';
+export { DEFAULT_ADJUSTMENTS, getAlignedAdjustments, toOutputPoint, toSourcePoint } from './utils/cropGeometry';
+export { DEFAULT_ENHANCEMENTS } from './utils/imageEnhancement';
+export { IDENTITY_NETS, computeFaceDescriptor, analyzeReferencePhoto, compareFaces, groupByIdentity, MATCH_SAME, MATCH_UNSURE, MATCH_DIFFERENT } from './utils/faceIdentity';
+export { runComplianceChecks, summarizeCompliance, STATUS_PASS, STATUS_WARN, STATUS_FAIL } from './compliance/complianceChecks';
+export { setJpegDpi, setPngDpi } from './utils/imageEncoding';
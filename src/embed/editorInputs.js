@@ -0,0 +1,4 @@
+// src/embed/editorInputs.js
+
+// Ways of bringing a photo into the editor, for the allowedInputs prop
+export const EDITOR_INPUTS = ['upload', 'camera', 'project', 'batch'];
@@ -0,0 +1,59 @@
+// src/embed/hostBridge.js
+// Lets a host page run the editor in an iframe: the configuration comes from the iframe URL and
+// the editor's events are posted to the host window, e.g.
+//   <iframe src="https://photos.example/?embed&origin=https://portal.example&spec=pk-passport&inputs=upload,camera&locale=ur&accent=%23006400" allow="camera">
+import { EDITOR_INPUTS } from './editorInputs';
+
+// Constants for Host Messages
+export const MESSAGE_SOURCE = 'passport-photo-editor'; // Every message carries this, so hosts can tell them apart
+export const MESSAGE_READY = 'ready';
+export const MESSAGE_DETECTED = 'detected';
+export const MESSAGE_COMPLIANCE_RESULT = 'compliance-result';
+export const MESSAGE_EXPORT = 'export';
+
+/**
+ * Widget configuration from the page URL, or null when the page isn't embedded (no "embed" parameter).
+ * Returns { targetOrigin, specId, allowedInputs, locale, persistSession, theme } in the shape of the editor's props,
+ * with null for anything the URL leaves out. Parameters:
+ *   origin - origin of the host page; events are only sent there, so it's required to receive any
+ *   spec, inputs (comma-separated EDITOR_INPUTS), locale,
+ *   persist - keep the photo on the device and reopen it on the next visit; off unless given, since
+ *       embedded editors are often shared by many people
+ *   accent, background, text, font - the theme
+ */
+export const getEmbedConfig = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    if (!params.has('embed')) return null;
+
+    const inputs = params.get('inputs');
+    const theme = {
+        accentColor: params.get('accent'),
+        backgroundColor: params.get('background'),
+        textColor: params.get('text'),
+        fontFamily: params.get('font'),
+    };
+    return {
+        targetOrigin: params.get('origin'),
+        specId: params.get('spec'),
+        allowedInputs: inputs === null ? null : inputs.split(',').filter(input => EDITOR_INPUTS.includes(input)),
+        locale: params.get('locale'),
+        persistSession: params.has('persist'),
+        theme: Object.values(theme).some(Boolean) ? theme : null,
+    };
+};
+
+// Send one event to the host window; payloads must survive structured cloning (Blobs do)
+export const postToHost = (targetOrigin, type, payload = null) => {
+    window.parent.postMessage({ source: MESSAGE_SOURCE, type, payload }, targetOrigin);
+};
+
+/**
+ * Editor callbacks that forward each event to the host page as
+ * { source: MESSAGE_SOURCE, type, payload }, where payload is what the callback received.
+ * onExport's payload includes the photo Blob.
+ */
+export const createHostCallbacks = (targetOrigin) => ({
+    onDetected: (detection) => postToHost(targetOrigin, MESSAGE_DETECTED, detection),
+    onComplianceResult: (compliance) => postToHost(targetOrigin, MESSAGE_COMPLIANCE_RESULT, compliance),
+    onExport: (photo) => postToHost(targetOrigin, MESSAGE_EXPORT, photo),
+});
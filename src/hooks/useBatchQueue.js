@@ -0,0 +1,211 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { analyzeFace, renderPhoto, getPhotoFormat } from '../utils/photoPipeline';
+import { ingestImage, isImageFile } from '../utils/imageIngestion';
+import { canvasToBlob } from '../utils/download';
+import { computeFaceDescriptor } from '../utils/faceIdentity';
+import { t } from '../i18n/i18n';
+
+export const ITEM_QUEUED = 'queued';
+export const ITEM_PROCESSING = 'processing';
+export const ITEM_DONE = 'done';
+export const ITEM_ERROR = 'error';
+
+// Helper Function: Let the browser paint between photos so the page stays responsive
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Helper Function: Run the whole photo pipeline for one batch file
+const processBatchFile = async (file, spec, { faceIndex, adjustments, backgroundColor, enhancements, computeDescriptor }) => {
+    const image = await ingestImage(file);
+    if (image.error) return { error: image.error };
+
+    const sourceCanvas = image.canvas;
+    const { detection, error } = await analyzeFace(sourceCanvas, { faceIndex });
+    if (error) return { error };
+
+    const photo = renderPhoto(sourceCanvas, detection, spec, { adjustments, backgroundColor, enhancements });
+    const format = getPhotoFormat(spec);
+    const outputBlob = await canvasToBlob(photo.canvas, format.mimeType, format.quality);
+    const descriptor = computeDescriptor ? await computeFaceDescriptor(sourceCanvas, detection) : null;
+    return { outputBlob, adjustments: photo.adjustments, complianceResults: photo.complianceResults, descriptor };
+};
+
+// Helper Function: New queued item
+const createItem = (id, file, name, faceIndex = null) => ({
+    id,
+    file,
+    name,
+    faceIndex,
+    status: ITEM_QUEUED,
+    revision: 0,
+    error: null,
+    adjustments: null, // null uses the automatic crop
+    outputBlob: null,
+    thumbnailUrl: null,
+    complianceResults: [],
+    descriptor: null, // Face descriptor for identity checks, when they're turned on
+});
+
+/**
+ * Queue of photos processed one at a time in the background.
+ * Each item is { id, file, name, faceIndex, status, revision, error, adjustments, outputBlob, thumbnailUrl, complianceResults, descriptor };
+ * faceIndex picks a face in a group photo (null uses the main face).
+ * Items are re-processed when the spec, background color or lighting corrections change; results of a run that was
+ * overtaken by a newer revision of the same item are dropped.
+ * With computeDescriptors on, each item also gets a face descriptor; finished items without one are queued again.
+ */
+const useBatchQueue = ({ spec, backgroundColor, enhancements, computeDescriptors = false, isReady }) => {
+    const [items, setItems] = useState([]);
+    const nextIdRef = useRef(1);
+    const isWorkingRef = useRef(false);
+    const thumbnailUrlsRef = useRef(new Set()); // Every thumbnail URL created and not yet released
+    const settingsRef = useRef({ spec, backgroundColor, enhancements, computeDescriptors });
+    settingsRef.current = { spec, backgroundColor, enhancements, computeDescriptors };
+    const enhancementsKey = JSON.stringify(enhancements);
+
+    // Helper Function: Object URL for an output blob, released once no item shows it any more
+    const createThumbnailUrl = useCallback((blob) => {
+        const url = URL.createObjectURL(blob);
+        thumbnailUrlsRef.current.add(url);
+        return url;
+    }, []);
+
+    // Release the thumbnail URLs no item uses any more (replaced, removed, or from a dropped run).
+    // This stays out of the state updaters, which React may run twice.
+    useEffect(() => {
+        const usedUrls = new Set(items.map(item => item.thumbnailUrl));
+        thumbnailUrlsRef.current.forEach(url => {
+            if (usedUrls.has(url)) return;
+            URL.revokeObjectURL(url);
+            thumbnailUrlsRef.current.delete(url);
+        });
+    }, [items]);
+
+    useEffect(() => {
+        const thumbnailUrls = thumbnailUrlsRef.current;
+        return () => {
+            thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+            thumbnailUrls.clear();
+        };
+    }, []);
+
+    // Helper Function: Replace an item's output
+    const applyResult = useCallback((id, revision, result) => {
+        const thumbnailUrl = result.error ? null : createThumbnailUrl(result.outputBlob);
+        setItems(prevItems => prevItems.map(item => {
+            if (item.id !== id || item.revision !== revision) return item;
+            if (result.error) {
+                return { ...item, status: ITEM_ERROR, error: result.error, outputBlob: null, thumbnailUrl: null, complianceResults: [], descriptor: null };
+            }
+            return {
+                ...item,
+                status: ITEM_DONE,
+                error: null,
+                adjustments: result.adjustments,
+                outputBlob: result.outputBlob,
+                thumbnailUrl,
+                complianceResults: result.complianceResults,
+                descriptor: result.descriptor,
+            };
+        }));
+    }, [createThumbnailUrl]);
+
+    const addFiles = useCallback((files) => {
+        const imageFiles = Array.from(files).filter(isImageFile);
+        const newItems = imageFiles.map(file => createItem(nextIdRef.current++, file, file.webkitRelativePath || file.name));
+        setItems(prevItems => [...prevItems, ...newItems]);
+        return imageFiles.length;
+    }, []);
+
+    // Add one item per face of a group photo
+    const addFaceItems = useCallback((file, faceIndexes) => {
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        const newItems = faceIndexes.map(faceIndex => createItem(nextIdRef.current++, file, `${baseName} face ${faceIndex + 1}`, faceIndex));
+        setItems(prevItems => [...prevItems, ...newItems]);
+    }, []);
+
+    const removeItem = useCallback((id) => {
+        setItems(prevItems => prevItems.filter(item => item.id !== id));
+    }, []);
+
+    const clearItems = useCallback(() => {
+        setItems([]);
+    }, []);
+
+    // Store the result of editing an item by hand
+    const saveItem = useCallback((id, { outputBlob, adjustments, complianceResults, faceIndex, descriptor = null }) => {
+        const thumbnailUrl = createThumbnailUrl(outputBlob);
+        setItems(prevItems => prevItems.map(item => {
+            if (item.id !== id) return item;
+            return {
+                ...item,
+                status: ITEM_DONE,
+                revision: item.revision + 1, // Drops any queued run that would overwrite the edit
+                error: null,
+                faceIndex,
+                adjustments,
+                outputBlob,
+                thumbnailUrl,
+                complianceResults,
+                // Keep the old descriptor if the edit didn't compute one and the face is the same
+                descriptor: descriptor || (faceIndex === item.faceIndex ? item.descriptor : null),
+            };
+        }));
+    }, [createThumbnailUrl]);
+
+    // Compute descriptors for finished items once identity checks are turned on
+    useEffect(() => {
+        if (!computeDescriptors) return;
+        setItems(prevItems => prevItems.map(item => (
+            item.status === ITEM_DONE && !item.descriptor ? { ...item, status: ITEM_QUEUED, revision: item.revision + 1 } : item
+        )));
+    }, [computeDescriptors]);
+
+    // Re-process everything when the output settings change
+    useEffect(() => {
+        setItems(prevItems => prevItems.map(item => ({
+            ...item,
+            status: ITEM_QUEUED,
+            revision: item.revision + 1,
+            // Offsets are in output pixels, so they don't carry over between specs
+            adjustments: item.adjustments && { ...item.adjustments, verticalOffset: 0, horizontalOffset: 0 },
+        })));
+    }, [spec.id, backgroundColor, enhancementsKey]);
+
+    // Process the next queued item, one at a time
+    useEffect(() => {
+        if (!isReady || isWorkingRef.current) return;
+        const nextItem = items.find(item => item.status === ITEM_QUEUED);
+        if (!nextItem) return;
+
+        isWorkingRef.current = true;
+        const { id, revision, file, faceIndex, adjustments } = nextItem;
+        setItems(prevItems => prevItems.map(item => (
+            item.id === id && item.revision === revision ? { ...item, status: ITEM_PROCESSING } : item
+        )));
+
+        const run = async () => {
+            await yieldToBrowser();
+            const settings = settingsRef.current;
+            try {
+                applyResult(id, revision, await processBatchFile(file, settings.spec, {
+                    faceIndex,
+                    adjustments,
+                    backgroundColor: settings.backgroundColor,
+                    enhancements: settings.enhancements,
+                    computeDescriptor: settings.computeDescriptors,
+                }));
+            } catch (err) {
+                console.error("Batch processing error:", err);
+                applyResult(id, revision, { error: t('errors.batchProcessing') });
+            } finally {
+                isWorkingRef.current = false;
+                setItems(prevItems => [...prevItems]); // Wake the queue for the next item
+            }
+        };
+        run();
+    }, [items, isReady, applyResult]);
+
+    return { items, addFiles, addFaceItems, removeItem, clearItems, saveItem };
+};
+
+export default useBatchQueue;
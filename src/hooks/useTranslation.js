@@ -0,0 +1,15 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { translate, getLocale, getDirection, setLocale, subscribeToLocale } from '../i18n/i18n';
+
+/**
+ * The current language, re-rendering the component when it changes.
+ * Returns { t, locale, direction, setLocale }; t(key, params) translates into the current
+ * language and changes identity with it, so it can be used as an effect dependency.
+ */
+const useTranslation = () => {
+    const locale = useSyncExternalStore(subscribeToLocale, getLocale);
+    const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+    return { t, locale, direction: getDirection(locale), setLocale };
+};
+
+export default useTranslation;
@@ -0,0 +1,72 @@
+import { useState, useCallback } from 'react';
+
+const MAX_HISTORY_LENGTH = 100;
+
+/**
+ * useState with undo/redo history.
+ * setState(next) records the previous value so it can be undone; pass { record: false }
+ * for intermediate updates during a gesture and call checkpoint() once when it starts,
+ * so the whole gesture is undone in one step. reset(value) replaces the state and clears history.
+ */
+const useUndoableState = (initialState) => {
+    const [history, setHistory] = useState({ past: [], present: initialState, future: [] });
+
+    const setState = useCallback((nextState, { record = true } = {}) => {
+        setHistory(prevHistory => {
+            const next = typeof nextState === 'function' ? nextState(prevHistory.present) : nextState;
+            if (!record) return { ...prevHistory, present: next };
+            return {
+                past: [...prevHistory.past, prevHistory.present].slice(-MAX_HISTORY_LENGTH),
+                present: next,
+                future: [],
+            };
+        });
+    }, []);
+
+    const checkpoint = useCallback(() => {
+        setHistory(prevHistory => ({
+            past: [...prevHistory.past, prevHistory.present].slice(-MAX_HISTORY_LENGTH),
+            present: prevHistory.present,
+            future: [],
+        }));
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(prevHistory => {
+            if (prevHistory.past.length === 0) return prevHistory;
+            return {
+                past: prevHistory.past.slice(0, -1),
+                present: prevHistory.past[prevHistory.past.length - 1],
+                future: [prevHistory.present, ...prevHistory.future],
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(prevHistory => {
+            if (prevHistory.future.length === 0) return prevHistory;
+            return {
+                past: [...prevHistory.past, prevHistory.present],
+                present: prevHistory.future[0],
+                future: prevHistory.future.slice(1),
+            };
+        });
+    }, []);
+
+    const reset = useCallback((value) => {
+        setHistory({ past: [], present: value, future: [] });
+    }, []);
+
+    return {
+        state: history.present,
+        setState,
+        checkpoint,
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
+    };
+};
+
+export default useUndoableState;
@@ -0,0 +1,327 @@
+// src/i18n/en.js
+// English messages. This is the reference catalog: every key the app uses is defined here,
+// and other languages fall back to it for anything they don't translate.
+// {name} placeholders are filled in by translate().
+
+const en = {
+    // App
+    'app.title': 'Pakistani Passport Photo Creator',
+    'app.intro': 'Upload a photo to create a Pakistani passport size photo.',
+    'app.language': 'Language',
+    'app.instructionsTitle': 'Instructions:',
+    'app.instructions.spec': 'Select the document type you need the photo for (Pakistani passport by default).',
+    'app.instructions.upload': 'Upload a clear photo of your face using the "Choose File" button, or click "Use Camera" and follow the live hints until the "Capture Photo" button is enabled. iPhone HEIC photos and sideways phone photos are handled automatically, and the location stored in the photo is removed.',
+    'app.instructions.lighting': 'Ensure your full face is visible and well-lit in the photo.',
+    'app.instructions.detection': 'Wait for face detection to process the image (a red box will appear around the detected face). If the photo has several people, click the numbered face you want (or use the "Face" buttons below the image), or use "Crop All Faces" to add every face to the batch. If no face is detected, try a different photo.',
+    'app.instructions.background': 'Take the photo against a plain, evenly lit wall or sheet. "Replace plain background" recolors such a backdrop (e.g. to the color your document needs); it cannot cut you out of a busy room or a patterned background. Use "Preview & touch up mask" to paint over any areas the automatic mask got wrong.',
+    'app.instructions.crop': 'Adjust the crop directly on the preview: drag to move, scroll or pinch to zoom, and drag the blue handle to rotate. A tilted head is levelled automatically; use Level Eyes to straighten it again after rotating. Arrow keys nudge the photo, and Ctrl+Z / Ctrl+Shift+Z undo and redo.',
+    'app.instructions.enhance': 'Lighting and color are corrected automatically (white balance, exposure, contrast, shadows and noise). Use the sliders to weaken any correction, and hold "Hold to See Original" to compare before and after. Red-eye from a camera flash is removed automatically.',
+    'app.instructions.glasses': 'If you wear glasses, reflections on the lenses are highlighted in yellow on the original image and flagged in the compliance check. Retake the photo without glasses, or tilt them slightly away from the light.',
+    'app.instructions.compliance': 'Review the "Compliance Check" list. Each requirement shows its measured value; fix any warnings or failures before downloading.',
+    'app.instructions.export': 'In the "Download Photo" panel, pick the format, pixel width and the file size range your online portal accepts, click "Prepare Download" to see the final size and dimensions, then "Download Passport Photo".',
+    'app.instructions.standards': 'The downloaded image will be cropped and scaled to the size and head-height standards of the selected document (35mm x 45mm JPEG for a Pakistani passport).',
+    'app.instructions.print': 'To print at a photo shop, use the "Print Sheet" panel to tile the photo onto 4x6in, 5x7in, A5 or A4 paper with cut marks, and download it as JPEG, PNG or PDF.',
+    'app.instructions.batch': 'For several people at once, add photos or a whole folder in the "Batch Processing" panel. Each photo is cropped automatically; click "Edit" to fine-tune one in the editor, then "Save to Batch", and download them all as a ZIP.',
+    'app.instructions.identity': 'To catch mix-ups, tick "Check that the photos show the same person" and optionally add a reference photo such as your CNIC or old passport. The editor shows how similar the new photo is to the reference, and the batch groups photos by person and flags any that don\'t match.',
+    'app.instructions.session': 'Your photo and adjustments are kept on this device and restored when you come back. Use "Save Project" to keep them in a file, and "Open Project" to re-crop the same photo later, for example for another document type. "New Photo" clears the photo from this device.',
+    'app.instructions.offline': 'The app can be installed from your browser\'s menu. Once it shows "Ready to work offline", it keeps working without a connection.',
+    'app.noteLabel': 'Note:',
+    'app.note': 'This application provides an approximation based on the provided dimensions. Always verify with official passport guidelines for precise requirements.',
+
+    // Offline status
+    'offline.privacy': 'Photos are processed on this device and never uploaded.',
+    'offline.offlineReady': 'You are offline; everything still works.',
+    'offline.offline': 'You are offline.',
+    'offline.ready': 'Ready to work offline.',
+    'offline.updateAvailable': 'A new version is available.',
+    'offline.reload': 'Reload',
+
+    // Document types
+    'specs.pk-passport': 'Pakistan - Passport (35x45mm)',
+    'specs.pk-cnic': 'Pakistan - NADRA CNIC (35x45mm)',
+    'specs.pk-visa': 'Pakistan - Visa (35x45mm)',
+    'specs.us-passport': 'United States - Passport/Visa (2x2in)',
+    'specs.uk-passport': 'United Kingdom - Passport (35x45mm)',
+    'specs.schengen-visa': 'Schengen - Visa (35x45mm)',
+    'specs.in-visa': 'India - e-Visa (2x2in)',
+    'specs.sa-visa': 'Saudi Arabia - Visa (40x60mm)',
+    'specs.ae-visa': 'United Arab Emirates - Visa (43x55mm)',
+
+    // Editor
+    'editor.title': 'Pakistani Passport Photo Editor',
+    'editor.documentType': 'Document type:',
+    'editor.chooseImage': 'Choose a photo',
+    'editor.useCamera': 'Use Camera',
+    'editor.closeCamera': 'Close Camera',
+    'editor.openProject': 'Open Project',
+    'editor.openProjectHint': 'Open a project saved earlier, with its photo and adjustments',
+    'editor.saveProject': 'Save Project',
+    'editor.saveProjectHint': 'Save the photo and its adjustments to re-crop it later, e.g. for another document',
+    'editor.newPhoto': 'New Photo',
+    'editor.newPhotoHint': 'Clear this photo and the copy saved on this device, e.g. before the next person',
+    'editor.loadingModels': 'Loading face detection models...',
+    'editor.loadingModelsAttempt': 'Loading face detection models (attempt {attempt})...',
+    'editor.modelProgress': 'Model download progress',
+    'editor.retry': 'Retry',
+    'editor.replaceBackground': 'Replace plain background',
+    'editor.replaceBackgroundHint': 'Only works on a plain, evenly colored backdrop: the backdrop is found from the colors at the edges of the photo',
+    'editor.backgroundColor': 'Background color',
+    'editor.documentDefaultColor': 'Document default ({color})',
+    'editor.customColor': 'Custom background color',
+    'editor.previewMask': 'Preview & touch up mask',
+    'editor.color.white': 'White',
+    'editor.color.offWhite': 'Off-white',
+    'editor.color.lightGrey': 'Light grey',
+    'editor.color.lightBlue': 'Light blue',
+    'editor.color.blue': 'Blue',
+    'editor.originalImage': 'Original Image',
+    'editor.originalImageDescription': 'The uploaded photo with boxes around the detected faces',
+    'editor.facesFound': '{count} faces found. Click a face to crop it, or choose it here:',
+    'editor.clickFace': 'Click a face to crop it',
+    'editor.faceButton': 'Face {number}',
+    'editor.cropAllFaces': 'Crop All Faces',
+    'editor.cropAllFacesHint': 'Add each face to the batch as its own photo',
+    'editor.croppedPhoto': 'Cropped Photo ({width}mm x {height}mm, {dpi} DPI)',
+    'editor.saveToBatch': 'Save to Batch',
+    'editor.note': '* Upload a high-resolution image with clear, frontal face and good lighting.  Make sure you are looking straight at the camera.',
+    'editor.status.oneFace': 'One face detected. The cropped photo is ready.',
+    'editor.status.faceSelected': '{count} faces detected. Face {number} is selected.',
+    'editor.status.noFaceSelected': '{count} faces detected. Choose a face to crop.',
+    'editor.status.complianceSummary': 'Compliance check: {passed} passed, {warnings} warnings, {failed} failed.',
+    'editor.confirmFailedExport': 'This photo fails {count} compliance check(s) and may be rejected:\n{checks}\n\nDownload anyway?',
+
+    // Editor errors
+    'errors.modelLoad': 'Failed to load face detection models. Please check your connection and click Retry.',
+    'errors.modelNotLoaded': 'Face detection model not loaded yet. Please wait.',
+    'errors.noFace': 'No face detected. Please upload another photo where the face is clearly visible and well-lit.',
+    'errors.faceNotFound': 'Face {number} was not found in this photo.',
+    'errors.faceNumbered': 'Face {number}: {message}',
+    'errors.headTurned': 'The head is turned to the side. Please use a photo where you face the camera directly.',
+    'errors.headNodding': 'The chin is raised or lowered too far. Please use a photo where your head is level.',
+    'errors.detection': 'An error occurred during face detection.',
+    'errors.imageLoad': 'Error loading image. Please try another image file.',
+    'errors.heicDecode': 'Could not convert this HEIC photo. Please export it as JPEG and try again.',
+    'errors.projectSave': 'Could not save the project file.',
+    'errors.notAProject': 'This file is not a photo project. Choose a file saved with "Save Project".',
+    'errors.newerProject': 'This project was saved by a newer version of the app. Please update the app to open it.',
+    'errors.damagedProject': 'The photo in this project file is damaged.',
+    'errors.segmentation': 'Could not separate the person from the background. Please try another photo.',
+    'errors.recognitionModelLoad': 'Failed to load the face recognition model. Please check your connection and try again.',
+    'errors.referenceNoFace': 'No face found in the reference photo. Please try a sharper scan or photo.',
+    'errors.referenceLoad': 'Could not read the reference photo. Please try another image file.',
+    'errors.cropAllFaces': 'Could not add the faces to the batch.',
+    'errors.batchSave': 'Could not save the edited photo to the batch.',
+    'errors.batchProcessing': 'Could not process this photo.',
+
+    // Camera
+    'camera.noFace': 'No face detected',
+    'camera.distanceOk': 'Distance OK',
+    'camera.tooFar': 'Too far - move closer',
+    'camera.tooClose': 'Too close - move back',
+    'camera.level': 'Head level',
+    'camera.tilted': 'Tilted - keep your head level',
+    'camera.centered': 'Centered',
+    'camera.offCenter': 'Off-center - line your face up with the oval',
+    'camera.facing': 'Facing the camera',
+    'camera.lookStraight': 'Look straight at the camera',
+    'camera.accessError': 'Could not access the camera. Please allow camera access or upload a photo instead.',
+    'camera.preview': 'Camera preview with a guide for your face',
+    'camera.capture': 'Capture Photo',
+    'camera.cancel': 'Cancel',
+
+    // Background mask
+    'mask.eraseBackground': 'Erase background',
+    'mask.restorePerson': 'Restore person',
+    'mask.brushSize': 'Brush size',
+    'mask.preview': 'Mask preview. Paint with the mouse, a pen or a finger to fix the mask.',
+    'mask.hint': 'Red areas will be replaced with the background color.',
+
+    // Crop editor
+    'crop.stageLabel': 'Crop preview. Arrow keys move the photo (hold Shift for larger steps), plus and minus zoom, square brackets rotate, Ctrl+Z undoes.',
+    'crop.stageHint': 'Drag to move, scroll or pinch to zoom, arrow keys to nudge',
+    'crop.rotateHandle': 'Drag to rotate',
+    'crop.zoomOut': 'Zoom Out',
+    'crop.zoomIn': 'Zoom In',
+    'crop.rotateLeft': 'Rotate Left',
+    'crop.rotateRight': 'Rotate Right',
+    'crop.levelEyes': 'Level Eyes',
+    'crop.undo': 'Undo',
+    'crop.redo': 'Redo',
+    'crop.resetAll': 'Reset All',
+    'crop.autoFit': 'Auto-Fit Head Size',
+    'crop.status': 'Zoom {zoom}% · Rotation {rotation}°',
+    'crop.guide.eyes': 'Eyes {min}-{max}mm from bottom',
+    'crop.guide.crown': 'Crown {margin}mm',
+    'crop.guide.chin': 'Chin (head {height}mm)',
+    'crop.overlay.crown': 'Crown line',
+    'crop.overlay.chin': 'Chin line',
+    'crop.overlay.eyes': 'Eye band',
+    'crop.overlay.center': 'Center axis',
+
+    // Lighting corrections
+    'enhance.enable': 'Correct lighting and color automatically',
+    'enhance.whiteBalance': 'White balance',
+    'enhance.exposure': 'Exposure',
+    'enhance.contrast': 'Contrast',
+    'enhance.shadowLift': 'Shadow lift',
+    'enhance.denoise': 'Noise reduction',
+    'enhance.compare': 'Hold to See Original',
+    'enhance.reset': 'Reset Corrections',
+    'enhance.note': 'Corrections are limited to natural lighting fixes; features and skin are never retouched.',
+
+    // Download
+    'export.title': 'Download Photo',
+    'export.format': 'Format',
+    'export.width': 'Width (px)',
+    'export.minSize': 'Min size (KB)',
+    'export.maxSize': 'Max size (KB)',
+    'export.none': 'none',
+    'export.invalidRange': 'The minimum size is larger than the maximum.',
+    'export.formatRequired': '{document} usually requires {formats}.',
+    'export.formatSeparator': ' or ',
+    'export.noDpi': '{format} files have no DPI field, so print size isn\'t stored.',
+    'export.preparing': 'Preparing...',
+    'export.prepare': 'Prepare Download',
+    'export.download': 'Download Passport Photo',
+    'export.deliver': 'Use This Photo',
+    'export.encodeError': 'Could not encode the photo as {format}. Try another format.',
+    'export.quality': 'quality {quality}%',
+    'export.resolutionReduced': 'Resolution was reduced to fit the maximum file size.',
+    'export.padded': 'Padded to the minimum file size; the image itself is unchanged.',
+    'export.outsideRange': 'This file is outside the requested size range. Try a smaller width or another format.',
+
+    // Print sheet
+    'print.title': 'Print Sheet',
+    'print.paper': 'Paper',
+    'print.photos': 'Photos',
+    'print.spacing': 'Spacing (mm)',
+    'print.cutMarks': 'Cut marks',
+    'print.format': 'Format',
+    'print.preview': 'Print sheet preview',
+    'print.exporting': 'Exporting...',
+    'print.download': 'Download Print Sheet',
+    'print.reducedDpi': 'This paper size is exported at {dpi} DPI instead of {specDpi} DPI, the most browsers can draw on one sheet. It still prints at the right size.',
+    'print.exportError': 'Could not export the print sheet. Try a smaller paper size or fewer photos.',
+
+    // Batch
+    'batch.title': 'Batch Processing',
+    'batch.addPhotos': 'Add photos',
+    'batch.addFolder': 'Add folder',
+    'batch.skipped': '{count} file(s) skipped because they are not images.',
+    'batch.progress': '{done} of {total} ready',
+    'batch.progressQueued': '{done} of {total} ready, {pending} in queue',
+    'batch.repeatedPeople': '{count} photo(s) seem to show a person who is already in this batch. Check for a duplicate or a mix-up.',
+    'batch.referenceMismatches': '{count} photo(s) don\'t match the reference photo.',
+    'batch.person': 'Person {number}',
+    'batch.referenceMatch': 'Reference: {similarity}%',
+    'batch.status.waiting': 'Waiting',
+    'batch.status.processing': 'Processing...',
+    'batch.status.failed': 'Failed',
+    'batch.status.compliant': '✓ Compliant',
+    'batch.status.warnings': '! Check warnings',
+    'batch.status.fails': '✗ Fails checks',
+    'batch.edit': 'Edit',
+    'batch.editing': 'Editing',
+    'batch.editItem': 'Edit {name}',
+    'batch.remove': 'Remove',
+    'batch.removeItem': 'Remove {name}',
+    'batch.confirmFailing': '{count} photo(s) fail compliance checks and may be rejected.\n\nInclude them in the ZIP anyway?',
+    'batch.exportError': 'Could not create the ZIP file.',
+    'batch.exporting': 'Exporting...',
+    'batch.downloadZip': 'Download {count} Photo(s) as ZIP',
+    'batch.clear': 'Clear Batch',
+
+    // Identity check
+    'identity.enable': 'Check that the photos show the same person',
+    'identity.loadingModel': 'Loading face recognition model...',
+    'identity.referenceAlt': 'Reference photo',
+    'identity.removeReference': 'Remove Reference',
+    'identity.chooseReference': 'Reference photo (e.g. CNIC or old passport)',
+    'identity.similarity': 'Similarity to the reference: {similarity}% ({match})',
+    'identity.match.same': 'Same person',
+    'identity.match.unsure': 'Not sure, please compare the photos yourself',
+    'identity.match.different': 'Looks like a different person',
+    'identity.note': 'Batch photos are grouped by person, and photos that don\'t match the reference are flagged. Faces are compared on this device only.',
+
+    // Compliance report
+    'report.title': 'Compliance Check',
+    'report.summary': '{passed} passed, {warnings} warnings, {failed} failed',
+    'report.status': 'Result',
+    'report.check': 'Requirement',
+    'report.value': 'Measured',
+    'report.details': 'Details',
+    'report.pass': 'Pass',
+    'report.warn': 'Warning',
+    'report.fail': 'Fail',
+
+    // Compliance checks
+    'compliance.resolution': 'Image resolution',
+    'compliance.resolution.tooSmall': 'Use a photo of at least {size}x{size}px.',
+    'compliance.resolution.upscaled': 'The face is enlarged {scale}x and may look soft. Move closer to the camera.',
+    'compliance.resolution.ok': 'Resolution is sufficient for printing.',
+    'compliance.head-height': 'Head height (chin to crown)',
+    'compliance.head-height.clipped': 'The top of the head is cut off in the original photo.',
+    'compliance.head-height.estimated': 'The top of the head could not be detected, so head height is estimated. Check it manually.',
+    'compliance.head-height.range': 'Must be between {min}mm and {max}mm.',
+    'compliance.top-margin': 'Space above head',
+    'compliance.top-margin.clipped': 'The top of the head is cut off.',
+    'compliance.top-margin.target': 'Should be about {margin}mm.',
+    'compliance.centering': 'Horizontal centering',
+    'compliance.centering.value': '{offset}mm off-center',
+    'compliance.centering.message': 'The face should be centered horizontally.',
+    'compliance.eye-line': 'Eye line height',
+    'compliance.eye-line.value': '{height}mm from bottom',
+    'compliance.eye-line.message': 'Eyes should be {min}-{max}mm from the bottom edge.',
+    'compliance.head-roll': 'Head tilt (roll)',
+    'compliance.head-roll.message': 'The eyes should be level. Use the rotation controls to straighten the photo.',
+    'compliance.head-yaw': 'Head turn (yaw)',
+    'compliance.head-yaw.message': 'Face the camera directly without turning your head.',
+    'compliance.head-pitch': 'Head nod (pitch)',
+    'compliance.head-pitch.value': 'nose at {ratio}% of eye-chin',
+    'compliance.head-pitch.message': 'Keep your chin level, neither raised nor lowered.',
+    'compliance.eyes-open': 'Eyes open',
+    'compliance.eyes-open.value': 'openness {ratio}',
+    'compliance.eyes-open.message': 'Both eyes must be open and clearly visible.',
+    'compliance.red-eye': 'Red-eye',
+    'compliance.red-eye.corrected': 'corrected',
+    'compliance.red-eye.correctedMessage': 'Red-eye from the flash was corrected automatically.',
+    'compliance.red-eye.noneMessage': 'No red-eye detected.',
+    'compliance.glasses-glare': 'Glasses and glare',
+    'compliance.glasses-glare.glareValue': 'glare on {ratio}% of the eye area',
+    'compliance.glasses-glare.glareMessage': 'Reflections cover the eyes (highlighted on the original). Remove glasses or tilt them and avoid direct light.',
+    'compliance.glasses-glare.glassesValue': 'glasses likely',
+    'compliance.glasses-glare.glassesMessage': 'Glasses appear to be worn. Many documents no longer accept them; remove them if you can.',
+    'compliance.glasses-glare.noneMessage': 'No glasses or glare on the eyes.',
+    'compliance.expression': 'Neutral expression',
+    'compliance.expression.unavailable': 'Expression could not be evaluated.',
+    'compliance.expression.value': '{expression} {probability}%',
+    'compliance.expression.message': 'Keep a neutral expression with your mouth closed.',
+    'compliance.expression.neutral': 'neutral',
+    'compliance.expression.happy': 'happy',
+    'compliance.expression.sad': 'sad',
+    'compliance.expression.angry': 'angry',
+    'compliance.expression.fearful': 'fearful',
+    'compliance.expression.disgusted': 'disgusted',
+    'compliance.expression.surprised': 'surprised',
+    'compliance.background': 'Plain light background',
+    'compliance.background.unavailable': 'Not enough background visible to evaluate.',
+    'compliance.background.value': 'variation {variation}, brightness {brightness}',
+    'compliance.background.message': 'The background must be plain, evenly lit and light colored.',
+    'compliance.exposure': 'Exposure and contrast',
+    'compliance.exposure.unavailable': 'The face is outside the photo.',
+    'compliance.exposure.value': 'brightness {brightness}, contrast {contrast}',
+    'compliance.exposure.message': 'The face should be evenly exposed, neither too dark nor washed out.',
+    'compliance.sharpness': 'Sharpness',
+    'compliance.sharpness.unavailable': 'Sharpness could not be evaluated.',
+    'compliance.sharpness.value': 'focus {variance}',
+    'compliance.sharpness.message': 'The photo must be in focus without motion blur.',
+    'compliance.face-shadows': 'Shadows on face',
+    'compliance.face-shadows.unavailable': 'Shadows could not be evaluated.',
+    'compliance.face-shadows.value': '{difference}% left/right difference',
+    'compliance.face-shadows.message': 'Light the face evenly so neither side is in shadow.',
+    'compliance.none': 'none',
+    'compliance.notAvailable': 'n/a',
+    'compliance.failed': 'This check could not be evaluated.',
+};
+
+export default en;
@@ -0,0 +1,73 @@
+// src/i18n/i18n.js
+// The current language, shared by React components (through hooks/useTranslation) and by code
+// outside React that produces user-facing text, such as the compliance checks and error messages.
+import en from './en';
+import ur from './ur';
+
+// Constants for Languages
+export const LOCALES = [
+    { id: 'en', label: 'English', direction: 'ltr', catalog: en },
+    { id: 'ur', label: 'اردو', direction: 'rtl', catalog: ur },
+];
+const DEFAULT_LOCALE_ID = 'en';
+const STORAGE_KEY = 'passport-photo-locale';
+
+const getLocaleInfo = (id) => LOCALES.find(locale => locale.id === id) || LOCALES[0];
+
+// Helper Function: The language picked earlier, else the first supported browser language, else English
+const detectLocale = () => {
+    try {
+        const savedId = window.localStorage.getItem(STORAGE_KEY);
+        if (savedId) return getLocaleInfo(savedId).id;
+    } catch (err) {
+        // Storage can be blocked (e.g. private browsing); fall back to the browser language
+    }
+    const browserLanguages = navigator.languages || [navigator.language];
+    const match = browserLanguages.find(language => language && LOCALES.some(locale => locale.id === language.split('-')[0]));
+    return match ? match.split('-')[0] : DEFAULT_LOCALE_ID;
+};
+
+let currentLocaleId = typeof window === 'undefined' ? DEFAULT_LOCALE_ID : detectLocale();
+const listeners = new Set();
+
+/**
+ * Translate a message key into a language, filling {name} placeholders from params.
+ * Keys missing from the language's catalog fall back to English, then to the key itself.
+ */
+export const translate = (localeId, key, params = {}) => {
+    const message = getLocaleInfo(localeId).catalog[key] || en[key] || key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+// Translate into the current language
+export const t = (key, params) => translate(currentLocaleId, key, params);
+
+export const getLocale = () => currentLocaleId;
+
+export const getDirection = (localeId = currentLocaleId) => getLocaleInfo(localeId).direction;
+
+// Helper Function: Mirror the language on the page, so the layout flips for right-to-left and screen readers pick the right voice
+const applyToDocument = () => {
+    if (typeof document === 'undefined') return;
+    document.documentElement.lang = currentLocaleId;
+    document.documentElement.dir = getDirection();
+    document.title = t('app.title');
+};
+
+export const setLocale = (localeId) => {
+    currentLocaleId = getLocaleInfo(localeId).id;
+    try {
+        window.localStorage.setItem(STORAGE_KEY, currentLocaleId);
+    } catch (err) {
+        // The choice just isn't remembered
+    }
+    applyToDocument();
+    listeners.forEach(listener => listener());
+};
+
+export const subscribeToLocale = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+applyToDocument();
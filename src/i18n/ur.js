@@ -0,0 +1,326 @@
+// src/i18n/ur.js
+// Urdu messages (right-to-left). Keys are the same as in en.js; anything missing here is shown in English.
+// Numbers, units and file formats are kept in Latin script, as on official Pakistani forms.
+
+const ur = {
+    // App
+    'app.title': 'پاکستانی پاسپورٹ تصویر ساز',
+    'app.intro': 'پاکستانی پاسپورٹ سائز تصویر بنانے کے لیے اپنی تصویر اپ لوڈ کریں۔',
+    'app.language': 'زبان',
+    'app.instructionsTitle': 'ہدایات:',
+    'app.instructions.spec': 'وہ دستاویز منتخب کریں جس کے لیے آپ کو تصویر چاہیے (پہلے سے پاکستانی پاسپورٹ منتخب ہے)۔',
+    'app.instructions.upload': 'فائل منتخب کرنے والے بٹن سے اپنے چہرے کی واضح تصویر اپ لوڈ کریں، یا "کیمرا استعمال کریں" پر کلک کریں اور براہ راست ہدایات پر عمل کریں یہاں تک کہ "تصویر کھینچیں" کا بٹن فعال ہو جائے۔ آئی فون کی HEIC تصاویر اور ٹیڑھی فون تصاویر خود بخود درست ہو جاتی ہیں، اور تصویر میں محفوظ مقام ہٹا دیا جاتا ہے۔',
+    'app.instructions.lighting': 'یقینی بنائیں کہ تصویر میں آپ کا پورا چہرہ نظر آ رہا ہو اور اس پر اچھی روشنی ہو۔',
+    'app.instructions.detection': 'چہرے کی شناخت مکمل ہونے کا انتظار کریں (پہچانے گئے چہرے کے گرد سرخ خانہ نظر آئے گا)۔ اگر تصویر میں کئی لوگ ہوں تو مطلوبہ نمبر والے چہرے پر کلک کریں (یا تصویر کے نیچے "چہرہ" کے بٹن استعمال کریں)، یا ہر چہرے کو بیچ میں شامل کرنے کے لیے "تمام چہرے کاٹیں" استعمال کریں۔ اگر کوئی چہرہ نہ ملے تو دوسری تصویر آزمائیں۔',
+    'app.instructions.background': 'تصویر کسی سادہ اور یکساں روشن دیوار یا چادر کے سامنے کھینچیں۔ "سادہ پس منظر تبدیل کریں" ایسے پس منظر کا رنگ بدل دیتا ہے (مثلاً آپ کی دستاویز کے مطلوبہ رنگ میں)؛ یہ آپ کو بھرے ہوئے کمرے یا نقش دار پس منظر سے الگ نہیں کر سکتا۔ خودکار ماسک کی غلطیاں درست کرنے کے لیے "ماسک دیکھیں اور درست کریں" استعمال کریں۔',
+    'app.instructions.crop': 'کٹائی براہ راست پیش منظر پر درست کریں: سرکانے کے لیے گھسیٹیں، زوم کے لیے اسکرول یا چٹکی کریں، اور گھمانے کے لیے نیلا ہینڈل گھسیٹیں۔ جھکا ہوا سر خود بخود سیدھا ہو جاتا ہے؛ گھمانے کے بعد دوبارہ سیدھا کرنے کے لیے "آنکھیں سیدھی کریں" استعمال کریں۔ تیر والی کلیدیں تصویر کو تھوڑا سرکاتی ہیں، اور Ctrl+Z / Ctrl+Shift+Z واپس اور دوبارہ کرتے ہیں۔',
+    'app.instructions.enhance': 'روشنی اور رنگ خود بخود درست ہوتے ہیں (سفید توازن، ایکسپوژر، کنٹراسٹ، سائے اور شور)۔ کسی بھی درستی کو کم کرنے کے لیے سلائیڈر استعمال کریں، اور پہلے اور بعد کا موازنہ کرنے کے لیے "اصل دیکھنے کے لیے دبائے رکھیں" کو دبائے رکھیں۔ کیمرا فلیش سے آنکھوں کی سرخی خود بخود ہٹا دی جاتی ہے۔',
+    'app.instructions.glasses': 'اگر آپ عینک پہنتے ہیں تو شیشوں پر چمک اصل تصویر پر پیلے رنگ سے نمایاں کی جاتی ہے اور معیار کی جانچ میں بتائی جاتی ہے۔ عینک کے بغیر دوبارہ تصویر لیں، یا عینک کو روشنی سے تھوڑا ہٹا کر جھکائیں۔',
+    'app.instructions.compliance': '"معیار کی جانچ" کی فہرست دیکھیں۔ ہر شرط کے ساتھ اس کی ناپی گئی قدر دکھائی جاتی ہے؛ ڈاؤن لوڈ سے پہلے تمام انتباہات اور ناکامیاں درست کریں۔',
+    'app.instructions.export': '"تصویر ڈاؤن لوڈ کریں" کے حصے میں فارمیٹ، پکسل چوڑائی اور فائل سائز کی وہ حد منتخب کریں جو آپ کا آن لائن پورٹل قبول کرتا ہے، حتمی سائز دیکھنے کے لیے "ڈاؤن لوڈ تیار کریں" پر کلک کریں، پھر "پاسپورٹ تصویر ڈاؤن لوڈ کریں"۔',
+    'app.instructions.standards': 'ڈاؤن لوڈ کی گئی تصویر منتخب دستاویز کے سائز اور سر کی اونچائی کے معیار کے مطابق کاٹی اور چھوٹی بڑی کی جائے گی (پاکستانی پاسپورٹ کے لیے 35mm x 45mm JPEG)۔',
+    'app.instructions.print': 'فوٹو شاپ سے پرنٹ کروانے کے لیے "پرنٹ شیٹ" کے حصے سے تصویر کو کٹائی کے نشانات کے ساتھ 4x6in، 5x7in، A5 یا A4 کاغذ پر ترتیب دیں، اور JPEG، PNG یا PDF میں ڈاؤن لوڈ کریں۔',
+    'app.instructions.batch': 'ایک ساتھ کئی لوگوں کے لیے "بیچ پروسیسنگ" کے حصے میں تصاویر یا پورا فولڈر شامل کریں۔ ہر تصویر خود بخود کاٹی جاتی ہے؛ کسی ایک کو ایڈیٹر میں درست کرنے کے لیے "ترمیم" پر کلک کریں، پھر "بیچ میں محفوظ کریں"، اور سب کو ZIP کے طور پر ڈاؤن لوڈ کریں۔',
+    'app.instructions.identity': 'غلطی سے بچنے کے لیے "جانچیں کہ تصاویر ایک ہی شخص کی ہیں" پر نشان لگائیں اور چاہیں تو اپنے شناختی کارڈ یا پرانے پاسپورٹ جیسی کوئی حوالہ تصویر شامل کریں۔ ایڈیٹر دکھاتا ہے کہ نئی تصویر حوالہ تصویر سے کتنی ملتی ہے، اور بیچ تصاویر کو افراد کے لحاظ سے گروپ کرتا ہے اور نہ ملنے والی تصاویر کی نشاندہی کرتا ہے۔',
+    'app.instructions.session': 'آپ کی تصویر اور تبدیلیاں اسی ڈیوائس پر محفوظ رہتی ہیں اور واپس آنے پر بحال ہو جاتی ہیں۔ انہیں فائل میں رکھنے کے لیے "پروجیکٹ محفوظ کریں" اور بعد میں اسی تصویر کو دوبارہ کاٹنے کے لیے، مثلاً کسی اور دستاویز کے لیے، "پروجیکٹ کھولیں" استعمال کریں۔ "نئی تصویر" اس تصویر کو ڈیوائس سے مٹا دیتا ہے۔',
+    'app.instructions.offline': 'یہ ایپ آپ کے براؤزر کے مینو سے انسٹال کی جا سکتی ہے۔ جب یہ "آف لائن کام کے لیے تیار" دکھائے تو انٹرنیٹ کے بغیر بھی کام کرتی رہتی ہے۔',
+    'app.noteLabel': 'نوٹ:',
+    'app.note': 'یہ ایپلیکیشن دیے گئے پیمانوں کی بنیاد پر اندازاً تصویر بناتی ہے۔ درست شرائط کے لیے ہمیشہ سرکاری پاسپورٹ ہدایات سے تصدیق کریں۔',
+
+    // Offline status
+    'offline.privacy': 'تصاویر اسی ڈیوائس پر پروسیس ہوتی ہیں اور کبھی اپ لوڈ نہیں کی جاتیں۔',
+    'offline.offlineReady': 'آپ آف لائن ہیں؛ سب کچھ پھر بھی کام کرتا ہے۔',
+    'offline.offline': 'آپ آف لائن ہیں۔',
+    'offline.ready': 'آف لائن کام کے لیے تیار۔',
+    'offline.updateAvailable': 'نیا ورژن دستیاب ہے۔',
+    'offline.reload': 'دوبارہ لوڈ کریں',
+
+    // Document types
+    'specs.pk-passport': 'پاکستان - پاسپورٹ (35x45mm)',
+    'specs.pk-cnic': 'پاکستان - نادرا شناختی کارڈ (35x45mm)',
+    'specs.pk-visa': 'پاکستان - ویزا (35x45mm)',
+    'specs.us-passport': 'امریکہ - پاسپورٹ/ویزا (2x2in)',
+    'specs.uk-passport': 'برطانیہ - پاسپورٹ (35x45mm)',
+    'specs.schengen-visa': 'شینگن - ویزا (35x45mm)',
+    'specs.in-visa': 'بھارت - ای ویزا (2x2in)',
+    'specs.sa-visa': 'سعودی عرب - ویزا (40x60mm)',
+    'specs.ae-visa': 'متحدہ عرب امارات - ویزا (43x55mm)',
+
+    // Editor
+    'editor.title': 'پاکستانی پاسپورٹ تصویر ایڈیٹر',
+    'editor.documentType': 'دستاویز کی قسم:',
+    'editor.chooseImage': 'تصویر منتخب کریں',
+    'editor.useCamera': 'کیمرا استعمال کریں',
+    'editor.closeCamera': 'کیمرا بند کریں',
+    'editor.openProject': 'پروجیکٹ کھولیں',
+    'editor.openProjectHint': 'پہلے سے محفوظ پروجیکٹ اس کی تصویر اور تبدیلیوں سمیت کھولیں',
+    'editor.saveProject': 'پروجیکٹ محفوظ کریں',
+    'editor.saveProjectHint': 'تصویر اور اس کی تبدیلیاں محفوظ کریں تاکہ بعد میں دوبارہ کاٹ سکیں، مثلاً کسی اور دستاویز کے لیے',
+    'editor.newPhoto': 'نئی تصویر',
+    'editor.newPhotoHint': 'یہ تصویر اور اس ڈیوائس پر محفوظ کاپی مٹا دیں، مثلاً اگلے شخص سے پہلے',
+    'editor.loadingModels': 'چہرہ شناخت کرنے والے ماڈل لوڈ ہو رہے ہیں...',
+    'editor.loadingModelsAttempt': 'چہرہ شناخت کرنے والے ماڈل لوڈ ہو رہے ہیں (کوشش {attempt})...',
+    'editor.modelProgress': 'ماڈل ڈاؤن لوڈ کی پیش رفت',
+    'editor.retry': 'دوبارہ کوشش کریں',
+    'editor.replaceBackground': 'سادہ پس منظر تبدیل کریں',
+    'editor.replaceBackgroundHint': 'صرف سادہ اور یکساں رنگ کے پس منظر پر کام کرتا ہے: پس منظر تصویر کے کناروں کے رنگوں سے پہچانا جاتا ہے',
+    'editor.backgroundColor': 'پس منظر کا رنگ',
+    'editor.documentDefaultColor': 'دستاویز کا طے شدہ ({color})',
+    'editor.customColor': 'پس منظر کا اپنی مرضی کا رنگ',
+    'editor.previewMask': 'ماسک دیکھیں اور درست کریں',
+    'editor.color.white': 'سفید',
+    'editor.color.offWhite': 'ہلکا سفید',
+    'editor.color.lightGrey': 'ہلکا سرمئی',
+    'editor.color.lightBlue': 'ہلکا نیلا',
+    'editor.color.blue': 'نیلا',
+    'editor.originalImage': 'اصل تصویر',
+    'editor.originalImageDescription': 'اپ لوڈ کی گئی تصویر، پہچانے گئے چہروں کے گرد خانوں کے ساتھ',
+    'editor.facesFound': '{count} چہرے ملے۔ کاٹنے کے لیے کسی چہرے پر کلک کریں، یا یہاں سے منتخب کریں:',
+    'editor.clickFace': 'جس چہرے کی تصویر بنانی ہو اس پر کلک کریں',
+    'editor.faceButton': 'چہرہ {number}',
+    'editor.cropAllFaces': 'تمام چہرے کاٹیں',
+    'editor.cropAllFacesHint': 'ہر چہرے کو الگ تصویر کے طور پر بیچ میں شامل کریں',
+    'editor.croppedPhoto': 'کٹی ہوئی تصویر ({width}mm x {height}mm، {dpi} DPI)',
+    'editor.saveToBatch': 'بیچ میں محفوظ کریں',
+    'editor.note': '* اچھی روشنی میں سامنے سے لی گئی واضح چہرے والی ہائی ریزولوشن تصویر اپ لوڈ کریں۔ یقینی بنائیں کہ آپ سیدھا کیمرے کی طرف دیکھ رہے ہیں۔',
+    'editor.status.oneFace': 'ایک چہرہ ملا۔ کٹی ہوئی تصویر تیار ہے۔',
+    'editor.status.faceSelected': '{count} چہرے ملے۔ چہرہ {number} منتخب ہے۔',
+    'editor.status.noFaceSelected': '{count} چہرے ملے۔ کاٹنے کے لیے کوئی چہرہ منتخب کریں۔',
+    'editor.status.complianceSummary': 'معیار کی جانچ: {passed} کامیاب، {warnings} انتباہ، {failed} ناکام۔',
+    'editor.confirmFailedExport': 'یہ تصویر {count} جانچ(وں) میں ناکام ہے اور مسترد ہو سکتی ہے:\n{checks}\n\nکیا پھر بھی ڈاؤن لوڈ کریں؟',
+
+    // Editor errors
+    'errors.modelLoad': 'چہرہ شناخت کرنے والے ماڈل لوڈ نہیں ہو سکے۔ براہ کرم اپنا کنکشن چیک کریں اور "دوبارہ کوشش کریں" پر کلک کریں۔',
+    'errors.modelNotLoaded': 'چہرہ شناخت کرنے والا ماڈل ابھی لوڈ نہیں ہوا۔ براہ کرم انتظار کریں۔',
+    'errors.noFace': 'کوئی چہرہ نہیں ملا۔ براہ کرم ایسی تصویر اپ لوڈ کریں جس میں چہرہ صاف نظر آئے اور اس پر اچھی روشنی ہو۔',
+    'errors.faceNotFound': 'اس تصویر میں چہرہ {number} نہیں ملا۔',
+    'errors.faceNumbered': 'چہرہ {number}: {message}',
+    'errors.headTurned': 'سر ایک طرف مڑا ہوا ہے۔ براہ کرم ایسی تصویر استعمال کریں جس میں آپ سیدھا کیمرے کی طرف دیکھ رہے ہوں۔',
+    'errors.headNodding': 'ٹھوڑی بہت زیادہ اوپر یا نیچے ہے۔ براہ کرم ایسی تصویر استعمال کریں جس میں آپ کا سر سیدھا ہو۔',
+    'errors.detection': 'چہرے کی شناخت کے دوران خرابی پیش آئی۔',
+    'errors.imageLoad': 'تصویر لوڈ کرنے میں خرابی۔ براہ کرم کوئی اور تصویری فائل آزمائیں۔',
+    'errors.heicDecode': 'یہ HEIC تصویر تبدیل نہیں ہو سکی۔ براہ کرم اسے JPEG کے طور پر محفوظ کر کے دوبارہ کوشش کریں۔',
+    'errors.projectSave': 'پروجیکٹ فائل محفوظ نہیں ہو سکی۔',
+    'errors.notAProject': 'یہ فائل تصویر کا پروجیکٹ نہیں ہے۔ "پروجیکٹ محفوظ کریں" سے محفوظ کی گئی فائل منتخب کریں۔',
+    'errors.newerProject': 'یہ پروجیکٹ ایپ کے نئے ورژن سے محفوظ کیا گیا تھا۔ اسے کھولنے کے لیے براہ کرم ایپ اپ ڈیٹ کریں۔',
+    'errors.damagedProject': 'اس پروجیکٹ فائل میں موجود تصویر خراب ہے۔',
+    'errors.segmentation': 'شخص کو پس منظر سے الگ نہیں کیا جا سکا۔ براہ کرم کوئی اور تصویر آزمائیں۔',
+    'errors.recognitionModelLoad': 'چہرہ پہچاننے والا ماڈل لوڈ نہیں ہو سکا۔ براہ کرم اپنا کنکشن چیک کریں اور دوبارہ کوشش کریں۔',
+    'errors.referenceNoFace': 'حوالہ تصویر میں کوئی چہرہ نہیں ملا۔ براہ کرم زیادہ واضح اسکین یا تصویر آزمائیں۔',
+    'errors.referenceLoad': 'حوالہ تصویر پڑھی نہیں جا سکی۔ براہ کرم کوئی اور تصویری فائل آزمائیں۔',
+    'errors.cropAllFaces': 'چہرے بیچ میں شامل نہیں ہو سکے۔',
+    'errors.batchSave': 'ترمیم شدہ تصویر بیچ میں محفوظ نہیں ہو سکی۔',
+    'errors.batchProcessing': 'یہ تصویر پروسیس نہیں ہو سکی۔',
+
+    // Camera
+    'camera.noFace': 'کوئی چہرہ نہیں ملا',
+    'camera.distanceOk': 'فاصلہ ٹھیک ہے',
+    'camera.tooFar': 'بہت دور - قریب آئیں',
+    'camera.tooClose': 'بہت قریب - پیچھے ہٹیں',
+    'camera.level': 'سر سیدھا ہے',
+    'camera.tilted': 'جھکا ہوا - اپنا سر سیدھا رکھیں',
+    'camera.centered': 'درمیان میں ہے',
+    'camera.offCenter': 'درمیان سے ہٹا ہوا - اپنا چہرہ بیضوی خاکے کے ساتھ ملائیں',
+    'camera.facing': 'کیمرے کی طرف دیکھ رہے ہیں',
+    'camera.lookStraight': 'سیدھا کیمرے کی طرف دیکھیں',
+    'camera.accessError': 'کیمرے تک رسائی نہیں ہو سکی۔ براہ کرم کیمرے کی اجازت دیں یا اس کی بجائے تصویر اپ لوڈ کریں۔',
+    'camera.preview': 'چہرے کی رہنمائی کے خاکے کے ساتھ کیمرے کا پیش منظر',
+    'camera.capture': 'تصویر کھینچیں',
+    'camera.cancel': 'منسوخ کریں',
+
+    // Background mask
+    'mask.eraseBackground': 'پس منظر مٹائیں',
+    'mask.restorePerson': 'شخص بحال کریں',
+    'mask.brushSize': 'برش کا سائز',
+    'mask.preview': 'ماسک کا پیش منظر۔ ماسک درست کرنے کے لیے ماؤس، قلم یا انگلی سے رنگ کریں۔',
+    'mask.hint': 'سرخ حصے پس منظر کے رنگ سے بدل دیے جائیں گے۔',
+
+    // Crop editor
+    'crop.stageLabel': 'کٹائی کا پیش منظر۔ تیر والی کلیدیں تصویر سرکاتی ہیں (بڑے قدموں کے لیے Shift دبائے رکھیں)، جمع اور تفریق زوم کرتے ہیں، چوکور بریکٹ گھماتے ہیں، Ctrl+Z واپس کرتا ہے۔',
+    'crop.stageHint': 'سرکانے کے لیے گھسیٹیں، زوم کے لیے اسکرول یا چٹکی کریں، تھوڑا سرکانے کے لیے تیر والی کلیدیں',
+    'crop.rotateHandle': 'گھمانے کے لیے گھسیٹیں',
+    'crop.zoomOut': 'چھوٹا کریں',
+    'crop.zoomIn': 'بڑا کریں',
+    'crop.rotateLeft': 'بائیں گھمائیں',
+    'crop.rotateRight': 'دائیں گھمائیں',
+    'crop.levelEyes': 'آنکھیں سیدھی کریں',
+    'crop.undo': 'واپس',
+    'crop.redo': 'دوبارہ',
+    'crop.resetAll': 'سب ری سیٹ کریں',
+    'crop.autoFit': 'سر کا سائز خود فٹ کریں',
+    'crop.status': 'زوم {zoom}% · گردش {rotation}°',
+    'crop.guide.eyes': 'آنکھیں نیچے سے {min}-{max}mm',
+    'crop.guide.crown': 'سر کا اوپری حصہ {margin}mm',
+    'crop.guide.chin': 'ٹھوڑی (سر {height}mm)',
+    'crop.overlay.crown': 'سر کی لکیر',
+    'crop.overlay.chin': 'ٹھوڑی کی لکیر',
+    'crop.overlay.eyes': 'آنکھوں کی پٹی',
+    'crop.overlay.center': 'درمیانی محور',
+
+    // Lighting corrections
+    'enhance.enable': 'روشنی اور رنگ خود بخود درست کریں',
+    'enhance.whiteBalance': 'سفید توازن',
+    'enhance.exposure': 'ایکسپوژر',
+    'enhance.contrast': 'کنٹراسٹ',
+    'enhance.shadowLift': 'سائے ہلکے کریں',
+    'enhance.denoise': 'شور میں کمی',
+    'enhance.compare': 'اصل دیکھنے کے لیے دبائے رکھیں',
+    'enhance.reset': 'درستیاں ری سیٹ کریں',
+    'enhance.note': 'درستیاں صرف قدرتی روشنی کی اصلاح تک محدود ہیں؛ خدوخال اور جلد میں کبھی ردوبدل نہیں کیا جاتا۔',
+
+    // Download
+    'export.title': 'تصویر ڈاؤن لوڈ کریں',
+    'export.format': 'فارمیٹ',
+    'export.width': 'چوڑائی (px)',
+    'export.minSize': 'کم از کم سائز (KB)',
+    'export.maxSize': 'زیادہ سے زیادہ سائز (KB)',
+    'export.none': 'کوئی نہیں',
+    'export.invalidRange': 'کم از کم سائز زیادہ سے زیادہ سائز سے بڑا ہے۔',
+    'export.formatRequired': '{document} کے لیے عموماً {formats} درکار ہوتا ہے۔',
+    'export.formatSeparator': ' یا ',
+    'export.noDpi': '{format} فائلوں میں DPI کی معلومات نہیں ہوتیں، اس لیے پرنٹ سائز محفوظ نہیں ہوتا۔',
+    'export.preparing': 'تیار ہو رہا ہے...',
+    'export.prepare': 'ڈاؤن لوڈ تیار کریں',
+    'export.download': 'پاسپورٹ تصویر ڈاؤن لوڈ کریں',
+    'export.deliver': 'یہ تصویر استعمال کریں',
+    'export.encodeError': 'تصویر کو {format} میں تبدیل نہیں کیا جا سکا۔ کوئی اور فارمیٹ آزمائیں۔',
+    'export.quality': 'معیار {quality}%',
+    'export.resolutionReduced': 'زیادہ سے زیادہ فائل سائز میں لانے کے لیے ریزولوشن کم کر دی گئی۔',
+    'export.padded': 'کم از کم فائل سائز تک بڑھا دیا گیا؛ تصویر میں کوئی تبدیلی نہیں ہوئی۔',
+    'export.outsideRange': 'یہ فائل مطلوبہ سائز کی حد سے باہر ہے۔ کم چوڑائی یا کوئی اور فارمیٹ آزمائیں۔',
+
+    // Print sheet
+    'print.title': 'پرنٹ شیٹ',
+    'print.paper': 'کاغذ',
+    'print.photos': 'تصاویر',
+    'print.spacing': 'فاصلہ (mm)',
+    'print.cutMarks': 'کٹائی کے نشانات',
+    'print.format': 'فارمیٹ',
+    'print.preview': 'پرنٹ شیٹ کا پیش منظر',
+    'print.exporting': 'برآمد ہو رہا ہے...',
+    'print.download': 'پرنٹ شیٹ ڈاؤن لوڈ کریں',
+    'print.reducedDpi': 'یہ کاغذ {specDpi} DPI کے بجائے {dpi} DPI پر ایکسپورٹ ہوتا ہے، جو براؤزر ایک شیٹ پر زیادہ سے زیادہ بنا سکتے ہیں۔ پرنٹ پھر بھی درست سائز میں ہوگا۔',
+    'print.exportError': 'پرنٹ شیٹ برآمد نہیں ہو سکی۔ چھوٹا کاغذ یا کم تصاویر آزمائیں۔',
+
+    // Batch
+    'batch.title': 'بیچ پروسیسنگ',
+    'batch.addPhotos': 'تصاویر شامل کریں',
+    'batch.addFolder': 'فولڈر شامل کریں',
+    'batch.skipped': '{count} فائل(یں) چھوڑ دی گئیں کیونکہ وہ تصاویر نہیں ہیں۔',
+    'batch.progress': '{total} میں سے {done} تیار',
+    'batch.progressQueued': '{total} میں سے {done} تیار، {pending} قطار میں',
+    'batch.repeatedPeople': '{count} تصویر(وں) میں وہ شخص لگتا ہے جو اس بیچ میں پہلے سے موجود ہے۔ دیکھیں کہ کہیں تصویر دہرائی یا بدل تو نہیں گئی۔',
+    'batch.referenceMismatches': '{count} تصویر(یں) حوالہ تصویر سے نہیں ملتیں۔',
+    'batch.person': 'شخص {number}',
+    'batch.referenceMatch': 'حوالہ: {similarity}%',
+    'batch.status.waiting': 'انتظار میں',
+    'batch.status.processing': 'پروسیس ہو رہی ہے...',
+    'batch.status.failed': 'ناکام',
+    'batch.status.compliant': '✓ معیار کے مطابق',
+    'batch.status.warnings': '! انتباہات دیکھیں',
+    'batch.status.fails': '✗ جانچ میں ناکام',
+    'batch.edit': 'ترمیم',
+    'batch.editing': 'زیر ترمیم',
+    'batch.editItem': '{name} میں ترمیم کریں',
+    'batch.remove': 'ہٹائیں',
+    'batch.removeItem': '{name} ہٹائیں',
+    'batch.confirmFailing': '{count} تصویر(یں) معیار کی جانچ میں ناکام ہیں اور مسترد ہو سکتی ہیں۔\n\nکیا پھر بھی انہیں ZIP میں شامل کریں؟',
+    'batch.exportError': 'ZIP فائل نہیں بن سکی۔',
+    'batch.exporting': 'برآمد ہو رہا ہے...',
+    'batch.downloadZip': '{count} تصویر(یں) ZIP میں ڈاؤن لوڈ کریں',
+    'batch.clear': 'بیچ صاف کریں',
+
+    // Identity check
+    'identity.enable': 'جانچیں کہ تصاویر ایک ہی شخص کی ہیں',
+    'identity.loadingModel': 'چہرہ پہچاننے والا ماڈل لوڈ ہو رہا ہے...',
+    'identity.referenceAlt': 'حوالہ تصویر',
+    'identity.removeReference': 'حوالہ ہٹائیں',
+    'identity.chooseReference': 'حوالہ تصویر (مثلاً شناختی کارڈ یا پرانا پاسپورٹ)',
+    'identity.similarity': 'حوالہ تصویر سے مشابہت: {similarity}% ({match})',
+    'identity.match.same': 'ایک ہی شخص',
+    'identity.match.unsure': 'یقین نہیں، براہ کرم خود تصاویر کا موازنہ کریں',
+    'identity.match.different': 'کوئی اور شخص لگتا ہے',
+    'identity.note': 'بیچ کی تصاویر افراد کے لحاظ سے گروپ کی جاتی ہیں، اور حوالہ تصویر سے نہ ملنے والی تصاویر کی نشاندہی کی جاتی ہے۔ چہروں کا موازنہ صرف اسی ڈیوائس پر ہوتا ہے۔',
+
+    // Compliance report
+    'report.title': 'معیار کی جانچ',
+    'report.summary': '{passed} کامیاب، {warnings} انتباہ، {failed} ناکام',
+    'report.status': 'نتیجہ',
+    'report.check': 'شرط',
+    'report.value': 'پیمائش',
+    'report.details': 'تفصیل',
+    'report.pass': 'کامیاب',
+    'report.warn': 'انتباہ',
+    'report.fail': 'ناکام',
+
+    // Compliance checks
+    'compliance.resolution': 'تصویر کی ریزولوشن',
+    'compliance.resolution.tooSmall': 'کم از کم {size}x{size}px کی تصویر استعمال کریں۔',
+    'compliance.resolution.upscaled': 'چہرہ {scale}x بڑا کیا گیا ہے اور دھندلا لگ سکتا ہے۔ کیمرے کے قریب آئیں۔',
+    'compliance.resolution.ok': 'ریزولوشن پرنٹ کے لیے کافی ہے۔',
+    'compliance.head-height': 'سر کی اونچائی (ٹھوڑی سے سر تک)',
+    'compliance.head-height.clipped': 'اصل تصویر میں سر کا اوپری حصہ کٹا ہوا ہے۔',
+    'compliance.head-height.estimated': 'سر کا اوپری حصہ پہچانا نہیں جا سکا، اس لیے سر کی اونچائی کا اندازہ لگایا گیا ہے۔ اسے خود جانچ لیں۔',
+    'compliance.head-height.range': '{min}mm اور {max}mm کے درمیان ہونی چاہیے۔',
+    'compliance.top-margin': 'سر کے اوپر جگہ',
+    'compliance.top-margin.clipped': 'سر کا اوپری حصہ کٹا ہوا ہے۔',
+    'compliance.top-margin.target': 'تقریباً {margin}mm ہونی چاہیے۔',
+    'compliance.centering': 'افقی طور پر درمیان میں',
+    'compliance.centering.value': 'درمیان سے {offset}mm ہٹا ہوا',
+    'compliance.centering.message': 'چہرہ افقی طور پر درمیان میں ہونا چاہیے۔',
+    'compliance.eye-line': 'آنکھوں کی لکیر کی اونچائی',
+    'compliance.eye-line.value': 'نیچے سے {height}mm',
+    'compliance.eye-line.message': 'آنکھیں نچلے کنارے سے {min}-{max}mm اوپر ہونی چاہئیں۔',
+    'compliance.head-roll': 'سر کا جھکاؤ',
+    'compliance.head-roll.message': 'آنکھیں ایک سیدھ میں ہونی چاہئیں۔ تصویر سیدھی کرنے کے لیے گھمانے کے بٹن استعمال کریں۔',
+    'compliance.head-yaw': 'سر کا مڑنا',
+    'compliance.head-yaw.message': 'سر موڑے بغیر سیدھا کیمرے کی طرف دیکھیں۔',
+    'compliance.head-pitch': 'سر کا اوپر نیچے ہونا',
+    'compliance.head-pitch.value': 'ناک آنکھ سے ٹھوڑی کے {ratio}% پر',
+    'compliance.head-pitch.message': 'اپنی ٹھوڑی سیدھی رکھیں، نہ اوپر اٹھائیں نہ نیچے جھکائیں۔',
+    'compliance.eyes-open': 'آنکھیں کھلی',
+    'compliance.eyes-open.value': 'کھلاؤ {ratio}',
+    'compliance.eyes-open.message': 'دونوں آنکھیں کھلی اور صاف نظر آنی چاہئیں۔',
+    'compliance.red-eye': 'آنکھوں کی سرخی',
+    'compliance.red-eye.corrected': 'درست کر دی گئی',
+    'compliance.red-eye.correctedMessage': 'فلیش سے آنکھوں کی سرخی خود بخود درست کر دی گئی۔',
+    'compliance.red-eye.noneMessage': 'آنکھوں کی سرخی نہیں ملی۔',
+    'compliance.glasses-glare': 'عینک اور چمک',
+    'compliance.glasses-glare.glareValue': 'آنکھوں کے {ratio}% حصے پر چمک',
+    'compliance.glasses-glare.glareMessage': 'آنکھوں پر عکس ہیں (اصل تصویر پر نمایاں)۔ عینک اتار دیں یا اسے جھکائیں اور براہ راست روشنی سے بچیں۔',
+    'compliance.glasses-glare.glassesValue': 'غالباً عینک',
+    'compliance.glasses-glare.glassesMessage': 'لگتا ہے عینک پہنی ہوئی ہے۔ بہت سی دستاویزات اب عینک قبول نہیں کرتیں؛ ممکن ہو تو اتار دیں۔',
+    'compliance.glasses-glare.noneMessage': 'آنکھوں پر عینک یا چمک نہیں ہے۔',
+    'compliance.expression': 'سنجیدہ تاثر',
+    'compliance.expression.unavailable': 'تاثر کی جانچ نہیں ہو سکی۔',
+    'compliance.expression.value': '{expression} {probability}%',
+    'compliance.expression.message': 'منہ بند رکھ کر سنجیدہ تاثر رکھیں۔',
+    'compliance.expression.neutral': 'سنجیدہ',
+    'compliance.expression.happy': 'خوش',
+    'compliance.expression.sad': 'اداس',
+    'compliance.expression.angry': 'غصے میں',
+    'compliance.expression.fearful': 'خوفزدہ',
+    'compliance.expression.disgusted': 'بیزار',
+    'compliance.expression.surprised': 'حیران',
+    'compliance.background': 'سادہ ہلکا پس منظر',
+    'compliance.background.unavailable': 'جانچ کے لیے کافی پس منظر نظر نہیں آ رہا۔',
+    'compliance.background.value': 'فرق {variation}، چمک {brightness}',
+    'compliance.background.message': 'پس منظر سادہ، یکساں روشن اور ہلکے رنگ کا ہونا چاہیے۔',
+    'compliance.exposure': 'روشنی اور کنٹراسٹ',
+    'compliance.exposure.unavailable': 'چہرہ تصویر سے باہر ہے۔',
+    'compliance.exposure.value': 'چمک {brightness}، کنٹراسٹ {contrast}',
+    'compliance.exposure.message': 'چہرے پر یکساں روشنی ہونی چاہیے، نہ بہت تاریک نہ بہت زیادہ روشن۔',
+    'compliance.sharpness': 'وضاحت',
+    'compliance.sharpness.unavailable': 'وضاحت کی جانچ نہیں ہو سکی۔',
+    'compliance.sharpness.value': 'فوکس {variance}',
+    'compliance.sharpness.message': 'تصویر فوکس میں ہونی چاہیے اور حرکت سے دھندلی نہیں ہونی چاہیے۔',
+    'compliance.face-shadows': 'چہرے پر سائے',
+    'compliance.face-shadows.unavailable': 'سایوں کی جانچ نہیں ہو سکی۔',
+    'compliance.face-shadows.value': 'بائیں/دائیں {difference}% فرق',
+    'compliance.face-shadows.message': 'چہرے پر یکساں روشنی ڈالیں تاکہ کسی طرف سایہ نہ ہو۔',
+    'compliance.none': 'کوئی نہیں',
+    'compliance.notAvailable': 'دستیاب نہیں',
+    'compliance.failed': 'اس جانچ کا نتیجہ نہیں نکالا جا سکا۔',
+};
+
+export default ur;
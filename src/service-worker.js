@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Precaches the app shell and the face detection models so photos can be processed fully offline.
+// Built by react-scripts (Workbox InjectManifest) in production only.
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { MODEL_URI, MODEL_REVISION, PRECACHED_MODEL_FILES } from './utils/modelFiles';
+
+// Constants for Caching
+const PUBLIC_FILE_PATTERN = /\.(?:png|svg|ico|json)$/; // Icons and the web app manifest from public/
+
+clientsClaim();
+
+// Build output (injected by Workbox) plus the model weights, which live in public/ and aren't part of the build
+precacheAndRoute([
+    ...self.__WB_MANIFEST,
+    ...PRECACHED_MODEL_FILES.map(file => ({ url: `${MODEL_URI}/${file}`, revision: MODEL_REVISION })),
+]);
+
+// App shell: every navigation is answered with index.html, except requests for files
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !/\/[^/?]+\.[^/]+$/.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Models that aren't precached are kept once a feature has loaded them
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && url.pathname.startsWith(`${MODEL_URI}/`),
+    new CacheFirst({ cacheName: 'face-models' })
+);
+
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && PUBLIC_FILE_PATTERN.test(url.pathname),
+    new StaleWhileRevalidate({ cacheName: 'public-files' })
+);
+
+// Lets the page activate a waiting update when the user chooses to reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
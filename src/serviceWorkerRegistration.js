@@ -0,0 +1,51 @@
+// src/serviceWorkerRegistration.js
+// Registers the service worker in production builds and tracks whether the app is ready to
+// work offline or has an update waiting. Components read the status with useSyncExternalStore.
+
+let status = { isOfflineReady: false, waitingWorker: null };
+const listeners = new Set();
+
+const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener());
+};
+
+export const subscribeToStatus = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getStatus = () => status;
+
+// Activate the waiting update; the page reloads once the new service worker takes over
+export const applyUpdate = () => {
+    if (!status.waitingWorker) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    status.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Helper Function: Follow a newly installing worker until it is installed
+const trackInstallingWorker = (worker) => {
+    worker.addEventListener('statechange', () => {
+        if (worker.state !== 'installed') return;
+        // With an existing controller this is an update; otherwise the first install just finished
+        if (navigator.serviceWorker.controller) setStatus({ waitingWorker: worker });
+        else setStatus({ isOfflineReady: true });
+    });
+};
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+            if (registration.active) setStatus({ isOfflineReady: true });
+            if (registration.waiting && navigator.serviceWorker.controller) setStatus({ waitingWorker: registration.waiting });
+            if (registration.installing) trackInstallingWorker(registration.installing);
+            registration.addEventListener('updatefound', () => trackInstallingWorker(registration.installing));
+        } catch (err) {
+            console.error("Service worker registration error:", err);
+        }
+    });
+};
@@ -0,0 +1,173 @@
+// src/specs/documentSpecs.js
+
+// Document photo specifications.
+// All measurements are in millimetres. The eye-line band is measured from the
+// bottom edge of the photo, head height is chin to crown.
+// Values are approximations of the published guidelines; always verify with the
+// issuing authority before submitting a photo.
+export const DOCUMENT_SPECS = [
+    {
+        id: 'pk-passport',
+        label: 'Pakistan - Passport (35x45mm)',
+        widthMm: 35,
+        heightMm: 45,
+        headHeightMinMm: 32,
+        headHeightMaxMm: 36,
+        eyeLineMinMm: 26,
+        eyeLineMaxMm: 31,
+        topMarginMm: 3.5,
+        dpi: 600,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg'],
+        minFileSizeKb: null,
+        maxFileSizeKb: null,
+        fileName: 'pakistani-passport-photo',
+    },
+    {
+        id: 'pk-cnic',
+        label: 'Pakistan - NADRA CNIC (35x45mm)',
+        widthMm: 35,
+        heightMm: 45,
+        headHeightMinMm: 30,
+        headHeightMaxMm: 35,
+        eyeLineMinMm: 26,
+        eyeLineMaxMm: 31,
+        topMarginMm: 4,
+        dpi: 600,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg'],
+        minFileSizeKb: null,
+        maxFileSizeKb: 500,
+        fileName: 'nadra-cnic-photo',
+    },
+    {
+        id: 'pk-visa',
+        label: 'Pakistan - Visa (35x45mm)',
+        widthMm: 35,
+        heightMm: 45,
+        headHeightMinMm: 32,
+        headHeightMaxMm: 36,
+        eyeLineMinMm: 26,
+        eyeLineMaxMm: 31,
+        topMarginMm: 3.5,
+        dpi: 300,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg', 'image/png'],
+        minFileSizeKb: null,
+        maxFileSizeKb: 2048,
+        fileName: 'pakistani-visa-photo',
+    },
+    {
+        id: 'us-passport',
+        label: 'United States - Passport/Visa (2x2in)',
+        widthMm: 50.8,
+        heightMm: 50.8,
+        headHeightMinMm: 25,
+        headHeightMaxMm: 35,
+        eyeLineMinMm: 28,
+        eyeLineMaxMm: 35,
+        topMarginMm: 6,
+        dpi: 300,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg'],
+        minFileSizeKb: null,
+        maxFileSizeKb: 240,
+        fileName: 'us-passport-photo',
+    },
+    {
+        id: 'uk-passport',
+        label: 'United Kingdom - Passport (35x45mm)',
+        widthMm: 35,
+        heightMm: 45,
+        headHeightMinMm: 29,
+        headHeightMaxMm: 34,
+        eyeLineMinMm: 27,
+        eyeLineMaxMm: 32,
+        topMarginMm: 5,
+        dpi: 600,
+        backgroundColor: '#eeeeee',
+        formats: ['image/jpeg'],
+        minFileSizeKb: 50,
+        maxFileSizeKb: 10240,
+        fileName: 'uk-passport-photo',
+    },
+    {
+        id: 'schengen-visa',
+        label: 'Schengen - Visa (35x45mm)',
+        widthMm: 35,
+        heightMm: 45,
+        headHeightMinMm: 32,
+        headHeightMaxMm: 36,
+        eyeLineMinMm: 27,
+        eyeLineMaxMm: 32,
+        topMarginMm: 3,
+        dpi: 600,
+        backgroundColor: '#f2f2f2',
+        formats: ['image/jpeg'],
+        minFileSizeKb: null,
+        maxFileSizeKb: null,
+        fileName: 'schengen-visa-photo',
+    },
+    {
+        id: 'in-visa',
+        label: 'India - e-Visa (2x2in)',
+        widthMm: 50.8,
+        heightMm: 50.8,
+        headHeightMinMm: 25,
+        headHeightMaxMm: 35,
+        eyeLineMinMm: 28,
+        eyeLineMaxMm: 35,
+        topMarginMm: 6,
+        dpi: 300,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg'],
+        minFileSizeKb: 10,
+        maxFileSizeKb: 1024,
+        fileName: 'indian-visa-photo',
+    },
+    {
+        id: 'sa-visa',
+        label: 'Saudi Arabia - Visa (40x60mm)',
+        widthMm: 40,
+        heightMm: 60,
+        headHeightMinMm: 32,
+        headHeightMaxMm: 40,
+        eyeLineMinMm: 36,
+        eyeLineMaxMm: 42,
+        topMarginMm: 6,
+        dpi: 300,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg'],
+        minFileSizeKb: null,
+        maxFileSizeKb: 100,
+        fileName: 'saudi-visa-photo',
+    },
+    {
+        id: 'ae-visa',
+        label: 'United Arab Emirates - Visa (43x55mm)',
+        widthMm: 43,
+        heightMm: 55,
+        headHeightMinMm: 34,
+        headHeightMaxMm: 40,
+        eyeLineMinMm: 33,
+        eyeLineMaxMm: 38,
+        topMarginMm: 5,
+        dpi: 300,
+        backgroundColor: '#ffffff',
+        formats: ['image/jpeg'],
+        minFileSizeKb: null,
+        maxFileSizeKb: 1024,
+        fileName: 'uae-visa-photo',
+    },
+];
+
+export const DEFAULT_SPEC_ID = 'pk-passport';
+
+// Look up a spec by id, falling back to the default Pakistani passport spec
+export const getDocumentSpec = (specId) => {
+    return DOCUMENT_SPECS.find(spec => spec.id === specId)
+        || DOCUMENT_SPECS.find(spec => spec.id === DEFAULT_SPEC_ID);
+};
+
+// Helper Function: Convert millimetres to pixels at the given DPI
+export const mmToPx = (mm, dpi) => Math.round((mm / 25.4) * dpi);
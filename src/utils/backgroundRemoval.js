@@ -0,0 +1,294 @@
+// src/utils/backgroundRemoval.js
+import { createCanvas } from './canvasFactory';
+
+// Constants for Background Segmentation
+const MAX_SEGMENTATION_SIZE = 512; // Segmentation runs on a downscaled copy for speed
+const BORDER_SAMPLE_COUNT = 48; // Number of border colors used to model the background
+const SEED_THRESHOLD = 40; // Max distance to the background model for a border pixel to seed the fill
+const BACKGROUND_THRESHOLD = 45; // Max distance to the background model for a pixel to join the fill
+const GRADIENT_THRESHOLD = 12; // Max step between neighbours when following smooth background gradients
+const EDGE_BAND_RADIUS = 3; // Width (in segmentation pixels) of the band refined around the person outline
+const MATTE_LOW = 15; // Background-model distance at which an edge pixel becomes fully transparent
+const MATTE_HIGH = 60; // Background-model distance at which an edge pixel becomes fully opaque
+
+// Helper Function: Euclidean RGB distance between two pixels of an RGBA buffer
+const colorDistance = (data, i, j) => {
+    const dr = data[i] - data[j];
+    const dg = data[i + 1] - data[j + 1];
+    const db = data[i + 2] - data[j + 2];
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+};
+
+// Helper Function: Sample colors along the top, left and right edges (the bottom is usually the torso)
+const sampleBorderColors = (data, width, height) => {
+    const borderIndices = [];
+    for (let x = 0; x < width; x++) borderIndices.push(x);
+    for (let y = 1; y < height; y++) {
+        borderIndices.push(y * width);
+        borderIndices.push(y * width + width - 1);
+    }
+
+    const step = Math.max(1, Math.floor(borderIndices.length / BORDER_SAMPLE_COUNT));
+    const samples = [];
+    for (let i = 0; i < borderIndices.length; i += step) {
+        const p = borderIndices[i] * 4;
+        samples.push([data[p], data[p + 1], data[p + 2]]);
+    }
+    return { samples, borderIndices };
+};
+
+// Helper Function: Distance of every pixel to its nearest background sample color
+const computeBackgroundDistance = (data, pixelCount, samples) => {
+    const distances = new Float32Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const p = i * 4;
+        let best = Infinity;
+        for (let s = 0; s < samples.length; s++) {
+            const dr = data[p] - samples[s][0];
+            const dg = data[p + 1] - samples[s][1];
+            const db = data[p + 2] - samples[s][2];
+            const d = dr * dr + dg * dg + db * db;
+            if (d < best) best = d;
+        }
+        distances[i] = Math.sqrt(best);
+    }
+    return distances;
+};
+
+// Helper Function: Mark the face and torso as protected foreground so the fill can't leak into them
+const buildProtectedRegion = (detection, scale, width, height) => {
+    const isProtected = new Uint8Array(width * height);
+    const box = detection.detection.box;
+    const chin = detection.landmarks.positions[8];
+
+    const centerX = (box.x + box.width / 2) * scale;
+    const centerY = (box.y + box.height / 2) * scale;
+    const radiusX = box.width * 0.4 * scale;
+    const radiusY = box.height * 0.5 * scale;
+
+    const torsoLeft = (chin.x - box.width * 0.3) * scale;
+    const torsoRight = (chin.x + box.width * 0.3) * scale;
+    const torsoTop = (chin.y + box.height * 0.3) * scale;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const nx = (x - centerX) / radiusX;
+            const ny = (y - centerY) / radiusY;
+            const inFace = nx * nx + ny * ny <= 1;
+            const inTorso = x >= torsoLeft && x <= torsoRight && y >= torsoTop;
+            if (inFace || inTorso) isProtected[y * width + x] = 1;
+        }
+    }
+    return { isProtected, seedIndex: Math.round(centerY) * width + Math.round(centerX) };
+};
+
+// Helper Function: Flood fill the background from the image border
+const floodFillBackground = (data, width, height, bgDistance, isProtected, borderIndices) => {
+    const isBackground = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+
+    borderIndices.forEach(index => {
+        if (!isBackground[index] && !isProtected[index] && bgDistance[index] < SEED_THRESHOLD) {
+            isBackground[index] = 1;
+            queue[tail++] = index;
+        }
+    });
+
+    while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        const y = (index - x) / width;
+        const neighbours = [
+            x > 0 ? index - 1 : -1,
+            x < width - 1 ? index + 1 : -1,
+            y > 0 ? index - width : -1,
+            y < height - 1 ? index + width : -1,
+        ];
+        for (let n = 0; n < neighbours.length; n++) {
+            const next = neighbours[n];
+            if (next < 0 || isBackground[next] || isProtected[next]) continue;
+            const followsGradient = colorDistance(data, index * 4, next * 4) < GRADIENT_THRESHOLD
+                && bgDistance[next] < BACKGROUND_THRESHOLD * 2;
+            if (bgDistance[next] < BACKGROUND_THRESHOLD || followsGradient) {
+                isBackground[next] = 1;
+                queue[tail++] = next;
+            }
+        }
+    }
+    return isBackground;
+};
+
+// Helper Function: Keep only the foreground region connected to the face
+const keepConnectedForeground = (isBackground, width, height, seedIndex) => {
+    const isForeground = new Uint8Array(width * height);
+    if (seedIndex < 0 || seedIndex >= width * height || isBackground[seedIndex]) {
+        for (let i = 0; i < isForeground.length; i++) isForeground[i] = isBackground[i] ? 0 : 1;
+        return isForeground;
+    }
+
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    isForeground[seedIndex] = 1;
+    queue[tail++] = seedIndex;
+
+    while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        const y = (index - x) / width;
+        const neighbours = [
+            x > 0 ? index - 1 : -1,
+            x < width - 1 ? index + 1 : -1,
+            y > 0 ? index - width : -1,
+            y < height - 1 ? index + width : -1,
+        ];
+        for (let n = 0; n < neighbours.length; n++) {
+            const next = neighbours[n];
+            if (next < 0 || isForeground[next] || isBackground[next]) continue;
+            isForeground[next] = 1;
+            queue[tail++] = next;
+        }
+    }
+    return isForeground;
+};
+
+// Helper Function: Soften the outline, using the background distance to matte fine hair strands
+const refineEdges = (isForeground, bgDistance, width, height) => {
+    const alpha = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            const value = isForeground[index];
+
+            let nearEdge = false;
+            for (let dy = -EDGE_BAND_RADIUS; dy <= EDGE_BAND_RADIUS && !nearEdge; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -EDGE_BAND_RADIUS; dx <= EDGE_BAND_RADIUS; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    if (isForeground[ny * width + nx] !== value) {
+                        nearEdge = true;
+                        break;
+                    }
+                }
+            }
+
+            if (nearEdge) {
+                const matte = (bgDistance[index] - MATTE_LOW) / (MATTE_HIGH - MATTE_LOW);
+                alpha[index] = Math.min(1, Math.max(0, matte));
+            } else {
+                alpha[index] = value;
+            }
+        }
+    }
+
+    // Light 3x3 box blur to remove stair-stepping along the outline
+    const smoothed = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    sum += alpha[ny * width + nx];
+                    count++;
+                }
+            }
+            smoothed[y * width + x] = sum / count;
+        }
+    }
+    return smoothed;
+};
+
+/**
+ * Segment the person in a source canvas into a mask canvas of the same size.
+ * The mask is white, with the alpha channel holding person coverage (opaque = person).
+ * Runs entirely in the browser; no model or remote service is used. The background is
+ * flood-filled from the colors along the edges of the photo, so this only separates the
+ * person from a plain, evenly colored backdrop, not from a busy scene.
+ */
+export const segmentPerson = (sourceCanvas, detection) => {
+    const scale = Math.min(1, MAX_SEGMENTATION_SIZE / Math.max(sourceCanvas.width, sourceCanvas.height));
+    const width = Math.max(1, Math.round(sourceCanvas.width * scale));
+    const height = Math.max(1, Math.round(sourceCanvas.height * scale));
+
+    const workCanvas = createCanvas(width, height);
+    const workCtx = workCanvas.getContext('2d');
+    workCtx.drawImage(sourceCanvas, 0, 0, width, height);
+    const imageData = workCtx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+
+    const { samples, borderIndices } = sampleBorderColors(data, width, height);
+    const bgDistance = computeBackgroundDistance(data, width * height, samples);
+    const { isProtected, seedIndex } = buildProtectedRegion(detection, scale, width, height);
+    const isBackground = floodFillBackground(data, width, height, bgDistance, isProtected, borderIndices);
+    const isForeground = keepConnectedForeground(isBackground, width, height, seedIndex);
+    const alpha = refineEdges(isForeground, bgDistance, width, height);
+
+    for (let i = 0; i < alpha.length; i++) {
+        const p = i * 4;
+        data[p] = 255;
+        data[p + 1] = 255;
+        data[p + 2] = 255;
+        data[p + 3] = Math.round(alpha[i] * 255);
+    }
+    workCtx.putImageData(imageData, 0, 0);
+
+    const maskCanvas = createCanvas(sourceCanvas.width, sourceCanvas.height);
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.imageSmoothingEnabled = true;
+    maskCtx.imageSmoothingQuality = 'high';
+    maskCtx.drawImage(workCanvas, 0, 0, maskCanvas.width, maskCanvas.height);
+    return maskCanvas;
+};
+
+// Composite the masked subject onto a solid background color
+export const compositeOnBackground = (sourceCanvas, maskCanvas, backgroundColor) => {
+    const personCanvas = createCanvas(sourceCanvas.width, sourceCanvas.height);
+    const personCtx = personCanvas.getContext('2d');
+    personCtx.drawImage(sourceCanvas, 0, 0);
+    personCtx.globalCompositeOperation = 'destination-in';
+    personCtx.drawImage(maskCanvas, 0, 0);
+
+    const compositeCanvas = createCanvas(sourceCanvas.width, sourceCanvas.height);
+    const compositeCtx = compositeCanvas.getContext('2d');
+    compositeCtx.fillStyle = backgroundColor;
+    compositeCtx.fillRect(0, 0, compositeCanvas.width, compositeCanvas.height);
+    compositeCtx.drawImage(personCanvas, 0, 0);
+    return compositeCanvas;
+};
+
+// Draw the source with removed background areas tinted red, for reviewing the mask
+export const drawMaskPreview = (previewCanvas, sourceCanvas, maskCanvas) => {
+    previewCanvas.width = sourceCanvas.width;
+    previewCanvas.height = sourceCanvas.height;
+    const previewCtx = previewCanvas.getContext('2d');
+    previewCtx.drawImage(sourceCanvas, 0, 0);
+
+    const tintCanvas = createCanvas(sourceCanvas.width, sourceCanvas.height);
+    const tintCtx = tintCanvas.getContext('2d');
+    tintCtx.fillStyle = 'rgba(255, 0, 0, 0.5)';
+    tintCtx.fillRect(0, 0, tintCanvas.width, tintCanvas.height);
+    tintCtx.globalCompositeOperation = 'destination-out';
+    tintCtx.drawImage(maskCanvas, 0, 0);
+
+    previewCtx.drawImage(tintCanvas, 0, 0);
+};
+
+// Paint a brush dab onto the mask: 'restore' adds to the person, 'erase' removes to background
+export const paintMask = (maskCanvas, x, y, radius, mode) => {
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.save();
+    maskCtx.globalCompositeOperation = mode === 'erase' ? 'destination-out' : 'source-over';
+    maskCtx.fillStyle = '#ffffff';
+    maskCtx.beginPath();
+    maskCtx.arc(x, y, radius, 0, 2 * Math.PI);
+    maskCtx.fill();
+    maskCtx.restore();
+};
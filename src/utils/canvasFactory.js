@@ -0,0 +1,22 @@
+// src/utils/canvasFactory.js
+
+// Largest canvas every browser can draw (iOS Safari's limit); bigger canvases come out blank or throw
+export const MAX_CANVAS_PIXELS = 16777216;
+
+// Helper Function: Browser canvas of a given size
+const createDomCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+let canvasFactory = createDomCanvas;
+
+// Create a canvas through the current factory (a DOM canvas unless replaced, e.g. by node-canvas)
+export const createCanvas = (width = 300, height = 150) => canvasFactory(width, height);
+
+// Replace how canvases are created, so the pipeline can run outside the browser
+export const setCanvasFactory = (factory) => {
+    canvasFactory = factory || createDomCanvas;
+};
@@ -0,0 +1,151 @@
+// src/utils/cropGeometry.js
+import { mmToPx } from '../specs/documentSpecs';
+import { getFaceAxis, projectOnFaceAxis } from './headMeasurement';
+
+export const DEFAULT_ZOOM_FACTOR = 1;
+export const MIN_ZOOM_FACTOR = 0.8;
+export const MAX_ZOOM_FACTOR = 1.2;
+export const MAX_ROTATION_DEGREES = 30;
+
+export const DEFAULT_ADJUSTMENTS = {
+    zoomFactor: DEFAULT_ZOOM_FACTOR,
+    verticalOffset: 0, // Output pixels
+    horizontalOffset: 0, // Output pixels
+    rotationDegrees: 0, // Clockwise rotation of the source around the head
+};
+
+// Helper Function: Rotation that levels the eye line, limited to what the editor allows
+export const getLevellingRotation = (detection) => {
+    const rotationDegrees = -getFaceAxis(detection.landmarks).rollDegrees;
+    return Math.min(Math.max(rotationDegrees, -MAX_ROTATION_DEGREES), MAX_ROTATION_DEGREES);
+};
+
+// Helper Function: Default adjustments for a detection, with the head already levelled
+export const getAlignedAdjustments = (detection) => ({
+    ...DEFAULT_ADJUSTMENTS,
+    rotationDegrees: getLevellingRotation(detection),
+});
+
+// Helper Function: Crown and chin positions along the face axis (eye midpoint = 0, towards the crown is positive)
+const getHeadExtent = (detection, topOfHead) => {
+    const axis = getFaceAxis(detection.landmarks);
+    return {
+        axis,
+        crown: projectOnFaceAxis(axis, topOfHead),
+        chin: projectOnFaceAxis(axis, detection.landmarks.positions[8]),
+    };
+};
+
+/**
+ * Work out how the source image is scaled, rotated and positioned onto the output canvas for a spec.
+ * The chin-to-crown height, measured along the face axis (perpendicular to the eye line), is
+ * scaled to the middle of the spec's head-height range, then zoomFactor and rotation apply
+ * around an anchor on the face axis at the centre of the head, so the head stays in place
+ * while it is scaled or levelled. With the eyes levelled the face axis is the photo's centre line.
+ * Returns the output size in pixels, the transform (scale, rotation, anchor and where the anchor
+ * lands on the output), and the source-space chin and top-of-head points it was based on.
+ */
+export const computeCropGeometry = (detection, topOfHead, spec, { zoomFactor, verticalOffset, horizontalOffset, rotationDegrees = 0 }) => {
+    const dpi = spec.dpi;
+    const widthPx = mmToPx(spec.widthMm, dpi);
+    const heightPx = mmToPx(spec.heightMm, dpi);
+
+    const chin = detection.landmarks.positions[8];
+    const extent = getHeadExtent(detection, topOfHead);
+
+    const minHeadHeightPx = mmToPx(spec.headHeightMinMm, dpi);
+    const maxHeadHeightPx = mmToPx(spec.headHeightMaxMm, dpi);
+    const targetHeadHeightPx = (minHeadHeightPx + maxHeadHeightPx) / 2;
+    const actualHeadHeightPx = extent.crown - extent.chin;
+    const scale = (targetHeadHeightPx / actualHeadHeightPx) * zoomFactor;
+
+    // Anchor: on the face axis through the eye midpoint, halfway between chin and crown
+    const headCenter = (extent.crown + extent.chin) / 2;
+    const anchor = {
+        x: extent.axis.eyeMid.x + extent.axis.up.x * headCenter,
+        y: extent.axis.eyeMid.y + extent.axis.up.y * headCenter,
+    };
+    const topMarginPx = mmToPx(spec.topMarginMm, dpi);
+    const outputAnchor = {
+        x: widthPx / 2 + horizontalOffset,
+        y: topMarginPx + targetHeadHeightPx / 2 + verticalOffset,
+    };
+
+    return {
+        widthPx,
+        heightPx,
+        scale,
+        rotation: rotationDegrees * Math.PI / 180,
+        anchor,
+        outputAnchor,
+        chin,
+        topOfHead,
+    };
+};
+
+// Map a point in source image coordinates onto the output canvas
+export const toOutputPoint = (geometry, point) => {
+    const cos = Math.cos(geometry.rotation);
+    const sin = Math.sin(geometry.rotation);
+    const dx = (point.x - geometry.anchor.x) * geometry.scale;
+    const dy = (point.y - geometry.anchor.y) * geometry.scale;
+    return {
+        x: geometry.outputAnchor.x + dx * cos - dy * sin,
+        y: geometry.outputAnchor.y + dx * sin + dy * cos,
+    };
+};
+
+// Map a point on the output canvas back to source image coordinates
+export const toSourcePoint = (geometry, point) => {
+    const cos = Math.cos(geometry.rotation);
+    const sin = Math.sin(geometry.rotation);
+    const dx = point.x - geometry.outputAnchor.x;
+    const dy = point.y - geometry.outputAnchor.y;
+    return {
+        x: geometry.anchor.x + (dx * cos + dy * sin) / geometry.scale,
+        y: geometry.anchor.y + (-dx * sin + dy * cos) / geometry.scale,
+    };
+};
+
+// Helper Function: Corners of the output rectangle in source coordinates (top-left, top-right, bottom-right, bottom-left)
+export const getCropCorners = (geometry) => [
+    { x: 0, y: 0 },
+    { x: geometry.widthPx, y: 0 },
+    { x: geometry.widthPx, y: geometry.heightPx },
+    { x: 0, y: geometry.heightPx },
+].map(corner => toSourcePoint(geometry, corner));
+
+// Draw the source onto an output context using the crop transform
+export const drawCrop = (ctx, sourceCanvas, geometry) => {
+    ctx.save();
+    ctx.imageSmoothingQuality = 'high';
+    ctx.translate(geometry.outputAnchor.x, geometry.outputAnchor.y);
+    ctx.rotate(geometry.rotation);
+    ctx.scale(geometry.scale, geometry.scale);
+    ctx.translate(-geometry.anchor.x, -geometry.anchor.y);
+    ctx.drawImage(sourceCanvas, 0, 0);
+    ctx.restore();
+};
+
+/**
+ * Pick the zoom within the spec's head-height range that puts the eye line closest to the
+ * middle of the spec's eye-line band.
+ */
+export const computeAutoFitZoom = (detection, topOfHead, spec) => {
+    const extent = getHeadExtent(detection, topOfHead);
+
+    const targetHeadHeightMm = (spec.headHeightMinMm + spec.headHeightMaxMm) / 2;
+    const eyeRatio = extent.crown / (extent.crown - extent.chin); // Eye position within the head, 0 = crown
+    const targetEyeFromTopMm = spec.heightMm - (spec.eyeLineMinMm + spec.eyeLineMaxMm) / 2;
+    const headCenterFromTopMm = spec.topMarginMm + targetHeadHeightMm / 2;
+
+    // eyeFromTop = headCenter + headHeight * zoom * (eyeRatio - 0.5), solved for zoom
+    const eyeOffsetFactor = targetHeadHeightMm * (eyeRatio - 0.5);
+    const idealZoom = Math.abs(eyeOffsetFactor) < 1e-6
+        ? DEFAULT_ZOOM_FACTOR
+        : (targetEyeFromTopMm - headCenterFromTopMm) / eyeOffsetFactor;
+
+    const minZoom = Math.max(MIN_ZOOM_FACTOR, spec.headHeightMinMm / targetHeadHeightMm);
+    const maxZoom = Math.min(MAX_ZOOM_FACTOR, spec.headHeightMaxMm / targetHeadHeightMm);
+    return Math.min(Math.max(idealZoom, minZoom), maxZoom);
+};
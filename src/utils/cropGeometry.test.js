@@ -0,0 +1,181 @@
+import {
+    computeCropGeometry,
+    computeAutoFitZoom,
+    toOutputPoint,
+    toSourcePoint,
+    getCropCorners,
+    getLevellingRotation,
+    DEFAULT_ADJUSTMENTS,
+    MIN_ZOOM_FACTOR,
+    MAX_ZOOM_FACTOR,
+    MAX_ROTATION_DEGREES,
+} from './cropGeometry';
+import { getEyeCenter, getFaceAxis } from './headMeasurement';
+import { DOCUMENT_SPECS, getDocumentSpec, mmToPx } from '../specs/documentSpecs';
+import { createFaceDetection } from '../__fixtures__/portraits';
+
+const spec = getDocumentSpec('pk-passport');
+
+// Helper Function: Crown crownRatio eye-to-chin distances above the eyes, along the face axis
+const getCrown = (detection, crownRatio = 1) => {
+    const { eyeMid, up } = getFaceAxis(detection.landmarks);
+    const chin = detection.landmarks.positions[8];
+    const distance = crownRatio * Math.hypot(chin.x - eyeMid.x, chin.y - eyeMid.y);
+    return { x: eyeMid.x + up.x * distance, y: eyeMid.y + up.y * distance, method: 'mask', isClipped: false };
+};
+
+// Helper Function: Chin-to-crown height of a crop in the output, in millimetres
+const getHeadHeightMm = (geometry, cropSpec) => {
+    const chin = toOutputPoint(geometry, geometry.chin);
+    const crown = toOutputPoint(geometry, geometry.topOfHead);
+    return Math.hypot(chin.x - crown.x, chin.y - crown.y) / (cropSpec.dpi / 25.4);
+};
+
+// Helper Function: Eye-line height above the bottom edge of a crop, in millimetres
+const getEyeLineMm = (geometry, detection, cropSpec) => {
+    const eyeY = toOutputPoint(geometry, getFaceAxis(detection.landmarks).eyeMid).y;
+    return (geometry.heightPx - eyeY) / (cropSpec.dpi / 25.4);
+};
+
+const expectPointsClose = (actual, expected) => {
+    expect(actual.x).toBeCloseTo(expected.x, 6);
+    expect(actual.y).toBeCloseTo(expected.y, 6);
+};
+
+describe('computeCropGeometry', () => {
+    const detection = createFaceDetection();
+    const topOfHead = getCrown(detection);
+
+    test('sizes the output from the spec', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        expect(geometry.widthPx).toBe(mmToPx(spec.widthMm, spec.dpi));
+        expect(geometry.heightPx).toBe(mmToPx(spec.heightMm, spec.dpi));
+        expect(geometry.chin).toBe(detection.landmarks.positions[8]);
+        expect(geometry.topOfHead).toBe(topOfHead);
+    });
+
+    test('scales the head to the middle of the head-height range', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        expect(getHeadHeightMm(geometry, spec)).toBeCloseTo((spec.headHeightMinMm + spec.headHeightMaxMm) / 2, 1);
+    });
+
+    test('puts the crown at the top margin on the centre line', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        const crown = toOutputPoint(geometry, topOfHead);
+        expect(crown.x).toBeCloseTo(geometry.widthPx / 2, 6);
+        expect(crown.y).toBeCloseTo(mmToPx(spec.topMarginMm, spec.dpi), 6);
+    });
+
+    test('zooms around the centre of the head', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        const zoomed = computeCropGeometry(detection, topOfHead, spec, { ...DEFAULT_ADJUSTMENTS, zoomFactor: 1.1 });
+        expect(zoomed.scale).toBeCloseTo(geometry.scale * 1.1, 9);
+        expect(getHeadHeightMm(zoomed, spec)).toBeCloseTo(getHeadHeightMm(geometry, spec) * 1.1, 6);
+        expectPointsClose(toOutputPoint(zoomed, zoomed.anchor), toOutputPoint(geometry, geometry.anchor));
+    });
+
+    test('moves the head by the offsets in output pixels', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        const moved = computeCropGeometry(detection, topOfHead, spec, { ...DEFAULT_ADJUSTMENTS, horizontalOffset: 20, verticalOffset: -15 });
+        const crown = toOutputPoint(geometry, topOfHead);
+        expectPointsClose(toOutputPoint(moved, topOfHead), { x: crown.x + 20, y: crown.y - 15 });
+    });
+
+    test('levels a tilted eye line with the levelling rotation', () => {
+        const tilted = createFaceDetection({ rollDegrees: 12 });
+        const geometry = computeCropGeometry(tilted, getCrown(tilted), spec, { ...DEFAULT_ADJUSTMENTS, rotationDegrees: getLevellingRotation(tilted) });
+        const leftEye = toOutputPoint(geometry, getEyeCenter(tilted.landmarks.getLeftEye()));
+        const rightEye = toOutputPoint(geometry, getEyeCenter(tilted.landmarks.getRightEye()));
+        expect(getLevellingRotation(tilted)).toBeCloseTo(-12, 6);
+        expect(rightEye.y).toBeCloseTo(leftEye.y, 6);
+        expect(getHeadHeightMm(geometry, spec)).toBeCloseTo((spec.headHeightMinMm + spec.headHeightMaxMm) / 2, 1);
+    });
+
+    test('limits the levelling rotation', () => {
+        expect(getLevellingRotation(createFaceDetection({ rollDegrees: 40 }))).toBe(-MAX_ROTATION_DEGREES);
+        expect(getLevellingRotation(createFaceDetection({ rollDegrees: -40 }))).toBe(MAX_ROTATION_DEGREES);
+    });
+});
+
+describe('toOutputPoint and toSourcePoint', () => {
+    const detection = createFaceDetection({ rollDegrees: 7 });
+    const topOfHead = getCrown(detection);
+    const points = [{ x: 0, y: 0 }, { x: 320, y: 360 }, { x: 611.5, y: 42.25 }, { x: -80, y: 900 }];
+    const adjustmentCases = [
+        ['the default crop', DEFAULT_ADJUSTMENTS],
+        ['a zoomed-out, moved crop rotated anticlockwise', { zoomFactor: MIN_ZOOM_FACTOR, verticalOffset: 30, horizontalOffset: -12, rotationDegrees: -20 }],
+        ['a zoomed-in, moved crop rotated clockwise', { zoomFactor: MAX_ZOOM_FACTOR, verticalOffset: -8, horizontalOffset: 25, rotationDegrees: 15 }],
+        ['the largest rotation', { ...DEFAULT_ADJUSTMENTS, rotationDegrees: MAX_ROTATION_DEGREES }],
+    ];
+
+    test.each(adjustmentCases)('round-trips source points for %s', (label, adjustments) => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, adjustments);
+        points.forEach(point => expectPointsClose(toSourcePoint(geometry, toOutputPoint(geometry, point)), point));
+    });
+
+    test.each(adjustmentCases)('round-trips output points for %s', (label, adjustments) => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, adjustments);
+        points.forEach(point => expectPointsClose(toOutputPoint(geometry, toSourcePoint(geometry, point)), point));
+    });
+
+    test('crop corners map onto the corners of the output', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, adjustmentCases[1][1]);
+        const outputCorners = getCropCorners(geometry).map(corner => toOutputPoint(geometry, corner));
+        expectPointsClose(outputCorners[0], { x: 0, y: 0 });
+        expectPointsClose(outputCorners[1], { x: geometry.widthPx, y: 0 });
+        expectPointsClose(outputCorners[2], { x: geometry.widthPx, y: geometry.heightPx });
+        expectPointsClose(outputCorners[3], { x: 0, y: geometry.heightPx });
+    });
+});
+
+describe('computeAutoFitZoom', () => {
+    const detection = createFaceDetection();
+
+    test.each(DOCUMENT_SPECS.map(documentSpec => [documentSpec.id, documentSpec]))('keeps the head within the head-height range for %s', (id, documentSpec) => {
+        [0.8, 1, 1.3, 1.6].forEach(crownRatio => {
+            const topOfHead = getCrown(detection, crownRatio);
+            const zoomFactor = computeAutoFitZoom(detection, topOfHead, documentSpec);
+            expect(zoomFactor).toBeGreaterThanOrEqual(MIN_ZOOM_FACTOR);
+            expect(zoomFactor).toBeLessThanOrEqual(MAX_ZOOM_FACTOR);
+
+            const geometry = computeCropGeometry(detection, topOfHead, documentSpec, { ...DEFAULT_ADJUSTMENTS, zoomFactor });
+            const headHeightMm = getHeadHeightMm(geometry, documentSpec);
+            expect(headHeightMm).toBeGreaterThanOrEqual(documentSpec.headHeightMinMm - 0.1);
+            expect(headHeightMm).toBeLessThanOrEqual(documentSpec.headHeightMaxMm + 0.1);
+        });
+    });
+
+    test('puts the eye line in the middle of the eye band when the head-height range allows it', () => {
+        const usSpec = getDocumentSpec('us-passport');
+        const topOfHead = getCrown(detection, 0.8);
+        const zoomFactor = computeAutoFitZoom(detection, topOfHead, usSpec);
+        expect(zoomFactor).not.toBe(DEFAULT_ADJUSTMENTS.zoomFactor);
+
+        const geometry = computeCropGeometry(detection, topOfHead, usSpec, { ...DEFAULT_ADJUSTMENTS, zoomFactor });
+        expect(getEyeLineMm(geometry, detection, usSpec)).toBeCloseTo((usSpec.eyeLineMinMm + usSpec.eyeLineMaxMm) / 2, 0);
+    });
+
+    test('shrinks the head to the bottom of its range when the eyes sit low in the head', () => {
+        const topOfHead = getCrown(detection, 1.6);
+        const zoomFactor = computeAutoFitZoom(detection, topOfHead, spec);
+        const targetHeadHeightMm = (spec.headHeightMinMm + spec.headHeightMaxMm) / 2;
+        expect(zoomFactor).toBeCloseTo(spec.headHeightMinMm / targetHeadHeightMm, 9);
+
+        const geometry = computeCropGeometry(detection, topOfHead, spec, { ...DEFAULT_ADJUSTMENTS, zoomFactor });
+        expect(getHeadHeightMm(geometry, spec)).toBeCloseTo(spec.headHeightMinMm, 1);
+    });
+
+    test('grows the head to the top of its range when the eyes sit high in the head', () => {
+        const topOfHead = getCrown(detection, 0.9);
+        const zoomFactor = computeAutoFitZoom(detection, topOfHead, spec);
+        const targetHeadHeightMm = (spec.headHeightMinMm + spec.headHeightMaxMm) / 2;
+        expect(zoomFactor).toBeCloseTo(spec.headHeightMaxMm / targetHeadHeightMm, 9);
+
+        const geometry = computeCropGeometry(detection, topOfHead, spec, { ...DEFAULT_ADJUSTMENTS, zoomFactor });
+        expect(getHeadHeightMm(geometry, spec)).toBeCloseTo(spec.headHeightMaxMm, 1);
+    });
+
+    test('keeps the default zoom when the eyes are halfway up the head', () => {
+        expect(computeAutoFitZoom(detection, getCrown(detection, 1), spec)).toBe(DEFAULT_ADJUSTMENTS.zoomFactor);
+    });
+});
@@ -0,0 +1,21 @@
+// src/utils/download.js
+
+// Trigger a browser download for a data URL or object URL
+export const downloadUrl = (href, fileName) => {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    link.click();
+};
+
+// Trigger a browser download for a Blob, releasing the object URL afterwards
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, fileName);
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the browser time to start the download
+};
+
+// Helper Function: Promise wrapper around canvas.toBlob
+export const canvasToBlob = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), mimeType, quality);
+});
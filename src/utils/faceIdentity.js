@@ -0,0 +1,77 @@
+// src/utils/faceIdentity.js
+import * as faceapi from 'face-api.js';
+import { detectFaces, pickDefaultFace } from './photoPipeline';
+import { t } from '../i18n/i18n';
+
+// Constants for Identity Matching (euclidean distance between 128-value face descriptors)
+const SAME_PERSON_DISTANCE = 0.5; // Below this the faces very likely belong to the same person
+const DIFFERENT_PERSON_DISTANCE = 0.6; // Above this they very likely don't (face-api.js's usual threshold)
+const GROUPING_DISTANCE = (SAME_PERSON_DISTANCE + DIFFERENT_PERSON_DISTANCE) / 2;
+
+export const MATCH_SAME = 'same';
+export const MATCH_UNSURE = 'unsure';
+export const MATCH_DIFFERENT = 'different';
+
+// The extra net identity checks need; only loaded once the user turns the check on
+export const IDENTITY_NETS = [faceapi.nets.faceRecognitionNet];
+
+// Descriptor of a detected face, computed on the face aligned by its landmarks
+export const computeFaceDescriptor = async (canvas, detection) => {
+    const [faceCanvas] = await faceapi.extractFaces(canvas, [detection.alignedRect]);
+    return faceapi.nets.faceRecognitionNet.computeFaceDescriptor(faceCanvas);
+};
+
+/**
+ * Descriptor of the main face in a reference photo, such as an ID card scan or an old passport.
+ * The pose is not checked, since the reference only needs to be recognizable.
+ * Returns { descriptor } on success, or { error } with a message for the user.
+ */
+export const analyzeReferencePhoto = async (canvas) => {
+    const detections = await detectFaces(canvas);
+    if (detections.length === 0) {
+        return { error: t('errors.referenceNoFace') };
+    }
+    const detection = detections[pickDefaultFace(detections, canvas.width, canvas.height)];
+    return { descriptor: await computeFaceDescriptor(canvas, detection) };
+};
+
+/**
+ * Compare two face descriptors.
+ * Returns { distance, similarity, match }: similarity is 1 - distance (clamped to 0..1), shown
+ * to the user as a percentage; match is MATCH_SAME, MATCH_UNSURE or MATCH_DIFFERENT.
+ */
+export const compareFaces = (descriptorA, descriptorB) => {
+    const distance = faceapi.euclideanDistance(descriptorA, descriptorB);
+    let match = MATCH_UNSURE;
+    if (distance < SAME_PERSON_DISTANCE) match = MATCH_SAME;
+    else if (distance > DIFFERENT_PERSON_DISTANCE) match = MATCH_DIFFERENT;
+    return { distance, similarity: Math.min(Math.max(1 - distance, 0), 1), match };
+};
+
+/**
+ * Group descriptors by person. Each descriptor joins the group it is closest to on average,
+ * or starts a new one when no group is close enough.
+ * Returns a group number (0, 1, ...) per descriptor, in order of first appearance; null
+ * descriptors get null.
+ */
+export const groupByIdentity = (descriptors) => {
+    const groups = []; // Member descriptors of each group
+    return descriptors.map(descriptor => {
+        if (!descriptor) return null;
+        let bestGroup = -1;
+        let bestDistance = Infinity;
+        groups.forEach((members, index) => {
+            const meanDistance = members.reduce((sum, member) => sum + faceapi.euclideanDistance(descriptor, member), 0) / members.length;
+            if (meanDistance < bestDistance) {
+                bestDistance = meanDistance;
+                bestGroup = index;
+            }
+        });
+        if (bestGroup === -1 || bestDistance > GROUPING_DISTANCE) {
+            groups.push([descriptor]);
+            return groups.length - 1;
+        }
+        groups[bestGroup].push(descriptor);
+        return bestGroup;
+    });
+};
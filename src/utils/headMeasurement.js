@@ -0,0 +1,180 @@
+// src/utils/headMeasurement.js
+import { segmentPerson } from './backgroundRemoval';
+
+// Constants for Crown Detection (distances are relative to the eye-to-chin distance)
+const SCAN_START_RATIO = 0.5; // Start scanning inside the forehead, above the eyebrows
+const MIN_CROWN_RATIO = 0.8; // The crown can't be closer to the eyes than this
+const MAX_CROWN_RATIO = 1.9; // Allows for tall hair, hijabs and caps
+const ESTIMATED_CROWN_RATIO = 1.1; // Anatomical fallback when the mask scan is inconclusive
+const STRIP_HALF_WIDTH_RATIO = 0.15; // Half-width of the sampled strip, relative to the face width
+const MIN_COVERAGE = 0.5; // Mask coverage above which a strip counts as part of the head
+const BACKGROUND_RUN_STEPS = 3; // Consecutive background strips needed to confirm the crown
+
+// Constants for Head Pose
+const PITCH_NEUTRAL_RATIO = 0.45; // Nose tip position between eye line and chin for a level head
+export const HEAD_POSE_LIMITS = {
+    maxYawDegrees: 15, // Beyond this the photo can't be used, as a turned head can't be corrected
+    maxPitchDeviation: 0.14, // Deviation of the nose position ratio from a level head
+};
+
+// Helper Function: Centre of an eye from its landmarks
+export const getEyeCenter = (eye) => ({
+    x: eye.reduce((sum, point) => sum + point.x, 0) / eye.length,
+    y: eye.reduce((sum, point) => sum + point.y, 0) / eye.length,
+});
+
+// Helper Function: Inner face rectangle (eyebrows to chin, between the jaw points) from the 68 landmark positions
+export const getInnerFaceRect = (positions) => {
+    const top = Math.min(positions[19].y, positions[24].y);
+    return { x: positions[1].x, y: top, width: positions[15].x - positions[1].x, height: positions[8].y - top };
+};
+
+/**
+ * The face axis from the 68-point landmarks: the midpoint between the eyes, a unit vector
+ * pointing from the chin towards the crown (perpendicular to the eye line), and the roll
+ * of the eye line in degrees (positive when the head is tilted clockwise on screen).
+ */
+export const getFaceAxis = (landmarks) => {
+    const leftEyeCenter = getEyeCenter(landmarks.getLeftEye());
+    const rightEyeCenter = getEyeCenter(landmarks.getRightEye());
+    const eyeLine = { x: rightEyeCenter.x - leftEyeCenter.x, y: rightEyeCenter.y - leftEyeCenter.y };
+    const length = Math.hypot(eyeLine.x, eyeLine.y) || 1;
+
+    return {
+        eyeMid: { x: (leftEyeCenter.x + rightEyeCenter.x) / 2, y: (leftEyeCenter.y + rightEyeCenter.y) / 2 },
+        up: { x: eyeLine.y / length, y: -eyeLine.x / length },
+        rollDegrees: Math.atan2(eyeLine.y, eyeLine.x) * 180 / Math.PI,
+    };
+};
+
+// Helper Function: Signed distance of a point along the face axis, measured from the eyes towards the crown
+export const projectOnFaceAxis = (axis, point) => (point.x - axis.eyeMid.x) * axis.up.x + (point.y - axis.eyeMid.y) * axis.up.y;
+
+/**
+ * Estimate head pose from the landmarks.
+ * Roll comes from the eye line. Yaw comes from how far the nose tip sits from the middle of
+ * the jaw. Pitch is reported as where the nose tip sits between the eye line and the chin,
+ * with its deviation from a level head.
+ */
+export const estimateHeadPose = (landmarks) => {
+    const positions = landmarks.positions;
+    const axis = getFaceAxis(landmarks);
+    const across = { x: -axis.up.y, y: axis.up.x };
+    const acrossDistance = (point) => (point.x - axis.eyeMid.x) * across.x + (point.y - axis.eyeMid.y) * across.y;
+
+    const noseTip = positions[30];
+    const leftDistance = acrossDistance(noseTip) - acrossDistance(positions[0]);
+    const rightDistance = acrossDistance(positions[16]) - acrossDistance(noseTip);
+    const yawRatio = (rightDistance - leftDistance) / (rightDistance + leftDistance);
+
+    const pitchRatio = projectOnFaceAxis(axis, noseTip) / projectOnFaceAxis(axis, positions[8]);
+
+    return {
+        rollDegrees: axis.rollDegrees,
+        yawDegrees: Math.asin(Math.min(1, Math.max(-1, yawRatio))) * 180 / Math.PI,
+        pitchRatio,
+        pitchDeviation: pitchRatio - PITCH_NEUTRAL_RATIO,
+    };
+};
+
+// Helper Function: Read the mask alpha channel around the scan path in one getImageData call
+const readMaskRegion = (maskCanvas, points, halfWidth) => {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.max(0, Math.floor(Math.min(...xs) - halfWidth));
+    const y = Math.max(0, Math.floor(Math.min(...ys) - halfWidth));
+    const right = Math.min(maskCanvas.width, Math.ceil(Math.max(...xs) + halfWidth) + 1);
+    const bottom = Math.min(maskCanvas.height, Math.ceil(Math.max(...ys) + halfWidth) + 1);
+    if (right <= x || bottom <= y) return null;
+
+    const { data } = maskCanvas.getContext('2d').getImageData(x, y, right - x, bottom - y);
+    return {
+        alphaAt: (px, py) => {
+            const localX = Math.round(px) - x;
+            const localY = Math.round(py) - y;
+            if (localX < 0 || localY < 0 || localX >= right - x || localY >= bottom - y) return 0;
+            return data[(localY * (right - x) + localX) * 4 + 3] / 255;
+        },
+    };
+};
+
+/**
+ * Find the top of the head (crown, including hair or head covering) for a detection.
+ * Scans up the face axis from the forehead through the person mask until the strip under
+ * the scan point turns into background. Uses the given mask, or segments the source if none
+ * is provided. Falls back to an anatomical estimate when the scan is inconclusive, or when
+ * there is neither a mask nor a source to scan. On a busy background the segmentation (see
+ * segmentPerson) is unreliable, and so is the crown it finds.
+ *
+ * Returns { x, y, method: 'mask' | 'estimate', isClipped } in source image coordinates;
+ * isClipped is true when the head runs off the top of the image.
+ */
+export const findTopOfHead = (detection, sourceCanvas, maskCanvas = null) => {
+    const landmarks = detection.landmarks;
+    const { eyeMid, up } = getFaceAxis(landmarks);
+    const chin = landmarks.positions[8];
+    const across = { x: -up.y, y: up.x };
+
+    const eyeChinDistance = Math.hypot(chin.x - eyeMid.x, chin.y - eyeMid.y);
+    const pointAt = (ratio) => ({
+        x: eyeMid.x + up.x * eyeChinDistance * ratio,
+        y: eyeMid.y + up.y * eyeChinDistance * ratio,
+    });
+    const estimatedCrown = pointAt(ESTIMATED_CROWN_RATIO);
+    const estimate = { ...estimatedCrown, method: 'estimate', isClipped: estimatedCrown.y < 0 };
+
+    let mask = maskCanvas;
+    if (!mask && !sourceCanvas) return estimate; // Nothing to scan, e.g. a headless crop from landmarks only
+    if (!mask) {
+        try {
+            mask = segmentPerson(sourceCanvas, detection);
+        } catch (err) {
+            console.error("Crown detection segmentation error:", err);
+            return estimate;
+        }
+    }
+
+    const halfWidth = detection.detection.box.width * STRIP_HALF_WIDTH_RATIO;
+    const stepCount = Math.max(10, Math.round(eyeChinDistance * (MAX_CROWN_RATIO - SCAN_START_RATIO)));
+    const scanPoints = [];
+    for (let step = 0; step <= stepCount; step++) {
+        scanPoints.push(pointAt(SCAN_START_RATIO + (MAX_CROWN_RATIO - SCAN_START_RATIO) * (step / stepCount)));
+    }
+
+    const region = readMaskRegion(mask, scanPoints, halfWidth);
+    if (!region) return estimate;
+
+    // Average mask coverage over a short strip perpendicular to the face axis
+    const stripCoverage = (point) => {
+        let sum = 0;
+        let count = 0;
+        for (let offset = -halfWidth; offset <= halfWidth; offset += Math.max(1, halfWidth / 8)) {
+            sum += region.alphaAt(point.x + across.x * offset, point.y + across.y * offset);
+            count++;
+        }
+        return sum / count;
+    };
+
+    let lastHeadPoint = null;
+    let backgroundRun = 0;
+    for (let i = 0; i < scanPoints.length; i++) {
+        const point = scanPoints[i];
+        if (point.y < 0) {
+            // Ran off the top of the image while still inside the head
+            return lastHeadPoint && backgroundRun === 0 ? { x: point.x, y: 0, method: 'mask', isClipped: true } : estimate;
+        }
+        if (stripCoverage(point) >= MIN_COVERAGE) {
+            lastHeadPoint = point;
+            backgroundRun = 0;
+        } else if (lastHeadPoint && ++backgroundRun >= BACKGROUND_RUN_STEPS) {
+            break;
+        }
+    }
+
+    if (!lastHeadPoint) return estimate;
+
+    const crownRatio = Math.hypot(lastHeadPoint.x - eyeMid.x, lastHeadPoint.y - eyeMid.y) / eyeChinDistance;
+    if (crownRatio < MIN_CROWN_RATIO || crownRatio >= MAX_CROWN_RATIO) return estimate;
+
+    return { x: lastHeadPoint.x, y: lastHeadPoint.y, method: 'mask', isClipped: false };
+};
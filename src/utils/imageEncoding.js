@@ -0,0 +1,225 @@
+// src/utils/imageEncoding.js
+import { canvasToBlob } from './download';
+import { crc32 } from './zip';
+import { createCanvas } from './canvasFactory';
+
+export const EXPORT_FORMATS = [
+    { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', isLossy: true, hasDpi: true },
+    { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png', isLossy: false, hasDpi: true },
+    { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: 'webp', isLossy: true, hasDpi: false },
+];
+
+// Constants for File Size Search
+const MIN_QUALITY = 0.4; // Below this JPEG/WebP artefacts become visible on faces
+const MAX_QUALITY = 0.95;
+const QUALITY_SEARCH_STEPS = 7;
+const RESOLUTION_STEP = 0.9; // Shrink factor when even the lowest quality is too large
+const MIN_RESOLUTION_RATIO = 0.5; // Never go below half the requested pixel size
+const MAX_JPEG_SEGMENT_PAYLOAD = 65533;
+const INCHES_PER_METRE = 39.3701;
+
+// Helper Function: Look up an export format by id
+export const getExportFormat = (id) => EXPORT_FORMATS.find(format => format.id === id) || EXPORT_FORMATS[0];
+
+// Helper Function: Export format for a MIME type, e.g. from a spec's accepted formats
+export const getExportFormatForMimeType = (mimeType) => EXPORT_FORMATS.find(format => format.mimeType === mimeType) || EXPORT_FORMATS[0];
+
+// Helper Function: Big-endian 16-bit JPEG segment header
+const jpegSegmentHeader = (marker, payloadLength) => new Uint8Array([0xff, marker, (payloadLength + 2) >> 8, (payloadLength + 2) & 0xff]);
+
+/**
+ * Write the pixel density into a JPEG's JFIF header, adding one if the encoder left it out.
+ */
+export const setJpegDpi = (bytes, dpi) => {
+    const density = Math.round(dpi);
+    const hasJfif = bytes[2] === 0xff && bytes[3] === 0xe0
+        && String.fromCharCode(bytes[6], bytes[7], bytes[8], bytes[9]) === 'JFIF' && bytes[10] === 0;
+
+    if (hasJfif) {
+        const result = bytes.slice();
+        result[13] = 1; // Units: dots per inch
+        result[14] = density >> 8;
+        result[15] = density & 0xff;
+        result[16] = density >> 8;
+        result[17] = density & 0xff;
+        return result;
+    }
+
+    const jfif = new Uint8Array([0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 1, density >> 8, density & 0xff, density >> 8, density & 0xff, 0, 0]);
+    const header = jpegSegmentHeader(0xe0, jfif.length);
+    const result = new Uint8Array(bytes.length + header.length + jfif.length);
+    result.set(bytes.subarray(0, 2), 0); // SOI
+    result.set(header, 2);
+    result.set(jfif, 2 + header.length);
+    result.set(bytes.subarray(2), 2 + header.length + jfif.length);
+    return result;
+};
+
+// Helper Function: Grow a JPEG to at least minBytes with comment segments (the image itself is unchanged)
+// Expects the JFIF header written by setJpegDpi; the comments go right after it, as JFIF must come first
+const padJpeg = (bytes, minBytes) => {
+    const segments = [];
+    let missing = minBytes - bytes.length;
+    while (missing > 0) {
+        const payloadLength = Math.min(MAX_JPEG_SEGMENT_PAYLOAD, Math.max(1, missing - 4));
+        segments.push(jpegSegmentHeader(0xfe, payloadLength), new Uint8Array(payloadLength).fill(0x20));
+        missing -= payloadLength + 4;
+    }
+    const insertAt = 4 + ((bytes[4] << 8) | bytes[5]); // End of the JFIF segment
+    const paddingLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+    const result = new Uint8Array(bytes.length + paddingLength);
+    result.set(bytes.subarray(0, insertAt), 0);
+    let offset = insertAt;
+    segments.forEach(segment => {
+        result.set(segment, offset);
+        offset += segment.length;
+    });
+    result.set(bytes.subarray(insertAt), offset);
+    return result;
+};
+
+/**
+ * Write the pixel density into a PNG as a pHYs chunk right after IHDR, replacing any existing one.
+ */
+export const setPngDpi = (bytes, dpi) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8; // After the PNG signature
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, start: offset, end: offset + 12 + length });
+        offset += 12 + length;
+    }
+
+    const pixelsPerMetre = Math.round(dpi * INCHES_PER_METRE);
+    const phys = new Uint8Array(21);
+    const physView = new DataView(phys.buffer);
+    physView.setUint32(0, 9);
+    phys.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    physView.setUint32(8, pixelsPerMetre);
+    physView.setUint32(12, pixelsPerMetre);
+    phys[16] = 1; // Unit: metre
+    physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+    const parts = [bytes.subarray(0, 8)];
+    chunks.forEach(chunk => {
+        if (chunk.type === 'pHYs') return;
+        parts.push(bytes.subarray(chunk.start, chunk.end));
+        if (chunk.type === 'IHDR') parts.push(phys);
+    });
+
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let writeOffset = 0;
+    parts.forEach(part => {
+        result.set(part, writeOffset);
+        writeOffset += part.length;
+    });
+    return result;
+};
+
+// Helper Function: Copy a canvas to a new size with high-quality smoothing
+export const resizeCanvas = (sourceCanvas, width, height) => {
+    if (sourceCanvas.width === width && sourceCanvas.height === height) return sourceCanvas;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(sourceCanvas, 0, 0, width, height);
+    return canvas;
+};
+
+// Encode a canvas in a format, with the DPI written into the file where the format supports it
+export const encodeCanvas = async (canvas, format, quality, dpi) => {
+    const blob = await canvasToBlob(canvas, format.mimeType, format.isLossy ? quality : undefined);
+    if (blob.type !== format.mimeType) {
+        throw new Error(`This browser cannot encode ${format.label} images`);
+    }
+    if (!format.hasDpi) return new Uint8Array(await blob.arrayBuffer());
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return format.id === 'jpeg' ? setJpegDpi(bytes, dpi) : setPngDpi(bytes, dpi);
+};
+
+// Helper Function: Best quality that fits under maxBytes at one resolution, or null if none does
+const searchQuality = async (canvas, format, dpi, maxBytes) => {
+    let low = MIN_QUALITY;
+    let high = MAX_QUALITY;
+    const highest = await encodeCanvas(canvas, format, high, dpi);
+    if (highest.length <= maxBytes) return { bytes: highest, quality: high };
+
+    let best = null;
+    for (let step = 0; step < QUALITY_SEARCH_STEPS; step++) {
+        const quality = (low + high) / 2;
+        const bytes = await encodeCanvas(canvas, format, quality, dpi);
+        if (bytes.length <= maxBytes) {
+            best = { bytes, quality };
+            low = quality;
+        } else {
+            high = quality;
+        }
+    }
+    if (best) return best;
+
+    const lowest = await encodeCanvas(canvas, format, MIN_QUALITY, dpi);
+    return lowest.length <= maxBytes ? { bytes: lowest, quality: MIN_QUALITY } : null;
+};
+
+/**
+ * Encode the photo at the requested pixel size, searching quality (lossy formats) and then
+ * resolution until the file lands within [minBytes, maxBytes]. JPEGs that come out too small
+ * are padded with comment segments. DPI metadata is derived from printWidthMm so the
+ * file still prints at the document's physical size.
+ * Returns { blob, bytes, widthPx, heightPx, quality, dpi, isPadded, meetsTarget }.
+ */
+export const encodeToTarget = async (sourceCanvas, { format, widthPx, heightPx, printWidthMm, minBytes = 0, maxBytes = Infinity }) => {
+    let ratio = 1;
+    let attempt = null;
+
+    while (ratio >= MIN_RESOLUTION_RATIO) {
+        const width = Math.max(1, Math.round(widthPx * ratio));
+        const height = Math.max(1, Math.round(heightPx * ratio));
+        const dpi = width / (printWidthMm / 25.4);
+        const canvas = resizeCanvas(sourceCanvas, width, height);
+
+        const found = format.isLossy
+            ? await searchQuality(canvas, format, dpi, maxBytes)
+            : await encodeCanvas(canvas, format, undefined, dpi).then(bytes => (bytes.length <= maxBytes ? { bytes, quality: null } : null));
+
+        attempt = { width, height, dpi, found };
+        if (found) break;
+        ratio *= RESOLUTION_STEP;
+    }
+
+    let { bytes, quality } = attempt.found || {};
+    if (!bytes) {
+        // Nothing fits: hand back the smallest attempt so the user can see how far off it is
+        quality = format.isLossy ? MIN_QUALITY : null;
+        bytes = await encodeCanvas(resizeCanvas(sourceCanvas, attempt.width, attempt.height), format, quality, attempt.dpi);
+    }
+
+    // Too small even at high quality: try the best quality before resorting to padding
+    if (bytes.length < minBytes && format.isLossy && attempt.found) {
+        const best = await encodeCanvas(resizeCanvas(sourceCanvas, attempt.width, attempt.height), format, 1, attempt.dpi);
+        if (best.length <= maxBytes) {
+            bytes = best;
+            quality = 1;
+        }
+    }
+
+    let isPadded = false;
+    if (bytes.length < minBytes && format.id === 'jpeg') {
+        bytes = padJpeg(bytes, minBytes);
+        isPadded = true;
+    }
+
+    return {
+        blob: new Blob([bytes], { type: format.mimeType }),
+        bytes: bytes.length,
+        widthPx: attempt.width,
+        heightPx: attempt.height,
+        quality,
+        dpi: attempt.dpi,
+        isPadded,
+        meetsTarget: bytes.length >= minBytes && bytes.length <= maxBytes,
+    };
+};
@@ -0,0 +1,252 @@
+// src/utils/imageEnhancement.js
+import { getLuminanceStats, clampRect } from '../compliance/imageStats';
+import { toOutputPoint } from './cropGeometry';
+import { getInnerFaceRect } from './headMeasurement';
+
+// Constants for Natural Limits (corrections are clamped so the photo stays a true likeness)
+const MIN_CHANNEL_GAIN = 0.85;
+const MAX_CHANNEL_GAIN = 1.2;
+const MIN_REFERENCE_LUMINANCE = 110; // Backgrounds darker than this are too unreliable as a white reference
+const MAX_REFERENCE_SPREAD = 0.45; // Strongly colored backgrounds are treated as intentional, not as a color cast
+const TARGET_FACE_LUMINANCE = 145; // Middle of the range accepted by the exposure check
+const GAMMA_RANGE = [0.7, 1.4];
+const TARGET_FACE_CONTRAST = 45;
+const CONTRAST_RANGE = [0.85, 1.25];
+const MAX_SHADOW_GAIN = 1.25; // Strongest brightening of the shadowed side of the face
+const DENOISE_EDGE_THRESHOLD = 12; // Neighbours differing more than this are edges and are not averaged
+const RED_EYE_FRINGE_DOMINANCE = 1.4; // Red-eye correction reaches pixels this much redder than green/blue
+
+export const DEFAULT_ENHANCEMENTS = {
+    isEnabled: true,
+    // Strength of each automatic correction, 0 (off) to 1 (full)
+    whiteBalance: 1,
+    exposure: 1,
+    contrast: 1,
+    shadowLift: 1,
+    denoise: 0.5,
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const lerp = (from, to, amount) => from + (to - from) * amount;
+
+const luminanceOf = (color) => 0.299 * color[0] + 0.587 * color[1] + 0.114 * color[2];
+
+// Helper Function: Channel gains that turn the background reference neutral, keeping brightness and skin hue
+const getWhiteBalanceGains = (background, face) => {
+    if (!background || !face) return [1, 1, 1];
+    const reference = background.meanColor;
+    const referenceMean = (reference[0] + reference[1] + reference[2]) / 3;
+    const spread = (Math.max(...reference) - Math.min(...reference)) / Math.max(referenceMean, 1);
+    if (referenceMean < MIN_REFERENCE_LUMINANCE || spread > MAX_REFERENCE_SPREAD) return [1, 1, 1];
+
+    let gains = reference.map(channel => clamp(referenceMean / Math.max(channel, 1), MIN_CHANNEL_GAIN, MAX_CHANNEL_GAIN));
+    const luminanceGain = luminanceOf(gains);
+    gains = gains.map(gain => gain / luminanceGain);
+
+    // Skin is always warmer than neutral; back off if the correction would turn the face blue
+    const correctedFace = face.meanColor.map((channel, i) => channel * gains[i]);
+    if (correctedFace[2] > correctedFace[0]) gains = gains.map(gain => lerp(1, gain, 0.5));
+    return gains;
+};
+
+/**
+ * Measure the lighting of a photo from the face and background regions and work out the
+ * automatic corrections: white balance gains, an exposure gamma and contrast factor that
+ * bring the face into the compliant range, and a brightening factor for whichever side of
+ * the face is in shadow. Every value is clamped to natural limits.
+ */
+export const analyzeLighting = (sourceCanvas, detection) => {
+    const positions = detection.landmarks.positions;
+    const box = detection.detection.box;
+    const faceRect = getInnerFaceRect(positions);
+    const splitX = positions[30].x; // Nose tip divides the face into left and right halves
+
+    const face = getLuminanceStats(sourceCanvas, [faceRect]);
+    const leftHalf = getLuminanceStats(sourceCanvas, [{ ...faceRect, width: splitX - faceRect.x }]);
+    const rightHalf = getLuminanceStats(sourceCanvas, [{ ...faceRect, x: splitX, width: faceRect.x + faceRect.width - splitX }]);
+    // Background beside and above the head, clear of hair
+    const background = getLuminanceStats(sourceCanvas, [
+        { x: 0, y: box.y - box.height * 0.5, width: box.x - box.width * 0.3, height: box.height },
+        { x: box.x + box.width * 1.3, y: box.y - box.height * 0.5, width: sourceCanvas.width, height: box.height },
+        { x: box.x - box.width * 0.3, y: 0, width: box.width * 1.6, height: box.y - box.height * 0.8 },
+    ]);
+
+    const analysis = {
+        channelGains: getWhiteBalanceGains(background, face),
+        gamma: 1,
+        contrast: 1,
+        shadowGains: { left: 1, right: 1 },
+        faceRect,
+        splitX,
+    };
+    if (!face) return analysis;
+
+    const faceLevel = clamp(face.mean / 255, 0.02, 0.98);
+    analysis.gamma = clamp(Math.log(TARGET_FACE_LUMINANCE / 255) / Math.log(faceLevel), GAMMA_RANGE[0], GAMMA_RANGE[1]);
+    analysis.contrast = clamp(TARGET_FACE_CONTRAST / Math.max(face.stdDev, 1), CONTRAST_RANGE[0], CONTRAST_RANGE[1]);
+
+    if (leftHalf && rightHalf) {
+        // Lift the darker side halfway (in log terms) towards the brighter one
+        const ratio = Math.sqrt(Math.max(leftHalf.mean, rightHalf.mean) / Math.max(Math.min(leftHalf.mean, rightHalf.mean), 1));
+        const gain = clamp(ratio, 1, MAX_SHADOW_GAIN);
+        analysis.shadowGains = leftHalf.mean < rightHalf.mean ? { left: gain, right: 1 } : { left: 1, right: gain };
+    }
+    return analysis;
+};
+
+// Helper Function: Per-channel lookup tables for white balance, exposure and contrast
+const buildLookupTables = (analysis, settings) => {
+    const gamma = lerp(1, analysis.gamma, settings.exposure);
+    const contrast = lerp(1, analysis.contrast, settings.contrast);
+    return analysis.channelGains.map(channelGain => {
+        const gain = lerp(1, channelGain, settings.whiteBalance);
+        const table = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            const balanced = Math.min(255, value * gain);
+            const exposed = 255 * Math.pow(balanced / 255, gamma);
+            table[value] = TARGET_FACE_LUMINANCE + (exposed - TARGET_FACE_LUMINANCE) * contrast;
+        }
+        return table;
+    });
+};
+
+// Helper Function: Brighten the shadowed side of the face, fading out towards the nose and past the face edges
+const liftShadows = (data, width, height, faceBounds, shadowGains, strength) => {
+    const { left, right, split, top, bottom } = faceBounds;
+    const halfHeight = (bottom - top) / 2;
+    const centerY = (top + bottom) / 2;
+    const region = {
+        x0: Math.max(0, Math.floor(left - (split - left) / 2)),
+        x1: Math.min(width, Math.ceil(right + (right - split) / 2)),
+        y0: Math.max(0, Math.floor(top - halfHeight / 2)),
+        y1: Math.min(height, Math.ceil(bottom + halfHeight / 2)),
+    };
+
+    for (let y = region.y0; y < region.y1; y++) {
+        const v = Math.abs(y - centerY) / halfHeight;
+        const verticalWeight = v <= 1 ? 1 : Math.max(0, 1 - (v - 1) * 2);
+        if (verticalWeight === 0) continue;
+        for (let x = region.x0; x < region.x1; x++) {
+            const isLeft = x < split;
+            const sideGain = isLeft ? shadowGains.left : shadowGains.right;
+            if (sideGain === 1) continue;
+            const u = isLeft ? (split - x) / (split - left) : (x - split) / (right - split);
+            const horizontalWeight = u <= 1 ? Math.min(1, u * 2) : Math.max(0, 1 - (u - 1) * 2);
+            const gain = 1 + (sideGain - 1) * strength * horizontalWeight * verticalWeight;
+            const p = (y * width + x) * 4;
+            data[p] = data[p] * gain;
+            data[p + 1] = data[p + 1] * gain;
+            data[p + 2] = data[p + 2] * gain;
+        }
+    }
+};
+
+// Helper Function: Edge-preserving 3x3 smoothing over a region, blended in by strength
+const denoiseRegion = (data, width, height, region, strength) => {
+    const source = data.slice();
+    for (let y = Math.max(1, region.y); y < Math.min(height - 1, region.y + region.height); y++) {
+        for (let x = Math.max(1, region.x); x < Math.min(width - 1, region.x + region.width); x++) {
+            const p = (y * width + x) * 4;
+            const centerLuminance = 0.299 * source[p] + 0.587 * source[p + 1] + 0.114 * source[p + 2];
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let count = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const q = p + (dy * width + dx) * 4;
+                    const luminance = 0.299 * source[q] + 0.587 * source[q + 1] + 0.114 * source[q + 2];
+                    if (Math.abs(luminance - centerLuminance) > DENOISE_EDGE_THRESHOLD) continue;
+                    r += source[q];
+                    g += source[q + 1];
+                    b += source[q + 2];
+                    count++;
+                }
+            }
+            data[p] = lerp(source[p], r / count, strength);
+            data[p + 1] = lerp(source[p + 1], g / count, strength);
+            data[p + 2] = lerp(source[p + 2], b / count, strength);
+        }
+    }
+};
+
+/**
+ * Apply the automatic corrections from analyzeLighting to a cropped photo in place.
+ * settings holds the strength of each correction (see DEFAULT_ENHANCEMENTS); geometry maps the
+ * source-space face measurements onto the crop.
+ */
+export const enhanceCanvas = (canvas, analysis, settings, geometry) => {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+
+    const [redTable, greenTable, blueTable] = buildLookupTables(analysis, settings);
+    for (let p = 0; p < data.length; p += 4) {
+        data[p] = redTable[data[p]];
+        data[p + 1] = greenTable[data[p + 1]];
+        data[p + 2] = blueTable[data[p + 2]];
+    }
+
+    // Face measurements in output pixels (the crop is close to upright, so axis-aligned bounds are enough)
+    const { faceRect, splitX } = analysis;
+    const topLeft = toOutputPoint(geometry, { x: faceRect.x, y: faceRect.y });
+    const bottomRight = toOutputPoint(geometry, { x: faceRect.x + faceRect.width, y: faceRect.y + faceRect.height });
+    const split = toOutputPoint(geometry, { x: splitX, y: faceRect.y + faceRect.height / 2 }).x;
+    const faceBounds = { left: topLeft.x, right: bottomRight.x, split, top: topLeft.y, bottom: bottomRight.y };
+
+    if (settings.shadowLift > 0 && faceBounds.right > faceBounds.left && faceBounds.bottom > faceBounds.top) {
+        liftShadows(data, width, height, faceBounds, analysis.shadowGains, settings.shadowLift);
+    }
+
+    if (settings.denoise > 0) {
+        // Smooth the head area only; that's where noise shows and it keeps the pass quick
+        const faceWidth = faceBounds.right - faceBounds.left;
+        const faceHeight = faceBounds.bottom - faceBounds.top;
+        const region = clampRect(canvas, {
+            x: faceBounds.left - faceWidth * 0.3,
+            y: faceBounds.top - faceHeight * 0.6,
+            width: faceWidth * 1.6,
+            height: faceHeight * 1.9,
+        });
+        if (region) denoiseRegion(data, width, height, region, settings.denoise);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+};
+
+// Helper Function: Output-pixel bounds of a source-space rectangle
+const toOutputRect = (geometry, rect) => {
+    const corners = [
+        { x: rect.x, y: rect.y },
+        { x: rect.x + rect.width, y: rect.y },
+        { x: rect.x, y: rect.y + rect.height },
+        { x: rect.x + rect.width, y: rect.y + rect.height },
+    ].map(corner => toOutputPoint(geometry, corner));
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+};
+
+/**
+ * Remove red-eye from a cropped photo in place. eyeRects are the source-space eye boxes flagged
+ * by analyzeEyes; inside them, red-dominant pixels get their red channel pulled down to the
+ * level of green and blue, which leaves a dark, natural-looking pupil.
+ */
+export const correctRedEye = (canvas, eyeRects, geometry) => {
+    const ctx = canvas.getContext('2d');
+    eyeRects.forEach(eyeRect => {
+        const region = clampRect(canvas, toOutputRect(geometry, eyeRect));
+        if (!region) return;
+        const imageData = ctx.getImageData(region.x, region.y, region.width, region.height);
+        const data = imageData.data;
+        for (let p = 0; p < data.length; p += 4) {
+            const r = data[p];
+            const average = (data[p + 1] + data[p + 2]) / 2;
+            // Looser than detection so the fringe of the pupil is caught too
+            if (r > 60 && r > average * RED_EYE_FRINGE_DOMINANCE) data[p] = average;
+        }
+        ctx.putImageData(imageData, region.x, region.y);
+    });
+};
@@ -0,0 +1,174 @@
+// src/utils/imageIngestion.js
+// Turns an uploaded photo into an upright canvas: HEIC/HEIF files are decoded, the EXIF
+// orientation is applied and location metadata is dropped from the copy that gets stored.
+import { createCanvas, MAX_CANVAS_PIXELS } from './canvasFactory';
+import { canvasToBlob } from './download';
+import { loadImage } from './photoPipeline';
+import { t } from '../i18n/i18n';
+
+// Constants for Ingestion
+const NORMALIZED_JPEG_QUALITY = 0.95; // Used when the stored copy has to be re-encoded (rotated or scaled)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const EXIF_ORIENTATION_TAG = 0x0112;
+const JPEG_SOS_MARKER = 0xda; // Start of the compressed image data; no metadata after this
+const JPEG_APP1_MARKER = 0xe1; // EXIF (including GPS) and XMP
+const JPEG_APP13_MARKER = 0xed; // Photoshop/IPTC, which can hold a location too
+
+// File types the pickers accept; some systems give HEIC files no MIME type, so the extensions are listed too
+export const IMAGE_FILE_ACCEPT = 'image/*,.heic,.heif';
+
+// Helper Function: Does a picked file look like a photo, by its MIME type or HEIC extension?
+export const isImageFile = (file) => file.type.startsWith('image/') || /\.(heic|heif)$/i.test(file.name);
+
+// Helper Function: Is this a JPEG file?
+const isJpeg = (bytes) => bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8;
+
+// Helper Function: Is this an HEIC/HEIF file (an ISO media file with a HEIF brand)?
+export const isHeic = (bytes) => bytes.length > 12
+    && String.fromCharCode(...bytes.subarray(4, 8)) === 'ftyp'
+    && HEIC_BRANDS.includes(String.fromCharCode(...bytes.subarray(8, 12)));
+
+// Helper Function: Start and end of each JPEG segment before the image data, with its marker
+const getJpegSegments = (bytes) => {
+    const segments = [];
+    let offset = 2; // After SOI
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (marker === JPEG_SOS_MARKER) break;
+        const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+        segments.push({ marker, start: offset, end });
+        offset = end;
+    }
+    return { segments, dataStart: offset };
+};
+
+/**
+ * EXIF orientation of a JPEG (1-8, see the TIFF spec), or 1 when there is none.
+ */
+export const getJpegOrientation = (bytes) => {
+    if (!isJpeg(bytes)) return 1;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const exif = getJpegSegments(bytes).segments.find(segment => segment.marker === JPEG_APP1_MARKER
+        && String.fromCharCode(...bytes.subarray(segment.start + 4, segment.start + 8)) === 'Exif');
+    if (!exif) return 1;
+
+    try {
+        const tiffStart = exif.start + 10;
+        const isLittleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+        const ifdStart = tiffStart + view.getUint32(tiffStart + 4, isLittleEndian);
+        const entryCount = view.getUint16(ifdStart, isLittleEndian);
+        for (let i = 0; i < entryCount; i++) {
+            const entry = ifdStart + 2 + i * 12;
+            if (view.getUint16(entry, isLittleEndian) === EXIF_ORIENTATION_TAG) {
+                const orientation = view.getUint16(entry + 8, isLittleEndian);
+                return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+        }
+    } catch (err) {
+        // A truncated EXIF block is treated as having no orientation
+    }
+    return 1;
+};
+
+/**
+ * Copy of a JPEG without its EXIF, XMP and IPTC segments, which is where cameras and phones
+ * put the GPS location. The orientation goes too, so apply getJpegOrientation first.
+ */
+export const stripJpegMetadata = (bytes) => {
+    if (!isJpeg(bytes)) return bytes;
+    const { segments, dataStart } = getJpegSegments(bytes);
+    const kept = segments.filter(segment => segment.marker !== JPEG_APP1_MARKER && segment.marker !== JPEG_APP13_MARKER);
+
+    const keptLength = kept.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+    const result = new Uint8Array(2 + keptLength + bytes.length - dataStart);
+    result.set(bytes.subarray(0, 2), 0); // SOI
+    let offset = 2;
+    kept.forEach(segment => {
+        result.set(bytes.subarray(segment.start, segment.end), offset);
+        offset += segment.end - segment.start;
+    });
+    result.set(bytes.subarray(dataStart), offset);
+    return result;
+};
+
+/**
+ * Draw an image upright according to its EXIF orientation, scaled by scale, onto a canvas
+ * (a new one unless given). Orientations 5-8 swap width and height.
+ */
+export const drawOriented = (image, orientation, { scale = 1, canvas = createCanvas() } = {}) => {
+    const width = image.width;
+    const height = image.height;
+    const isSwapped = orientation >= 5;
+    canvas.width = Math.round((isSwapped ? height : width) * scale);
+    canvas.height = Math.round((isSwapped ? width : height) * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(canvas.width / (isSwapped ? height : width), canvas.height / (isSwapped ? width : height));
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break; // Mirrored
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break; // Upside down
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break; // Upside down, mirrored
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break; // Mirrored along the diagonal
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break; // Quarter turn clockwise
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break; // Mirrored along the other diagonal
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break; // Quarter turn anticlockwise
+        default: break;
+    }
+    ctx.drawImage(image, 0, 0, width, height);
+    return canvas;
+};
+
+// Helper Function: Scale that keeps an image within the canvas size browsers can handle
+export const getSourceScale = (width, height) => Math.min(1, Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+
+// Helper Function: Decode an HEIC/HEIF file to JPEG (the decoder is only downloaded when needed)
+const decodeHeic = async (blob) => {
+    const { default: heic2any } = await import('heic2any');
+    const result = await heic2any({ blob, toType: 'image/jpeg', quality: NORMALIZED_JPEG_QUALITY });
+    return Array.isArray(result) ? result[0] : result; // Image sequences give one Blob per frame
+};
+
+/**
+ * Read an uploaded photo (File or Blob) into an upright canvas (a new one unless given).
+ * HEIC/HEIF is decoded, the EXIF orientation applied, and photos beyond what a canvas can
+ * hold are scaled down.
+ * Returns { canvas, blob } on success, where blob is the photo to store in sessions and project
+ * files: upright and without location metadata. On failure returns { error } with a message for the user.
+ */
+export const ingestImage = async (file, canvas = createCanvas()) => {
+    let bytes = new Uint8Array(await file.arrayBuffer());
+    let blob = file;
+
+    if (isHeic(bytes)) {
+        try {
+            blob = await decodeHeic(file);
+        } catch (err) {
+            console.error("HEIC decoding error:", err);
+            return { error: t('errors.heicDecode') };
+        }
+        bytes = new Uint8Array(await blob.arrayBuffer());
+    }
+
+    // Without its metadata the browser can't rotate the photo on its own, so the orientation applied here is the only one
+    const orientation = getJpegOrientation(bytes);
+    const strippedBytes = stripJpegMetadata(bytes);
+    if (strippedBytes.length !== bytes.length) blob = new Blob([strippedBytes], { type: 'image/jpeg' }); // Otherwise the same Blob comes back, e.g. for a restored session
+
+    const url = URL.createObjectURL(blob);
+    let image;
+    try {
+        image = await loadImage(url);
+    } catch (err) {
+        console.error("Image decoding error:", err);
+        return { error: t('errors.imageLoad') };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    const scale = getSourceScale(image.width, image.height);
+    drawOriented(image, orientation, { scale, canvas });
+    if (orientation !== 1 || scale < 1) {
+        blob = await canvasToBlob(canvas, 'image/jpeg', NORMALIZED_JPEG_QUALITY);
+    }
+    return { canvas, blob };
+};
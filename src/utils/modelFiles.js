@@ -0,0 +1,21 @@
+// src/utils/modelFiles.js
+// Kept free of face-api.js so the service worker can import it without bundling the library
+
+export const MODEL_URI = `${process.env.PUBLIC_URL}/models`;
+
+// Bump when the weights in public/models change, so installed copies of the app fetch the new files
+export const MODEL_REVISION = 'face-api-0.22.2';
+
+// Weight files of the nets in FACE_NETS (utils/photoPipeline) and IDENTITY_NETS (utils/faceIdentity),
+// precached so detection and identity checks work offline
+export const PRECACHED_MODEL_FILES = [
+    'tiny_face_detector_model-weights_manifest.json',
+    'tiny_face_detector_model-shard1',
+    'face_landmark_68_model-weights_manifest.json',
+    'face_landmark_68_model-shard1',
+    'face_expression_model-weights_manifest.json',
+    'face_expression_model-shard1',
+    'face_recognition_model-weights_manifest.json',
+    'face_recognition_model-shard1',
+    'face_recognition_model-shard2',
+];
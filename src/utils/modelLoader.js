@@ -0,0 +1,116 @@
+// src/utils/modelLoader.js
+import * as faceapi from 'face-api.js';
+
+// Constants for Model Loading
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1500; // Grows with each attempt, for connections that drop out briefly
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1, uint8: 1, uint16: 2, float16: 2 };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper Function: Fetch a file, treating HTTP errors as failures
+const fetchFile = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url} returned HTTP ${response.status}`);
+    return response;
+};
+
+// Helper Function: Read a response body, reporting each chunk's size as it arrives
+const readWithProgress = async (response, onBytes) => {
+    if (!response.body) {
+        const buffer = await response.arrayBuffer();
+        onBytes(buffer.byteLength);
+        return new Uint8Array(buffer);
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+        onBytes(value.length);
+    }
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+};
+
+// Helper Function: Size of a weight group's shards from its manifest entry (quantized weights are stored in the quantized type)
+// Content-Length can't be used, since it's the compressed size when the server gzips the files
+const getWeightsByteLength = (weights) => weights.reduce((sum, weight) => {
+    const valueCount = weight.shape.reduce((product, size) => product * size, 1);
+    return sum + valueCount * DTYPE_BYTES[weight.quantization ? weight.quantization.dtype : weight.dtype];
+}, 0);
+
+// Helper Function: Join the shards of a weight group into one buffer
+const concatBytes = (parts) => {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes.buffer;
+};
+
+// Load a set of nets once: manifests first, then every shard together so the total size is known up front
+const loadNetsOnce = async (nets, modelUri, onProgress) => {
+    const manifests = await Promise.all(nets.map(async net => {
+        // face-api.js names its weight files after the net's default model name
+        const response = await fetchFile(`${modelUri}/${net.getDefaultModelName()}-weights_manifest.json`);
+        return response.json();
+    }));
+
+    const groups = await Promise.all(manifests.flatMap((manifest, netIndex) => manifest.map(async group => ({
+        netIndex,
+        weights: group.weights,
+        responses: await Promise.all(group.paths.map(file => fetchFile(`${modelUri}/${file}`))),
+    }))));
+
+    const totalBytes = groups.reduce((sum, group) => sum + getWeightsByteLength(group.weights), 0);
+    let loadedBytes = 0;
+    const reportBytes = (bytes) => {
+        loadedBytes += bytes;
+        onProgress(totalBytes > 0 ? Math.min(loadedBytes / totalBytes, 1) : null);
+    };
+
+    const weightMaps = nets.map(() => ({}));
+    await Promise.all(groups.map(async group => {
+        const shards = await Promise.all(group.responses.map(response => readWithProgress(response, reportBytes)));
+        Object.assign(weightMaps[group.netIndex], faceapi.tf.io.decodeWeights(concatBytes(shards), group.weights));
+    }));
+    nets.forEach((net, index) => net.loadFromWeightMap(weightMaps[index]));
+};
+
+/**
+ * Load face-api.js nets from modelUri, skipping any that are already loaded.
+ * onProgress receives the downloaded fraction (0 to 1, or null when the size is unknown).
+ * Failed downloads are retried a few times with a growing delay before the error is thrown;
+ * onRetry is called with the attempt number before each retry.
+ */
+export const loadFaceNets = async (nets, modelUri, { onProgress = () => {}, onRetry = () => {} } = {}) => {
+    const missingNets = nets.filter(net => !net.isLoaded);
+    if (missingNets.length === 0) {
+        onProgress(1);
+        return;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            onProgress(0);
+            await loadNetsOnce(missingNets, modelUri, onProgress);
+            return;
+        } catch (err) {
+            if (attempt >= MAX_ATTEMPTS) throw err;
+            console.error(`Model load attempt ${attempt} failed:`, err);
+            onRetry(attempt + 1);
+            await wait(RETRY_DELAY_MS * attempt);
+        }
+    }
+};
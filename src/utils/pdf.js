@@ -0,0 +1,56 @@
+// src/utils/pdf.js
+
+const POINTS_PER_INCH = 72;
+
+// Helper Function: Convert millimetres to PDF points
+export const mmToPt = (mm) => (mm / 25.4) * POINTS_PER_INCH;
+
+/**
+ * Build a single-page PDF that shows one JPEG image stretched over the whole page.
+ * The JPEG bytes are embedded as-is (DCTDecode), so no re-encoding or PDF library is needed.
+ */
+export const createJpegPdf = (jpegBytes, imageWidthPx, imageHeightPx, pageWidthPt, pageHeightPt) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (chunk) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = () => {
+        offsets.push(length);
+    };
+
+    const width = pageWidthPt.toFixed(2);
+    const height = pageHeightPt.toFixed(2);
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q\n`;
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    startObject();
+    write('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    startObject();
+    write('2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+
+    startObject();
+    write(`3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n`);
+
+    startObject();
+    write(`4 0 obj\n<< /Type /XObject /Subtype /Image /Width ${imageWidthPx} /Height ${imageHeightPx} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`);
+    write(jpegBytes);
+    write('\nendstream\nendobj\n');
+
+    startObject();
+    write(`5 0 obj\n<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+
+    const xrefOffset = length;
+    const xrefEntries = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n${xrefEntries}`);
+    write(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+};
@@ -0,0 +1,211 @@
+// src/utils/photoPipeline.js
+import * as faceapi from 'face-api.js';
+import { segmentPerson, compositeOnBackground } from './backgroundRemoval';
+import { computeCropGeometry, drawCrop, getAlignedAdjustments, toOutputPoint, getCropCorners } from './cropGeometry';
+import { findTopOfHead, estimateHeadPose, getFaceAxis, HEAD_POSE_LIMITS } from './headMeasurement';
+import { analyzeLighting, enhanceCanvas, correctRedEye } from './imageEnhancement';
+import { runComplianceChecks } from '../compliance/complianceChecks';
+import { analyzeEyes } from '../compliance/eyeAnalysis';
+import { createCanvas } from './canvasFactory';
+import { t } from '../i18n/i18n';
+
+// Constants for Face Detection
+const DETECTION_INPUT_SIZE = 512;
+const DETECTION_SCORE_THRESHOLD = 0.5;
+const MAX_DETECTION_DIMENSION = 1600; // Larger photos are detected on a downscaled copy, which is much faster and just as accurate
+const PHOTO_QUALITY = 0.95;
+
+// The face-api.js networks detectFaces needs; load them from a URL in the browser or from disk in Node
+// Their weight files are precached by the service worker (see PRECACHED_MODEL_FILES in utils/modelFiles)
+export const FACE_NETS = [
+    faceapi.nets.tinyFaceDetector,
+    faceapi.nets.faceLandmark68Net,
+    faceapi.nets.faceExpressionNet,
+];
+
+// Helper Function: Load an image element from a data URL or object URL
+export const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Image failed to load'));
+    img.src = src;
+});
+
+// Helper Function: Draw an image at full size onto a canvas (a new one unless given)
+export const imageToCanvas = (img, canvas = createCanvas()) => {
+    canvas.width = img.width;
+    canvas.height = img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0, img.width, img.height);
+    return canvas;
+};
+
+// Helper Function: Output MIME type and file extension for a spec
+export const getPhotoFormat = (spec) => {
+    const mimeType = spec.formats[0];
+    return { mimeType, extension: mimeType === 'image/png' ? 'png' : 'jpg', quality: PHOTO_QUALITY };
+};
+
+// Detect every face in a canvas, numbered left to right so the order is stable between runs
+// Large canvases are detected on a downscaled working copy; the results are in the canvas's own pixels either way
+export const detectFaces = async (canvas) => {
+    const detectionOptions = new faceapi.TinyFaceDetectorOptions({ inputSize: DETECTION_INPUT_SIZE, scoreThreshold: DETECTION_SCORE_THRESHOLD });
+    const scale = Math.min(1, MAX_DETECTION_DIMENSION / Math.max(canvas.width, canvas.height));
+
+    let input = canvas;
+    if (scale < 1) {
+        input = createCanvas(Math.round(canvas.width * scale), Math.round(canvas.height * scale));
+        input.getContext('2d').drawImage(canvas, 0, 0, input.width, input.height);
+    }
+
+    let detections = await faceapi.detectAllFaces(input, detectionOptions).withFaceLandmarks().withFaceExpressions();
+    if (input !== canvas) {
+        detections = faceapi.resizeResults(detections, { width: canvas.width, height: canvas.height });
+    }
+    return detections.sort((a, b) => a.detection.box.x - b.detection.box.x);
+};
+
+// Helper Function: Index of the face most likely to be the subject - large and near the centre of the image
+export const pickDefaultFace = (detections, imageWidth, imageHeight) => {
+    const halfDiagonal = Math.hypot(imageWidth, imageHeight) / 2;
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+    detections.forEach((detection, index) => {
+        const box = detection.detection.box;
+        const centreDistance = Math.hypot(box.x + box.width / 2 - imageWidth / 2, box.y + box.height / 2 - imageHeight / 2);
+        const score = box.width * box.height * (1 - 0.5 * Math.min(1, centreDistance / halfDiagonal));
+        if (score > bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+};
+
+// Helper Function: Message explaining why a face's pose can't be used, or null if it's fine
+// Roll is fine since the crop levels it, but a turned or nodding head can't be corrected
+export const getPoseError = (detection) => {
+    const pose = estimateHeadPose(detection.landmarks);
+    if (Math.abs(pose.yawDegrees) > HEAD_POSE_LIMITS.maxYawDegrees) {
+        return t('errors.headTurned');
+    }
+    if (Math.abs(pose.pitchDeviation) > HEAD_POSE_LIMITS.maxPitchDeviation) {
+        return t('errors.headNodding');
+    }
+    return null;
+};
+
+/**
+ * Detect the faces in a canvas, pick one and check that its pose can be used.
+ * faceIndex selects a face by its left-to-right number; by default the largest, most
+ * centred face is used.
+ * Returns { detection, faceIndex, faceCount } on success, or { error } with a message for the user.
+ */
+export const analyzeFace = async (canvas, { faceIndex = null } = {}) => {
+    const detections = await detectFaces(canvas);
+    if (detections.length === 0) {
+        return { error: t('errors.noFace') };
+    }
+
+    const index = faceIndex === null ? pickDefaultFace(detections, canvas.width, canvas.height) : faceIndex;
+    const detection = detections[index];
+    if (!detection) {
+        return { error: t('errors.faceNotFound', { number: index + 1 }) };
+    }
+
+    const poseError = getPoseError(detection);
+    if (poseError) return { error: poseError };
+    return { detection, faceIndex: index, faceCount: detections.length };
+};
+
+/**
+ * Work out the crop for a detection and a spec without drawing anything. The crown is found
+ * on sourceCanvas (and maskCanvas, when given); without a canvas it is estimated from the
+ * landmarks. Adjustments default to the automatic, eye-levelled crop.
+ * Returns {
+ *   geometry - the transform used by drawPhoto,
+ *   adjustments, topOfHead,
+ *   corners - the output rectangle in source pixels (top-left, top-right, bottom-right, bottom-left),
+ *   measurements - { headHeightMm, topMarginMm, eyeHeightMm, scale, rotationDegrees } in the output
+ * }.
+ */
+export const computeCrop = (detection, spec, { adjustments = null, sourceCanvas = null, maskCanvas = null } = {}) => {
+    const topOfHead = findTopOfHead(detection, sourceCanvas, maskCanvas);
+    const cropAdjustments = adjustments || getAlignedAdjustments(detection);
+    const geometry = computeCropGeometry(detection, topOfHead, spec, cropAdjustments);
+
+    return {
+        geometry,
+        adjustments: cropAdjustments,
+        topOfHead,
+        corners: getCropCorners(geometry),
+        measurements: measureCrop(detection, geometry, topOfHead, spec),
+    };
+};
+
+/**
+ * Measure a crop in the finished photo: { headHeightMm, topMarginMm, eyeHeightMm, scale, rotationDegrees },
+ * with the eye height measured up from the bottom edge.
+ */
+export const measureCrop = (detection, geometry, topOfHead, spec) => {
+    const pxPerMm = spec.dpi / 25.4;
+    const outputCrown = toOutputPoint(geometry, topOfHead);
+    const outputChin = toOutputPoint(geometry, geometry.chin);
+    const outputEyeY = toOutputPoint(geometry, getFaceAxis(detection.landmarks).eyeMid).y;
+
+    return {
+        headHeightMm: Math.hypot(outputChin.x - outputCrown.x, outputChin.y - outputCrown.y) / pxPerMm,
+        topMarginMm: outputCrown.y / pxPerMm,
+        eyeHeightMm: (geometry.heightPx - outputEyeY) / pxPerMm,
+        scale: geometry.scale,
+        rotationDegrees: geometry.rotation * 180 / Math.PI,
+    };
+};
+
+/**
+ * Draw the finished photo for a crop onto an output canvas. The source is cropped, has any
+ * red-eye found by the eye analysis removed, is enhanced when a lighting analysis is given, then placed on the replacement background when
+ * a person mask is given. Enhancing the cropped pixels keeps it fast at any source size, and
+ * doing it before the backdrop goes in means the backdrop color is never tinted.
+ */
+export const drawPhoto = (outputCanvas, { sourceCanvas, geometry, spec, maskCanvas = null, backgroundColor = null, lighting = null, enhancements = null, eyeAnalysis = null }) => {
+    outputCanvas.width = geometry.widthPx;
+    outputCanvas.height = geometry.heightPx;
+    const ctx = outputCanvas.getContext('2d');
+    ctx.fillStyle = spec.backgroundColor; // Fill any area not covered by the source image
+    ctx.fillRect(0, 0, geometry.widthPx, geometry.heightPx);
+    drawCrop(ctx, sourceCanvas, geometry);
+
+    if (eyeAnalysis && eyeAnalysis.redEye.isDetected) {
+        correctRedEye(outputCanvas, eyeAnalysis.redEye.eyeRects, geometry);
+    }
+
+    if (lighting && enhancements && enhancements.isEnabled) {
+        enhanceCanvas(outputCanvas, lighting, enhancements, geometry);
+    }
+
+    if (maskCanvas && backgroundColor) {
+        const croppedMask = createCanvas(geometry.widthPx, geometry.heightPx);
+        drawCrop(croppedMask.getContext('2d'), maskCanvas, geometry);
+        ctx.drawImage(compositeOnBackground(outputCanvas, croppedMask, backgroundColor), 0, 0);
+    }
+};
+
+/**
+ * Produce the finished photo for a detection without any UI: optionally replaces the
+ * background, removes red-eye and enhances the lighting, finds the crown, applies the crop and runs the
+ * compliance checks. Adjustments default to the automatic, eye-levelled crop.
+ * Returns { canvas, geometry, adjustments, corners, measurements, complianceResults }, with
+ * corners and measurements as described for computeCrop.
+ */
+export const renderPhoto = (sourceCanvas, detection, spec, { adjustments = null, backgroundColor = null, enhancements = null } = {}) => {
+    const mask = backgroundColor ? segmentPerson(sourceCanvas, detection) : null;
+    const { geometry, adjustments: cropAdjustments, corners, measurements } = computeCrop(detection, spec, { adjustments, sourceCanvas, maskCanvas: mask });
+    const lighting = enhancements && enhancements.isEnabled ? analyzeLighting(sourceCanvas, detection) : null;
+    const eyeAnalysis = analyzeEyes(sourceCanvas, detection);
+
+    const canvas = createCanvas();
+    drawPhoto(canvas, { sourceCanvas, geometry, spec, maskCanvas: mask, backgroundColor, lighting, enhancements, eyeAnalysis });
+
+    const complianceResults = runComplianceChecks({ detection, spec, geometry, sourceCanvas, outputCanvas: canvas, eyeAnalysis });
+    return { canvas, geometry, adjustments: cropAdjustments, corners, measurements, complianceResults };
+};
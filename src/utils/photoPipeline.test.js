@@ -0,0 +1,161 @@
+import path from 'path';
+import * as faceapi from 'face-api.js';
+import { analyzeFace, renderPhoto, computeCrop, measureCrop, FACE_NETS } from './photoPipeline';
+import { computeCropGeometry, toOutputPoint, getCropCorners, DEFAULT_ADJUSTMENTS } from './cropGeometry';
+import { getEyeCenter } from './headMeasurement';
+import { setCanvasFactory } from './canvasFactory';
+import { getDocumentSpec } from '../specs/documentSpecs';
+import { t } from '../i18n/i18n';
+import { createPixelCanvas } from '../__fixtures__/pixelCanvas';
+import { createFaceDetection, createHeadMask, createDrawnFacesCanvas, EYE_CHIN_RATIO } from '../__fixtures__/portraits';
+
+const MODELS_DIR = path.join(__dirname, '../../public/models');
+const DETECTION_TIMEOUT_MS = 60000; // The networks run on TensorFlow.js's plain JavaScript backend here
+
+const spec = getDocumentSpec('pk-passport');
+const pxPerMm = spec.dpi / 25.4;
+const targetHeadHeightMm = (spec.headHeightMinMm + spec.headHeightMaxMm) / 2;
+
+describe('computeCrop', () => {
+    const detection = createFaceDetection();
+
+    test('estimates the crown from the landmarks when there is no image', () => {
+        const crop = computeCrop(detection, spec);
+        expect(crop.topOfHead.method).toBe('estimate');
+        expect(crop.topOfHead.isClipped).toBe(false);
+        expect(crop.topOfHead.x).toBeCloseTo(320, 6);
+        expect(crop.topOfHead.y).toBeCloseTo(360 - 1.1 * EYE_CHIN_RATIO * 120, 6);
+        expect(crop.measurements.headHeightMm).toBeCloseTo(targetHeadHeightMm, 1);
+        expect(crop.measurements.topMarginMm).toBeCloseTo(spec.topMarginMm, 1);
+    });
+
+    test('finds the crown on a person mask', () => {
+        const crop = computeCrop(detection, spec, { maskCanvas: createHeadMask({ crownRatio: 1.2 }) });
+        expect(crop.topOfHead.method).toBe('mask');
+        expect(crop.topOfHead.y).toBeGreaterThan(360 - 1.2 * EYE_CHIN_RATIO * 120 - 2);
+        expect(crop.topOfHead.y).toBeLessThan(360 - 1.2 * EYE_CHIN_RATIO * 120 + 2);
+        expect(crop.geometry.topOfHead).toBe(crop.topOfHead);
+        expect(crop.measurements.headHeightMm).toBeCloseTo(targetHeadHeightMm, 1);
+    });
+
+    test('reports a crown cut off by the top of the image', () => {
+        const eyeMid = { x: 320, y: 100 };
+        const crop = computeCrop(createFaceDetection({ eyeMid }), spec, { maskCanvas: createHeadMask({ eyeMid }) });
+        expect(crop.topOfHead).toMatchObject({ y: 0, method: 'mask', isClipped: true });
+    });
+
+    test('levels a tilted head by default', () => {
+        const crop = computeCrop(createFaceDetection({ rollDegrees: 10 }), spec);
+        expect(crop.adjustments.rotationDegrees).toBeCloseTo(-10, 6);
+        expect(crop.measurements.rotationDegrees).toBeCloseTo(-10, 6);
+        expect(crop.measurements.headHeightMm).toBeCloseTo(targetHeadHeightMm, 1);
+    });
+
+    test('uses the given adjustments', () => {
+        const adjustments = { ...DEFAULT_ADJUSTMENTS, zoomFactor: 1.1, verticalOffset: 20 };
+        const crop = computeCrop(detection, spec, { adjustments });
+        expect(crop.adjustments).toBe(adjustments);
+        expect(crop.measurements.rotationDegrees).toBe(0);
+        expect(crop.measurements.headHeightMm).toBeCloseTo(targetHeadHeightMm * 1.1, 1);
+    });
+
+    test('returns the corners of the output in source pixels', () => {
+        const crop = computeCrop(detection, spec, { adjustments: { ...DEFAULT_ADJUSTMENTS, rotationDegrees: 8 } });
+        expect(crop.corners).toEqual(getCropCorners(crop.geometry));
+        const bottomRight = toOutputPoint(crop.geometry, crop.corners[2]);
+        expect(bottomRight.x).toBeCloseTo(crop.geometry.widthPx, 6);
+        expect(bottomRight.y).toBeCloseTo(crop.geometry.heightPx, 6);
+    });
+});
+
+describe('measureCrop', () => {
+    const detection = createFaceDetection();
+    const topOfHead = { x: 320, y: 360 - EYE_CHIN_RATIO * 120, method: 'mask', isClipped: false };
+
+    test('measures the head, top margin and eye line in millimetres', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        const measurements = measureCrop(detection, geometry, topOfHead, spec);
+        const eyeY = toOutputPoint(geometry, { x: 320, y: 360 }).y;
+
+        expect(measurements.headHeightMm).toBeCloseTo(targetHeadHeightMm, 1);
+        expect(measurements.topMarginMm).toBeCloseTo(spec.topMarginMm, 1);
+        // The eyes are halfway between crown and chin
+        expect(measurements.eyeHeightMm).toBeCloseTo((geometry.heightPx - eyeY) / pxPerMm, 6);
+        expect(measurements.eyeHeightMm).toBeCloseTo(spec.heightMm - spec.topMarginMm - targetHeadHeightMm / 2, 1);
+        expect(measurements.scale).toBe(geometry.scale);
+        expect(measurements.rotationDegrees).toBe(0);
+    });
+
+    test('follows the offsets', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, DEFAULT_ADJUSTMENTS);
+        const moved = computeCropGeometry(detection, topOfHead, spec, { ...DEFAULT_ADJUSTMENTS, verticalOffset: 60, horizontalOffset: -30 });
+        const before = measureCrop(detection, geometry, topOfHead, spec);
+        const after = measureCrop(detection, moved, topOfHead, spec);
+
+        expect(after.headHeightMm).toBeCloseTo(before.headHeightMm, 6);
+        expect(after.topMarginMm).toBeCloseTo(before.topMarginMm + 60 / pxPerMm, 6);
+        expect(after.eyeHeightMm).toBeCloseTo(before.eyeHeightMm - 60 / pxPerMm, 6);
+    });
+
+    test('gives a negative top margin when the crown is cropped off', () => {
+        const geometry = computeCropGeometry(detection, topOfHead, spec, { ...DEFAULT_ADJUSTMENTS, verticalOffset: -200 });
+        expect(measureCrop(detection, geometry, topOfHead, spec).topMarginMm).toBeLessThan(0);
+    });
+});
+
+// These run the real face-api.js networks, with the weights the app ships, on drawn faces
+describe('analyzeFace', () => {
+    beforeAll(async () => {
+        faceapi.env.monkeyPatch({ Canvas: createPixelCanvas().constructor, createCanvasElement: () => createPixelCanvas() });
+        setCanvasFactory(createPixelCanvas);
+        await faceapi.tf.setBackend('cpu');
+        await Promise.all(FACE_NETS.map(net => net.loadFromDisk(MODELS_DIR)));
+    }, DETECTION_TIMEOUT_MS);
+
+    afterAll(() => {
+        setCanvasFactory(null);
+    });
+
+    test('finds the face and its landmarks', async () => {
+        const analysis = await analyzeFace(createDrawnFacesCanvas());
+        expect(analysis).toMatchObject({ faceIndex: 0, faceCount: 1 });
+
+        const { box } = analysis.detection.detection;
+        expect(box.x).toBeLessThan(260);
+        expect(box.x + box.width).toBeGreaterThan(380);
+        const leftEye = getEyeCenter(analysis.detection.landmarks.getLeftEye());
+        const rightEye = getEyeCenter(analysis.detection.landmarks.getRightEye());
+        expect(Math.abs(leftEye.x - 280)).toBeLessThan(15);
+        expect(Math.abs(rightEye.x - 360)).toBeLessThan(15);
+        expect(Math.abs(leftEye.y - 368)).toBeLessThan(15);
+        expect(analysis.detection.expressions.neutral).toBeGreaterThan(0.5);
+    }, DETECTION_TIMEOUT_MS);
+
+    test('numbers faces left to right and picks the one nearest the centre by default', async () => {
+        const canvas = createDrawnFacesCanvas({ width: 800, height: 640, centers: [{ x: 180, y: 320 }, { x: 540, y: 300 }] });
+        const byDefault = await analyzeFace(canvas);
+        expect(byDefault).toMatchObject({ faceIndex: 1, faceCount: 2 });
+
+        const first = await analyzeFace(canvas, { faceIndex: 0 });
+        expect(first.faceIndex).toBe(0);
+        expect(first.detection.detection.box.x).toBeLessThan(byDefault.detection.detection.box.x);
+
+        expect(await analyzeFace(canvas, { faceIndex: 2 })).toEqual({ error: t('errors.faceNotFound', { number: 3 }) });
+    }, DETECTION_TIMEOUT_MS * 3);
+
+    test('reports a photo without a face', async () => {
+        expect(await analyzeFace(createPixelCanvas(640, 800))).toEqual({ error: t('errors.noFace') });
+    }, DETECTION_TIMEOUT_MS);
+
+    test('renders the detected face to the spec', async () => {
+        const sourceCanvas = createDrawnFacesCanvas();
+        const { detection } = await analyzeFace(sourceCanvas);
+        const { canvas, geometry, measurements, complianceResults } = renderPhoto(sourceCanvas, detection, spec);
+
+        expect(canvas.width).toBe(geometry.widthPx);
+        expect(canvas.height).toBe(geometry.heightPx);
+        expect(measurements.headHeightMm).toBeGreaterThanOrEqual(spec.headHeightMinMm);
+        expect(measurements.headHeightMm).toBeLessThanOrEqual(spec.headHeightMaxMm);
+        expect(complianceResults.find(result => result.id === 'head-yaw').status).toBe('pass');
+    }, DETECTION_TIMEOUT_MS);
+});
@@ -0,0 +1,115 @@
+// src/utils/printLayout.js
+import { mmToPx } from '../specs/documentSpecs';
+import { createCanvas, MAX_CANVAS_PIXELS } from './canvasFactory';
+
+// Standard photo paper sizes, in portrait orientation (millimetres)
+export const PAPER_SIZES = [
+    { id: '4x6', label: '4 x 6 in', widthMm: 101.6, heightMm: 152.4 },
+    { id: '5x7', label: '5 x 7 in', widthMm: 127, heightMm: 177.8 },
+    { id: 'a5', label: 'A5', widthMm: 148, heightMm: 210 },
+    { id: 'a4', label: 'A4', widthMm: 210, heightMm: 297 },
+];
+
+export const getPaperSize = (paperId) => PAPER_SIZES.find(paper => paper.id === paperId) || PAPER_SIZES[0];
+
+const CUT_MARK_LENGTH_MM = 3;
+const CUT_MARK_OFFSET_MM = 1; // Gap between the photo edge and the start of a cut mark
+const CUT_MARK_WIDTH_MM = 0.15;
+
+// Helper Function: Count how many photos fit on a page of the given size
+const fitGrid = (pageWidthMm, pageHeightMm, photoWidthMm, photoHeightMm, spacingMm, marginMm) => {
+    const columns = Math.max(0, Math.floor((pageWidthMm - 2 * marginMm + spacingMm) / (photoWidthMm + spacingMm)));
+    const rows = Math.max(0, Math.floor((pageHeightMm - 2 * marginMm + spacingMm) / (photoHeightMm + spacingMm)));
+    return { columns, rows, capacity: columns * rows };
+};
+
+/**
+ * Work out the sheet orientation and photo positions (in millimetres) for a print layout.
+ * Picks whichever orientation fits more photos and centers the grid on the page.
+ */
+export const computeSheetLayout = (spec, paper, { count, spacingMm, marginMm }) => {
+    const portrait = fitGrid(paper.widthMm, paper.heightMm, spec.widthMm, spec.heightMm, spacingMm, marginMm);
+    const landscape = fitGrid(paper.heightMm, paper.widthMm, spec.widthMm, spec.heightMm, spacingMm, marginMm);
+    const isLandscape = landscape.capacity > portrait.capacity;
+    const grid = isLandscape ? landscape : portrait;
+
+    const pageWidthMm = isLandscape ? paper.heightMm : paper.widthMm;
+    const pageHeightMm = isLandscape ? paper.widthMm : paper.heightMm;
+    const photoCount = Math.min(Math.max(0, count), grid.capacity);
+    const usedRows = Math.ceil(photoCount / Math.max(1, grid.columns));
+    const usedColumns = Math.min(photoCount, grid.columns);
+
+    const gridWidthMm = usedColumns * spec.widthMm + Math.max(0, usedColumns - 1) * spacingMm;
+    const gridHeightMm = usedRows * spec.heightMm + Math.max(0, usedRows - 1) * spacingMm;
+    const startX = (pageWidthMm - gridWidthMm) / 2;
+    const startY = (pageHeightMm - gridHeightMm) / 2;
+
+    const slots = [];
+    for (let i = 0; i < photoCount; i++) {
+        const column = i % grid.columns;
+        const row = Math.floor(i / grid.columns);
+        slots.push({
+            xMm: startX + column * (spec.widthMm + spacingMm),
+            yMm: startY + row * (spec.heightMm + spacingMm),
+        });
+    }
+
+    return { pageWidthMm, pageHeightMm, capacity: grid.capacity, slots };
+};
+
+/**
+ * DPI to render a sheet at: the requested DPI, lowered where the whole page wouldn't fit on a
+ * canvas, e.g. A4 at 600 DPI (about 35 megapixels).
+ */
+export const getSheetDpi = (layout, dpi) => {
+    const pageAreaInches = (layout.pageWidthMm / 25.4) * (layout.pageHeightMm / 25.4);
+    let sheetDpi = Math.min(dpi, Math.floor(Math.sqrt(MAX_CANVAS_PIXELS / pageAreaInches)));
+    while (mmToPx(layout.pageWidthMm, sheetDpi) * mmToPx(layout.pageHeightMm, sheetDpi) > MAX_CANVAS_PIXELS) {
+        sheetDpi--; // Pixel sizes are rounded, which can tip the page just over the limit
+    }
+    return sheetDpi;
+};
+
+// Helper Function: Draw cut marks just outside each corner of a photo
+const drawCutMarks = (ctx, x, y, width, height, dpi) => {
+    const length = mmToPx(CUT_MARK_LENGTH_MM, dpi);
+    const offset = mmToPx(CUT_MARK_OFFSET_MM, dpi);
+    ctx.beginPath();
+    [[x, y, -1, -1], [x + width, y, 1, -1], [x, y + height, -1, 1], [x + width, y + height, 1, 1]]
+        .forEach(([cornerX, cornerY, directionX, directionY]) => {
+            ctx.moveTo(cornerX + directionX * offset, cornerY);
+            ctx.lineTo(cornerX + directionX * (offset + length), cornerY);
+            ctx.moveTo(cornerX, cornerY + directionY * offset);
+            ctx.lineTo(cornerX, cornerY + directionY * (offset + length));
+        });
+    ctx.stroke();
+};
+
+/**
+ * Render the print sheet to a new canvas at the given DPI, tiling the photo canvas into each slot.
+ * Cut marks are drawn first so the photos cover any mark that would overlap a neighbouring photo.
+ */
+export const renderPrintSheet = (photoCanvas, spec, layout, { dpi, showCutMarks }) => {
+    const sheetCanvas = createCanvas(mmToPx(layout.pageWidthMm, dpi), mmToPx(layout.pageHeightMm, dpi));
+    const ctx = sheetCanvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, sheetCanvas.width, sheetCanvas.height);
+
+    const photoWidthPx = mmToPx(spec.widthMm, dpi);
+    const photoHeightPx = mmToPx(spec.heightMm, dpi);
+
+    if (showCutMarks) {
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = Math.max(1, mmToPx(CUT_MARK_WIDTH_MM, dpi));
+        layout.slots.forEach(slot => {
+            drawCutMarks(ctx, mmToPx(slot.xMm, dpi), mmToPx(slot.yMm, dpi), photoWidthPx, photoHeightPx, dpi);
+        });
+    }
+
+    ctx.imageSmoothingQuality = 'high';
+    layout.slots.forEach(slot => {
+        ctx.drawImage(photoCanvas, mmToPx(slot.xMm, dpi), mmToPx(slot.yMm, dpi), photoWidthPx, photoHeightPx);
+    });
+
+    return sheetCanvas;
+};
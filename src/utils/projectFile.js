@@ -0,0 +1,67 @@
+// src/utils/projectFile.js
+import { normalizeSessionSettings } from './sessionStore';
+import { t } from '../i18n/i18n';
+
+// Constants for Project Files
+const PROJECT_FORMAT = 'passport-photo-project';
+const PROJECT_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = 'photo-project.json';
+
+// Helper Function: Read a Blob as a base64 data URL
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Helper Function: Turn a base64 data URL (e.g. a camera capture) back into a Blob
+export const dataUrlToBlob = (dataUrl) => {
+    const match = /^data:([^;,]*);base64,(.*)$/.exec(dataUrl);
+    if (!match) throw new Error('Not a base64 data URL');
+    const binary = atob(match[2]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+};
+
+/**
+ * Package the source image and the editor settings (see normalizeSessionSettings) as a
+ * self-contained JSON project file, so the photo can be re-cropped later without re-uploading.
+ */
+export const createProjectFile = async (imageBlob, settings) => {
+    const project = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        settings,
+        image: await blobToDataUrl(imageBlob),
+    };
+    return new Blob([JSON.stringify(project)], { type: 'application/json' });
+};
+
+/**
+ * Read a project file created by createProjectFile.
+ * Returns { image, settings } on success, or { error } with a message for the user.
+ */
+export const readProjectFile = async (file) => {
+    let project;
+    try {
+        project = JSON.parse(await file.text());
+    } catch (err) {
+        return { error: t('errors.notAProject') };
+    }
+    if (!project || project.format !== PROJECT_FORMAT || typeof project.image !== 'string') {
+        return { error: t('errors.notAProject') };
+    }
+    if (project.version > PROJECT_VERSION) {
+        return { error: t('errors.newerProject') };
+    }
+
+    try {
+        return { image: dataUrlToBlob(project.image), settings: normalizeSessionSettings(project.settings) };
+    } catch (err) {
+        console.error("Project image error:", err);
+        return { error: t('errors.damagedProject') };
+    }
+};
@@ -0,0 +1,82 @@
+// src/utils/sessionStore.js
+import { DEFAULT_ADJUSTMENTS } from './cropGeometry';
+import { DEFAULT_ENHANCEMENTS } from './imageEnhancement';
+import { getDocumentSpec } from '../specs/documentSpecs';
+
+// Constants for the Session Database
+const DB_NAME = 'passport-photo';
+const DB_VERSION = 1;
+const STORE_NAME = 'session';
+const IMAGE_KEY = 'image'; // Source image Blob
+const SETTINGS_KEY = 'settings'; // Spec, face, adjustments and corrections for that image
+
+let databasePromise = null;
+
+// Helper Function: Open the database once, creating the store on first use
+const getDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        databasePromise.catch(() => {
+            databasePromise = null; // Let a later call try again
+        });
+    }
+    return databasePromise;
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Fill in anything missing or invalid in saved settings (from an older version of the app, or
+ * a hand-edited project file) with the defaults, so they can be applied to the editor as is.
+ */
+export const normalizeSessionSettings = (settings = {}) => ({
+    specId: getDocumentSpec(settings.specId).id,
+    faceIndex: Number.isInteger(settings.faceIndex) && settings.faceIndex >= 0 ? settings.faceIndex : null,
+    adjustments: { ...DEFAULT_ADJUSTMENTS, ...settings.adjustments },
+    enhancements: { ...DEFAULT_ENHANCEMENTS, ...settings.enhancements },
+    isBackgroundRemovalEnabled: settings.isBackgroundRemovalEnabled === true,
+    replacementColor: typeof settings.replacementColor === 'string' ? settings.replacementColor : null,
+});
+
+// Store a new source image; settings for the previous image no longer apply and are dropped
+export const saveSessionImage = async (imageBlob) => {
+    const transaction = (await getDatabase()).transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    store.put(imageBlob, IMAGE_KEY);
+    store.delete(SETTINGS_KEY);
+    await transactionDone(transaction);
+};
+
+export const saveSessionSettings = async (settings) => {
+    const transaction = (await getDatabase()).transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).put(settings, SETTINGS_KEY);
+    await transactionDone(transaction);
+};
+
+// The saved session as { image, settings } (settings may be null), or null when there is none
+export const loadSession = async () => {
+    const store = (await getDatabase()).transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const [image, settings] = await Promise.all([requestResult(store.get(IMAGE_KEY)), requestResult(store.get(SETTINGS_KEY))]);
+    if (!image) return null;
+    return { image, settings: settings ? normalizeSessionSettings(settings) : null };
+};
+
+export const clearSession = async () => {
+    const transaction = (await getDatabase()).transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    await transactionDone(transaction);
+};
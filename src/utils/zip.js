@@ -0,0 +1,96 @@
+// src/utils/zip.js
+
+// Constants for ZIP Records
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0, the lowest version that supports folders
+const UTF8_NAME_FLAG = 0x0800;
+
+// CRC-32 lookup table (IEEE polynomial), built once
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Helper Function: CRC-32 checksum of a byte array
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Helper Function: Pack a date into the MS-DOS time and date fields used by ZIP
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive from [{ name, data }] entries, where data is a Uint8Array.
+ * Files are stored without compression: the photos are already JPEG/PNG compressed,
+ * so deflating them again would gain almost nothing.
+ */
+export const createZip = (entries, modifiedAt = new Date()) => {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modifiedAt);
+    const chunks = [];
+    const centralRecords = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const nameBytes = encoder.encode(entry.name);
+        const checksum = crc32(entry.data);
+        const size = entry.data.length;
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+        localHeader.setUint16(4, ZIP_VERSION, true);
+        localHeader.setUint16(6, UTF8_NAME_FLAG, true);
+        localHeader.setUint16(8, 0, true); // Stored
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, date, true);
+        localHeader.setUint32(14, checksum, true);
+        localHeader.setUint32(18, size, true);
+        localHeader.setUint32(22, size, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+        centralHeader.setUint16(4, ZIP_VERSION, true);
+        centralHeader.setUint16(6, ZIP_VERSION, true);
+        centralHeader.setUint16(8, UTF8_NAME_FLAG, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, date, true);
+        centralHeader.setUint32(16, checksum, true);
+        centralHeader.setUint32(20, size, true);
+        centralHeader.setUint32(24, size, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true); // Remaining fields (extra, comment, disk, attributes) stay zero
+
+        chunks.push(new Uint8Array(localHeader.buffer), nameBytes, entry.data);
+        centralRecords.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + size;
+    });
+
+    const centralSize = centralRecords.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralRecords, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};